@@ -15,7 +15,8 @@ export default defineConfig([
     ],
     languageOptions: {
       ecmaVersion: 2020,
-      globals: globals.browser,
+      // Extension pages and scripts also use the chrome.* APIs
+      globals: { ...globals.browser, ...globals.webextensions },
       parserOptions: {
         ecmaVersion: 'latest',
         ecmaFeatures: { jsx: true },
@@ -26,4 +27,11 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // AudioWorklet processors run in AudioWorkletGlobalScope
+    files: ['offscreen/worklets/**/*.js'],
+    languageOptions: {
+      globals: globals.audioWorklet,
+    },
+  },
 ])
@@ -0,0 +1,49 @@
+// offscreen/analyser.js
+// Settings of the spectrum AnalyserNodes (post-EQ output and pre-EQ input).
+
+// Analyser FFT sizes offered by the popup (powers of two accepted by AnalyserNode)
+export const ANALYSER_FFT_SIZES = [512, 1024, 2048, 4096, 8192, 16384, 32768];
+
+// Analyser dB range limits; the ceiling always stays above the floor
+const ANALYSER_MIN_DB = -140;
+const ANALYSER_MAX_DB = 0;
+const ANALYSER_MIN_RANGE_DB = 10;
+
+// Merge partial analyser settings, clamp them and apply to every AnalyserNode
+// (input and output spectra must share FFT size and dB range to be compared).
+// Returns the resulting settings.
+export function applyAnalyserSettings(analyserNodes, current, settings = {}) {
+  const next = { ...current };
+
+  if (ANALYSER_FFT_SIZES.includes(settings.fftSize)) {
+    next.fftSize = settings.fftSize;
+  }
+  if (typeof settings.smoothing === "number") {
+    next.smoothing = Math.max(0, Math.min(0.99, settings.smoothing));
+  }
+  if (typeof settings.minDb === "number") {
+    next.minDb = Math.max(
+      ANALYSER_MIN_DB,
+      Math.min(ANALYSER_MAX_DB - ANALYSER_MIN_RANGE_DB, settings.minDb),
+    );
+  }
+  if (typeof settings.maxDb === "number") {
+    next.maxDb = Math.max(
+      ANALYSER_MIN_DB + ANALYSER_MIN_RANGE_DB,
+      Math.min(ANALYSER_MAX_DB, settings.maxDb),
+    );
+  }
+  // Keep the floor below the ceiling (AnalyserNode throws otherwise)
+  next.minDb = Math.min(next.minDb, next.maxDb - ANALYSER_MIN_RANGE_DB);
+
+  for (const analyserNode of analyserNodes) {
+    analyserNode.fftSize = next.fftSize;
+    analyserNode.smoothingTimeConstant = next.smoothing;
+    // Lower the floor first so the intermediate range is always valid
+    analyserNode.minDecibels = Math.min(analyserNode.minDecibels, next.minDb);
+    analyserNode.maxDecibels = next.maxDb;
+    analyserNode.minDecibels = next.minDb;
+  }
+
+  return next;
+}
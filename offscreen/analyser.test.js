@@ -0,0 +1,115 @@
+import { describe, expect, it } from "vitest";
+import { applyAnalyserSettings } from "./analyser";
+
+const DEFAULTS = { fftSize: 2048, smoothing: 0.85, minDb: -100, maxDb: -30 };
+
+// Stand-in for AnalyserNode: rejects a floor at or above the ceiling
+class TestAnalyserNode {
+  constructor() {
+    this.fftSize = 2048;
+    this.smoothingTimeConstant = 0.8;
+    this.min = -100;
+    this.max = -30;
+  }
+
+  get minDecibels() {
+    return this.min;
+  }
+
+  set minDecibels(value) {
+    if (value >= this.max) throw new RangeError("minDecibels >= maxDecibels");
+    this.min = value;
+  }
+
+  get maxDecibels() {
+    return this.max;
+  }
+
+  set maxDecibels(value) {
+    if (value <= this.min) throw new RangeError("maxDecibels <= minDecibels");
+    this.max = value;
+  }
+}
+
+describe("applyAnalyserSettings", () => {
+  it("applies the settings to every analyser", () => {
+    const nodes = [new TestAnalyserNode(), new TestAnalyserNode()];
+    const next = applyAnalyserSettings(nodes, DEFAULTS, {
+      fftSize: 8192,
+      smoothing: 0.5,
+      minDb: -120,
+      maxDb: -20,
+    });
+
+    expect(next).toEqual({
+      fftSize: 8192,
+      smoothing: 0.5,
+      minDb: -120,
+      maxDb: -20,
+    });
+    for (const node of nodes) {
+      expect(node.fftSize).toBe(8192);
+      expect(node.smoothingTimeConstant).toBe(0.5);
+      expect(node.minDecibels).toBe(-120);
+      expect(node.maxDecibels).toBe(-20);
+    }
+  });
+
+  it("keeps the current values for missing or invalid settings", () => {
+    expect(applyAnalyserSettings([], DEFAULTS, {})).toEqual(DEFAULTS);
+    expect(
+      applyAnalyserSettings([], DEFAULTS, {
+        fftSize: 1000,
+        smoothing: "high",
+        minDb: null,
+      }),
+    ).toEqual(DEFAULTS);
+  });
+
+  it("clamps smoothing and the dB range", () => {
+    expect(
+      applyAnalyserSettings([], DEFAULTS, { smoothing: 2 }).smoothing,
+    ).toBe(0.99);
+    expect(
+      applyAnalyserSettings([], DEFAULTS, { smoothing: -1 }).smoothing,
+    ).toBe(0);
+
+    const wide = applyAnalyserSettings([], DEFAULTS, {
+      minDb: -200,
+      maxDb: 20,
+    });
+    expect(wide.minDb).toBe(-140);
+    expect(wide.maxDb).toBe(0);
+  });
+
+  it("keeps the floor at least 10 dB below the ceiling", () => {
+    const raisedFloor = applyAnalyserSettings([], DEFAULTS, { minDb: -25 });
+    expect(raisedFloor.minDb).toBe(-40);
+
+    const loweredCeiling = applyAnalyserSettings([], DEFAULTS, {
+      maxDb: -130,
+    });
+    expect(loweredCeiling.maxDb).toBe(-130);
+    expect(loweredCeiling.minDb).toBe(-140);
+  });
+
+  it("moves a node's range past its old one without an invalid step", () => {
+    const node = new TestAnalyserNode();
+    expect(() =>
+      applyAnalyserSettings([node], DEFAULTS, { minDb: -20, maxDb: 0 }),
+    ).not.toThrow();
+    expect([node.minDecibels, node.maxDecibels]).toEqual([-20, 0]);
+
+    expect(() =>
+      applyAnalyserSettings(
+        [node],
+        { ...DEFAULTS, minDb: -20, maxDb: 0 },
+        {
+          minDb: -140,
+          maxDb: -120,
+        },
+      ),
+    ).not.toThrow();
+    expect([node.minDecibels, node.maxDecibels]).toEqual([-140, -120]);
+  });
+});
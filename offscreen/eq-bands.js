@@ -0,0 +1,52 @@
+// offscreen/eq-bands.js
+// Validation of the EQ band lists sent by the popup with UPDATE_EQ_NODES.
+// Limits are shared with the popup (src/popup/components/graphs.js).
+
+import {
+  DYNAMIC_EQ_MIN_THRESHOLD,
+  FILTER_TYPES,
+  MAX_EQ_BANDS,
+} from "../src/popup/components/graphs";
+
+// Validate a band list from the popup.
+// Returns null when the list is malformed; unknown types fall back to peaking.
+export function sanitizeEqBands(bands) {
+  if (!Array.isArray(bands) || bands.length > MAX_EQ_BANDS) return null;
+
+  const sanitized = [];
+  for (const band of bands) {
+    if (
+      typeof band?.id !== "string" ||
+      !Number.isFinite(band.frequency) ||
+      !Number.isFinite(band.gain) ||
+      !Number.isFinite(band.Q)
+    ) {
+      return null;
+    }
+    const type = FILTER_TYPES.some(({ type }) => type === band.type)
+      ? band.type
+      : "peaking";
+    const sanitizedBand = {
+      id: band.id,
+      type,
+      frequency: band.frequency,
+      gain: Math.max(-30, Math.min(30, band.gain)),
+      Q: band.Q,
+    };
+
+    // Only bell bands can be dynamic; their gain is the maximum cut/boost
+    if (
+      band.dynamic === true &&
+      type === "peaking" &&
+      Number.isFinite(band.threshold)
+    ) {
+      sanitizedBand.dynamic = true;
+      sanitizedBand.threshold = Math.max(
+        DYNAMIC_EQ_MIN_THRESHOLD,
+        Math.min(0, band.threshold),
+      );
+    }
+    sanitized.push(sanitizedBand);
+  }
+  return sanitized;
+}
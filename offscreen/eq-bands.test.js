@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import { sanitizeEqBands } from "./eq-bands";
+import { MAX_EQ_BANDS } from "../src/popup/components/graphs";
+
+function createBand(changes = {}) {
+  return {
+    id: "a",
+    type: "peaking",
+    frequency: 1000,
+    gain: 3,
+    Q: 1,
+    ...changes,
+  };
+}
+
+describe("sanitizeEqBands", () => {
+  it("keeps valid bands", () => {
+    const bands = [
+      createBand(),
+      createBand({ id: "b", type: "highshelf", gain: -4 }),
+    ];
+    expect(sanitizeEqBands(bands)).toEqual(bands);
+  });
+
+  it("drops unknown fields", () => {
+    expect(sanitizeEqBands([createBand({ label: "x" })])).toEqual([
+      createBand(),
+    ]);
+  });
+
+  it("rejects anything but an array within the band limit", () => {
+    expect(sanitizeEqBands(null)).toBeNull();
+    expect(sanitizeEqBands({ length: 1 })).toBeNull();
+    expect(
+      sanitizeEqBands(
+        Array.from({ length: MAX_EQ_BANDS + 1 }, (_, i) =>
+          createBand({ id: String(i) }),
+        ),
+      ),
+    ).toBeNull();
+  });
+
+  it("rejects the whole list when one band is malformed", () => {
+    for (const changes of [
+      { id: 1 },
+      { frequency: NaN },
+      { gain: Infinity },
+      { Q: "1" },
+    ]) {
+      expect(sanitizeEqBands([createBand(), createBand(changes)])).toBeNull();
+    }
+    expect(sanitizeEqBands([null])).toBeNull();
+  });
+
+  it("falls back to peaking for unknown filter types", () => {
+    expect(sanitizeEqBands([createBand({ type: "comb" })])[0].type).toBe(
+      "peaking",
+    );
+  });
+
+  it("clamps gain to ±30 dB", () => {
+    const [boost, cut] = sanitizeEqBands([
+      createBand({ gain: 45 }),
+      createBand({ id: "b", gain: -45 }),
+    ]);
+    expect(boost.gain).toBe(30);
+    expect(cut.gain).toBe(-30);
+  });
+
+  it("keeps dynamic bells and clamps their threshold", () => {
+    const [low, high] = sanitizeEqBands([
+      createBand({ dynamic: true, threshold: -80 }),
+      createBand({ id: "b", dynamic: true, threshold: 6 }),
+    ]);
+    expect(low).toMatchObject({ dynamic: true, threshold: -60 });
+    expect(high).toMatchObject({ dynamic: true, threshold: 0 });
+  });
+
+  it("only lets bell bands with a threshold be dynamic", () => {
+    const [shelf, noThreshold] = sanitizeEqBands([
+      createBand({ type: "lowshelf", dynamic: true, threshold: -20 }),
+      createBand({ id: "b", dynamic: true }),
+    ]);
+    expect(shelf).not.toHaveProperty("dynamic");
+    expect(noThreshold).not.toHaveProperty("dynamic");
+  });
+});
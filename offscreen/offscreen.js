@@ -3,87 +3,2123 @@
 // Its sole responsibility is owning the Web Audio graph and tab audio capture.
 // Background and popup must NEVER touch Web Audio directly.
 
+import { applyAnalyserSettings } from "./analyser";
+import { sanitizeEqBands } from "./eq-bands";
+import {
+  CUT_SLOPES,
+  getBiquadCoefficients,
+  getBiquadMagnitudeDb,
+  getButterworthQs,
+} from "../src/popup/components/graphs";
+import {
+  SPECTRUM_PORT_NAME,
+  encodeSpectrumFrame,
+} from "../src/lib/spectrumStream";
+import { METER_PORT_NAME } from "../src/lib/meterStream";
+
 console.log("[OFFSCREEN] Offscreen audio script loaded");
 
-// Q-factor configuration constants (must match Popup.jsx and Controls.jsx)
-const Q_MULTIPLIER = 2.0; // Multiplier for gain-dependent Q calculation
-const DEFAULT_PEAKING_Q = 0.3; // Default Q for peaking filters
-const DEFAULT_SHELF_Q = 0.75; // Default Q for shelf filters
+// Map<tabId, { audioContext, sourceNode, gainNode, mediaStream, eq, analyserNode, inputAnalyserNode, analyserSettings, agc, limiter, meter, loudness, preamp, stereo, cut }>
+// Stores isolated audio graphs, one per tab.
+// Multiple tabs can have active audio simultaneously.
+// eq: { input, output, routing, channelMode, curves } user EQ; each curve is
+//   { input, output, filters, fade, bandIds, detectors } (BiquadFilterNodes in series)
+// analyserNode: analyser for real-time spectrum data (post-EQ, tapped from gain)
+// inputAnalyserNode: analyser for the unprocessed tab audio (tapped from source)
+// analyserSettings: { fftSize, smoothing, minDb, maxDb } applied to both analysers
+// agc: { node, correctionDb } automatic gain control stage between compressor and limiter
+// limiter: { node, settings, gainReductionDb } brickwall safety limiter
+// meter: { node, peakDb, rmsDb, clipped, updatedAt } per-channel level meter (tapped after the gain, before the limiter)
+// loudness: { node, values } BS.1770 loudness/true-peak meter (tapped after the compressor)
+// preamp: { node, settings, preampDb, peakDb } headroom gain before the dialogue, virtual bass and EQ stages
+// stereo: { input, output, matrix, settings } balance/mono/swap/width stage
+// cut: { input, output, highpass, lowpass, settings } HPF/LPF cut filters
+// compressor: { input, output, node, wet, dry, settings } compressor after the multiband stage
+// multiband: { input, output, network, wet, dry, settings } multiband compressor after gain
+// dialogue: { input, output, center, filters, compressor, trim, wet, dry, settings } voice clarity stage before the EQ
+// karaoke: { input, output, remove, isolate, wet, dry, settings } mid/side vocal remove/center isolate before the stereo tools
+// crossfeed: { input, output, network, wet, dry, settings } BS2B headphone crossfeed after the stereo tools
+// virtualizer: { input, output, panners, wet, dry, settings } HRTF virtual speakers after the crossfeed
+// virtualBass: { input, output, cut, lowpass, highpass, harmonicLowpass, harmonics, wet, dry, settings } bass harmonics before the EQ
+const audioGraphs = new Map();
+
+// Stereo tools defaults (must match Popup.jsx)
+// balance: -1 (left) .. 1 (right), width: 0 (mono) .. 1 (original) .. 2 (wide)
+const DEFAULT_STEREO_SETTINGS = {
+  balance: 0,
+  width: 1,
+  mono: false,
+  swap: false,
+};
+
+// Time constant for smoothing stage parameter and wet/dry changes (seconds)
+const PARAM_SMOOTHING = 0.02;
+
+// Karaoke defaults (must match Popup.jsx)
+// mode: "remove" (cancel the center, keep the bass) or "isolate" (center
+// only), mix: 0 (dry) .. 1 (fully processed)
+const DEFAULT_KARAOKE_SETTINGS = {
+  enabled: false,
+  mode: "remove",
+  mix: 1,
+};
+
+// Vocal removal keeps the center below this frequency (Hz) so kick drum
+// and bass, which are usually mixed in the center too, survive
+const KARAOKE_BASS_CUTOFF = 150;
+
+// Headphone crossfeed defaults (must match Popup.jsx)
+// cutoff: Hz of the crossfed low-pass, feed: dB level difference between the
+// direct and crossfed signal at low frequencies (lower = stronger crossfeed)
+const DEFAULT_CROSSFEED_SETTINGS = {
+  enabled: false,
+  cutoff: 700,
+  feed: 6,
+};
+
+// Virtual speaker defaults (must match Popup.jsx)
+// angle: degrees left/right of center for each speaker, distance: meters
+const DEFAULT_VIRTUALIZER_SETTINGS = {
+  enabled: false,
+  angle: 30,
+  distance: 2,
+};
+
+// High-pass/low-pass cut filter defaults (must match Popup.jsx)
+// frequency: Hz, slope: dB/oct
+const DEFAULT_CUT_SETTINGS = {
+  highpass: { enabled: false, frequency: 20, slope: 24 },
+  lowpass: { enabled: false, frequency: 20000, slope: 24 },
+};
+
+// Biquad sections per cut filter (one per 12 dB/oct of the steepest slope)
+const MAX_CUT_SECTIONS = Math.max(...CUT_SLOPES) / 12;
+
+// Preamp defaults (must match Popup.jsx)
+// auto: derive preamp from the peak boost of the dialogue, virtual bass and
+// EQ stages, manual: dB used when auto is off
+const DEFAULT_PREAMP_SETTINGS = { auto: false, manual: 0 };
+
+// Dynamic range compressor defaults (must match Popup.jsx)
+// threshold: dBFS, ratio: n:1, knee: dB, attack/release: ms, makeup: dB
+const DEFAULT_COMPRESSOR_SETTINGS = {
+  enabled: false,
+  threshold: -24,
+  ratio: 4,
+  knee: 12,
+  attack: 10,
+  release: 250,
+  makeup: 0,
+};
+
+// Dialogue (voice clarity) defaults (must match Popup.jsx)
+// intensity: 0..1 scales every part of the effect, centerFocus: also
+// narrow the stereo image so centered voices stand out from the music
+const DEFAULT_DIALOGUE_SETTINGS = {
+  enabled: false,
+  intensity: 0.5,
+  centerFocus: false,
+};
+
+// Dialogue curve at full intensity: [type, frequency (Hz), Q, gain (dB)]
+// Less bass and mud from the music bed, more speech presence
+const DIALOGUE_FILTERS = [
+  ["lowshelf", 150, 0.7, -6],
+  ["peaking", 300, 1, -3],
+  ["peaking", 3000, 1, 6],
+];
+
+// Dialogue compression at full intensity (threshold dBFS, ratio n:1) and
+// the side level kept by center focus at full intensity
+const DIALOGUE_MAX_THRESHOLD = -30;
+const DIALOGUE_MAX_RATIO = 4;
+const DIALOGUE_MIN_SIDE = 0.2;
+
+// Virtual bass defaults (must match Popup.jsx)
+// frequency: Hz below which bass is turned into harmonics, harmonics: 0..1
+// amount of generated harmonics, cut: dB taken off the original bass
+const DEFAULT_VIRTUAL_BASS_SETTINGS = {
+  enabled: false,
+  frequency: 100,
+  harmonics: 0.5,
+  cut: 0,
+};
+
+// Virtual bass harmonic generator: drive into the waveshaper, harmonics
+// kept up to VIRTUAL_BASS_HARMONIC_RANGE × frequency, and the harmonic
+// gain at full amount
+const VIRTUAL_BASS_DRIVE = 4;
+const VIRTUAL_BASS_HARMONIC_RANGE = 4;
+const VIRTUAL_BASS_MAX_GAIN = 2;
+
+// Multiband compressor defaults (must match Popup.jsx)
+// crossovers: ascending Hz (2 for 3 bands, 3 for 4 bands),
+// bands: { threshold (dBFS), ratio (n:1) } per band from low to high
+const DEFAULT_MULTIBAND_SETTINGS = {
+  enabled: false,
+  crossovers: [200, 2000],
+  bands: [
+    { threshold: -24, ratio: 3 },
+    { threshold: -24, ratio: 3 },
+    { threshold: -24, ratio: 3 },
+  ],
+};
+
+// Multiband compressor limits and the dynamics shared by every band
+// (knee: dB, attack/release: seconds)
+const MULTIBAND_MIN_BANDS = 3;
+const MULTIBAND_MAX_BANDS = 4;
+const MULTIBAND_KNEE = 6;
+const MULTIBAND_ATTACK = 0.01;
+const MULTIBAND_RELEASE = 0.2;
+
+// Automatic gain control defaults (must match Popup.jsx)
+// Shared by every captured tab. target: LUFS, attack/release: how fast the
+// correction may fall/rise (dB per second), maxBoost: correction cap (dB)
+const DEFAULT_AGC_SETTINGS = {
+  enabled: false,
+  target: -16,
+  attack: 10,
+  release: 2,
+  maxBoost: 12,
+};
+
+// AGC update period (ms), largest cut (dB) and the loudness below which the
+// correction is held (silence/pauses must not be boosted)
+const AGC_UPDATE_INTERVAL_MS = 100;
+const AGC_MAX_CUT_DB = 30;
+const AGC_GATE_LUFS = -50;
+
+// Time constant for smoothing AGC gain changes (seconds)
+const AGC_SMOOTHING = 0.05;
+
+// Log-spaced frequencies used to find the peak of the combined EQ response
+const RESPONSE_POINTS = 256;
+const RESPONSE_MIN_FREQ = 20;
+const RESPONSE_MAX_FREQ = 20000;
+
+// Spectrum analyser defaults (must match Popup.jsx)
+// smoothing: 0..0.99 time averaging, minDb/maxDb: dB range mapped to 0-255
+const DEFAULT_ANALYSER_SETTINGS = {
+  fftSize: 2048,
+  smoothing: 0.85,
+  minDb: -100,
+  maxDb: -30,
+};
+
+// Spectrum stream (port name and frame encoding in src/lib/spectrumStream.js)
+// Frames are pushed at the requested rate (clamped to 1-60 fps); a frame is
+// only sent once the previous one was acknowledged, or after the ack timeout.
+const SPECTRUM_MIN_FPS = 1;
+const SPECTRUM_MAX_FPS = 60;
+const SPECTRUM_ACK_TIMEOUT_MS = 1000;
+
+// Meter stream (port name and frame layout in src/lib/meterStream.js)
+// Frames are pushed at a fixed rate, fast enough for smooth meters.
+const METER_STREAM_INTERVAL_MS = 1000 / 30;
+
+// Upper bound on frequencies per GET_FREQUENCY_RESPONSE request
+const MAX_RESPONSE_REQUEST_POINTS = 2048;
+
+// Brickwall limiter defaults (must match Popup.jsx)
+// ceiling: dBFS, release: ms
+const DEFAULT_LIMITER_SETTINGS = { enabled: true, ceiling: -1, release: 100 };
+const LIMITER_LOOKAHEAD_MS = 5;
+
+// Level meter ballistics
+// Peaks fall at METER_PEAK_FALL_DB_PER_SECOND, RMS integrates over
+// METER_RMS_TIME (seconds); levels are floored at METER_FLOOR_DB
+const METER_PEAK_FALL_DB_PER_SECOND = 20;
+const METER_RMS_TIME = 0.3;
+const METER_FLOOR_DB = -100;
+
+// Loudness readout before anything has been measured (LUFS / dBTP)
+const EMPTY_LOUDNESS = {
+  momentary: null,
+  shortTerm: null,
+  integrated: null,
+  truePeak: null,
+};
+
+// AudioWorklet module URLs (resolved by Vite at build time)
+const LIMITER_WORKLET_URL = new URL(
+  "./worklets/limiter-processor.js",
+  import.meta.url,
+);
+const METER_WORKLET_URL = new URL(
+  "./worklets/meter-processor.js",
+  import.meta.url,
+);
+const LOUDNESS_WORKLET_URL = new URL(
+  "./worklets/loudness-processor.js",
+  import.meta.url,
+);
+const DYNAMIC_EQ_WORKLET_URL = new URL(
+  "./worklets/dynamic-eq-processor.js",
+  import.meta.url,
+);
+
+// Crossfade time when bands are added or removed (seconds)
+const EQ_CROSSFADE = 0.03;
+
+// EQ channel modes: one curve for both channels ("stereo"), or separate
+// curves for left/right ("lr") or mid/side ("ms")
+const EQ_CHANNEL_MODES = ["stereo", "lr", "ms"];
+
+// EQ routing gains per channel mode. In stereo mode the first curve runs
+// on the stereo signal directly (link). Split modes encode L/R into the
+// inputs of curves A and B and decode their outputs back to L/R:
+//   A = leftToA·L + rightToA·R    outL = aToLeft·A + bToLeft·B
+//   B = leftToB·L + rightToB·R    outR = aToRight·A + bToRight·B
+// Mid/side: A = mid = (L + R) / 2, B = side = (L - R) / 2
+const EQ_CHANNEL_ROUTING = {
+  stereo: {
+    linkIn: 1,
+    linkOut: 1,
+    leftToA: 0,
+    rightToA: 0,
+    leftToB: 0,
+    rightToB: 0,
+    aToLeft: 0,
+    bToLeft: 0,
+    aToRight: 0,
+    bToRight: 0,
+  },
+  lr: {
+    linkIn: 0,
+    linkOut: 0,
+    leftToA: 1,
+    rightToA: 0,
+    leftToB: 0,
+    rightToB: 1,
+    aToLeft: 1,
+    bToLeft: 0,
+    aToRight: 0,
+    bToRight: 1,
+  },
+  ms: {
+    linkIn: 0,
+    linkOut: 0,
+    leftToA: 0.5,
+    rightToA: 0.5,
+    leftToB: 0.5,
+    rightToB: -0.5,
+    aToLeft: 1,
+    bToLeft: 1,
+    aToRight: 1,
+    bToRight: -1,
+  },
+};
+
+// Dynamic EQ band detector timing (ms)
+const DYNAMIC_EQ_ATTACK_MS = 5;
+const DYNAMIC_EQ_RELEASE_MS = 150;
+
+// Create a stage input that up-mixes mono sources to stereo, so a channel
+// splitter behind it always sees both channels.
+function createStereoInput(audioContext) {
+  const input = audioContext.createGain();
+  input.channelCount = 2;
+  input.channelCountMode = "explicit";
+  input.channelInterpretation = "speakers";
+  return input;
+}
+
+// Mix a stage's processed (wet) and bypass (dry) paths.
+// mix: 0 (dry) .. 1 (fully processed), wetGain scales the processed path.
+function setWetDry(audioContext, { wet, dry }, mix, wetGain = 1) {
+  const now = audioContext.currentTime;
+  wet.gain.setTargetAtTime(mix * wetGain, now, PARAM_SMOOTHING);
+  dry.gain.setTargetAtTime(1 - mix, now, PARAM_SMOOTHING);
+}
+
+// Fade one gain out and another in over EQ_CROSSFADE, for swapping a
+// rebuilt filter network in place of the old one
+function crossfadeGains(audioContext, fadeOut, fadeIn) {
+  const now = audioContext.currentTime;
+  fadeOut.gain.cancelScheduledValues(now);
+  fadeOut.gain.setValueAtTime(fadeOut.gain.value, now);
+  fadeOut.gain.linearRampToValueAtTime(0, now + EQ_CROSSFADE);
+  fadeIn.gain.setValueAtTime(0, now);
+  fadeIn.gain.linearRampToValueAtTime(1, now + EQ_CROSSFADE);
+}
+
+// Create the EQ section for a given audio graph.
+// Holds two curves (A: both channels, left or mid; B: right or side) and
+// the routing between them (see EQ_CHANNEL_ROUTING):
+//   input → linkIn → A ─────────────────→ linkOut → output
+//   input → splitter → encode → A, B → decode → merger → output
+// Starts without bands in stereo mode; UPDATE_EQ_NODES builds the filter
+// chains from the popup's band lists.
+// The dynamic EQ worklet is loaded up front so detectors can be created
+// synchronously whenever a band is switched to dynamic.
+async function createEqSection(audioContext) {
+  await audioContext.audioWorklet.addModule(DYNAMIC_EQ_WORKLET_URL);
+
+  const input = createStereoInput(audioContext);
+
+  const output = audioContext.createGain();
+  const splitter = audioContext.createChannelSplitter(2);
+  const merger = audioContext.createChannelMerger(2);
+  const curves = [createEqCurve(audioContext), createEqCurve(audioContext)];
+  const routing = {};
+  for (const key in EQ_CHANNEL_ROUTING.stereo) {
+    routing[key] = audioContext.createGain();
+  }
+
+  input.connect(routing.linkIn);
+  routing.linkIn.connect(curves[0].input);
+  curves[0].output.connect(routing.linkOut);
+  routing.linkOut.connect(output);
+
+  input.connect(splitter);
+  splitter.connect(routing.leftToA, 0);
+  splitter.connect(routing.rightToA, 1);
+  splitter.connect(routing.leftToB, 0);
+  splitter.connect(routing.rightToB, 1);
+  routing.leftToA.connect(curves[0].input);
+  routing.rightToA.connect(curves[0].input);
+  routing.leftToB.connect(curves[1].input);
+  routing.rightToB.connect(curves[1].input);
+
+  // Curve A's output is stereo (it also serves the link path); the merger
+  // inputs down-mix it back to the single channel it carries when split
+  curves[0].output.connect(routing.aToLeft);
+  curves[0].output.connect(routing.aToRight);
+  curves[1].output.connect(routing.bToLeft);
+  curves[1].output.connect(routing.bToRight);
+  routing.aToLeft.connect(merger, 0, 0);
+  routing.bToLeft.connect(merger, 0, 0);
+  routing.aToRight.connect(merger, 0, 1);
+  routing.bToRight.connect(merger, 0, 1);
+  merger.connect(output);
+
+  const eq = { input, output, routing, channelMode: "stereo", curves };
+  setEqChannelMode(audioContext, eq, "stereo");
+  return eq;
+}
+
+// Create one EQ curve (input → fade → output until bands are added)
+function createEqCurve(audioContext) {
+  const input = audioContext.createGain();
+  const output = audioContext.createGain();
+  const fade = audioContext.createGain();
+
+  input.connect(fade);
+  fade.connect(output);
+
+  return { input, output, filters: [], fade, bandIds: [], detectors: [] };
+}
+
+// Switch the EQ routing between stereo, left/right and mid/side
+function setEqChannelMode(audioContext, eq, channelMode) {
+  eq.channelMode = channelMode;
+
+  const gains = EQ_CHANNEL_ROUTING[channelMode];
+  for (const key in gains) {
+    eq.routing[key].gain.setTargetAtTime(
+      gains[key],
+      audioContext.currentTime,
+      PARAM_SMOOTHING,
+    );
+  }
+}
+
+// Apply one band's parameters to a biquad filter.
+// Assigning .value (equivalent to setValueAtTime at currentTime) also
+// updates the value seen by getFrequencyResponse immediately, which the
+// auto preamp relies on. Dynamic bands keep a static gain of 0 dB: their
+// detector drives the gain AudioParam.
+function applyEqBand(filter, band) {
+  // Type first: Q conversion depends on it
+  filter.type = band.type;
+  filter.frequency.value = band.frequency;
+  filter.Q.value = toBiquadQ(band.type, band.Q);
+  filter.gain.value = band.dynamic ? 0 : band.gain;
+}
+
+// Create the level detector of a dynamic EQ band:
+//   curve input → bandpass (band frequency/Q) → dynamic-eq worklet → filter.gain
+// The worklet reports the applied gain, which is cached for the popup
+// (see getDynamicEqGains).
+function createDynamicEqDetector(audioContext, curve, filter) {
+  const bandpass = audioContext.createBiquadFilter();
+  bandpass.type = "bandpass";
+
+  const node = new AudioWorkletNode(audioContext, "dynamic-eq", {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    outputChannelCount: [1],
+  });
+
+  curve.input.connect(bandpass);
+  bandpass.connect(node);
+  node.connect(filter.gain);
+
+  const detector = { bandpass, node, settings: null, gainDb: 0 };
+  node.port.onmessage = (e) => {
+    if (e.data?.type === "gain") detector.gainDb = e.data.db;
+  };
+  return detector;
+}
+
+// Point a detector at its band and send the threshold and maximum gain
+function configureDynamicEqDetector(detector, band) {
+  detector.bandpass.frequency.value = band.frequency;
+  detector.bandpass.Q.value = band.Q;
+  detector.settings = { threshold: band.threshold, maxGain: band.gain };
+  detector.node.port.postMessage({
+    type: "settings",
+    ...detector.settings,
+    attack: DYNAMIC_EQ_ATTACK_MS,
+    release: DYNAMIC_EQ_RELEASE_MS,
+  });
+}
+
+// Disconnect a detector from the curve input and its band filter
+function removeDynamicEqDetector(curve, detector) {
+  curve.input.disconnect(detector.bandpass);
+  detector.bandpass.disconnect();
+  detector.node.port.onmessage = null;
+  detector.node.disconnect();
+}
+
+// Create, update or remove the detector of each band to match the band list
+function updateDynamicEqDetectors(
+  audioContext,
+  curve,
+  filters,
+  detectors,
+  bands,
+) {
+  return bands.map((band, i) => {
+    let detector = detectors[i] ?? null;
+    if (!band.dynamic) {
+      if (detector) removeDynamicEqDetector(curve, detector);
+      return null;
+    }
+
+    detector ??= createDynamicEqDetector(audioContext, curve, filters[i]);
+    configureDynamicEqDetector(detector, band);
+    return detector;
+  });
+}
+
+// Gain (dB) each dynamic band of both curves currently applies, by band id
+function getDynamicEqGains(eq) {
+  const gains = {};
+  for (const curve of eq.curves) {
+    curve.detectors.forEach((detector, i) => {
+      if (detector) gains[curve.bandIds[i]] = detector.gainDb;
+    });
+  }
+  return gains;
+}
+
+// Read a curve's bands back from its filters
+// (dynamic bands report their maximum gain and threshold)
+function getEqCurveBands(curve) {
+  return curve.filters.map((filter, i) => {
+    const band = {
+      id: curve.bandIds[i],
+      type: filter.type,
+      frequency: filter.frequency.value,
+      gain: filter.gain.value,
+      Q: fromBiquadQ(filter.type, filter.Q.value),
+    };
+    const detector = curve.detectors[i];
+    return detector
+      ? {
+          ...band,
+          gain: detector.settings.maxGain,
+          dynamic: true,
+          threshold: detector.settings.threshold,
+        }
+      : band;
+  });
+}
+
+// Update the EQ section to match its channel mode and band lists.
+// secondaryBands (right or side curve) are only used in split modes;
+// in stereo mode curve B is emptied.
+function updateEqSection(audioContext, eq, bands, channelMode, secondaryBands) {
+  if (channelMode !== eq.channelMode) {
+    setEqChannelMode(audioContext, eq, channelMode);
+  }
+  updateEqCurve(audioContext, eq.curves[0], bands);
+  updateEqCurve(
+    audioContext,
+    eq.curves[1],
+    channelMode === "stereo" ? [] : secondaryBands,
+  );
+}
+
+// Update one EQ curve to match a band list.
+// Same bands (by id and order): parameters are updated in place.
+// Bands added/removed: a new filter chain is built next to the old one and
+// the two are crossfaded, so the change does not click; the old chain is
+// disconnected once the fade has finished.
+// Dynamic bands get a level detector driving their filter's gain.
+function updateEqCurve(audioContext, curve, bands) {
+  const bandIds = bands.map((band) => band.id);
+  const sameBands =
+    bandIds.length === curve.bandIds.length &&
+    bandIds.every((id, i) => id === curve.bandIds[i]);
+
+  if (sameBands) {
+    bands.forEach((band, i) => applyEqBand(curve.filters[i], band));
+    curve.detectors = updateDynamicEqDetectors(
+      audioContext,
+      curve,
+      curve.filters,
+      curve.detectors,
+      bands,
+    );
+    return;
+  }
+
+  // Build the new chain: input → filters (series) → fade → output
+  const filters = bands.map((band) => {
+    const filter = audioContext.createBiquadFilter();
+    applyEqBand(filter, band);
+    return filter;
+  });
+  const fade = audioContext.createGain();
+  fade.gain.value = 0;
+
+  let previousNode = curve.input;
+  for (const filter of filters) {
+    previousNode.connect(filter);
+    previousNode = filter;
+  }
+  previousNode.connect(fade);
+  fade.connect(curve.output);
+
+  // Crossfade from the old chain to the new one
+  const oldFade = curve.fade;
+  crossfadeGains(audioContext, oldFade, fade);
+
+  // Tear down the old chain after the fade
+  const oldFirstNode = curve.filters[0] ?? oldFade;
+  const oldFilters = curve.filters;
+  const oldDetectors = curve.detectors;
+  setTimeout(
+    () => {
+      curve.input.disconnect(oldFirstNode);
+      oldFilters.forEach((filter) => filter.disconnect());
+      oldDetectors.forEach(
+        (detector) => detector && removeDynamicEqDetector(curve, detector),
+      );
+      oldFade.disconnect();
+    },
+    EQ_CROSSFADE * 1000 + 20,
+  );
+
+  curve.filters = filters;
+  curve.fade = fade;
+  curve.bandIds = bandIds;
+  curve.detectors = updateDynamicEqDetectors(
+    audioContext,
+    curve,
+    filters,
+    [],
+    bands,
+  );
+}
+
+// Create the look-ahead brickwall limiter for a given audio graph.
+// The limiter runs in an AudioWorklet and reports its gain reduction
+// back through the worklet port, which is cached on the returned object.
+async function createLimiter(audioContext) {
+  await audioContext.audioWorklet.addModule(LIMITER_WORKLET_URL);
+
+  const node = new AudioWorkletNode(audioContext, "brickwall-limiter", {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    outputChannelCount: [2],
+    processorOptions: { lookaheadMs: LIMITER_LOOKAHEAD_MS },
+  });
+
+  const limiter = {
+    node,
+    settings: { ...DEFAULT_LIMITER_SETTINGS },
+    gainReductionDb: 0,
+  };
+
+  node.port.onmessage = (e) => {
+    if (e.data?.type === "gainReduction") {
+      limiter.gainReductionDb = e.data.db;
+    }
+  };
+
+  applyLimiterSettings(limiter, DEFAULT_LIMITER_SETTINGS);
+  return limiter;
+}
+
+// Merge partial limiter settings and forward them to the worklet.
+// Values are clamped to the ranges exposed in the popup.
+function applyLimiterSettings(limiter, settings = {}) {
+  const next = { ...limiter.settings };
+
+  if (typeof settings.enabled === "boolean") next.enabled = settings.enabled;
+  if (typeof settings.ceiling === "number") {
+    next.ceiling = Math.max(-24, Math.min(0, settings.ceiling));
+  }
+  if (typeof settings.release === "number") {
+    next.release = Math.max(10, Math.min(1000, settings.release));
+  }
+
+  limiter.settings = next;
+  limiter.node.port.postMessage({ type: "settings", ...next });
+}
+
+// Convert a linear amplitude to dB, floored at METER_FLOOR_DB
+function amplitudeToMeterDb(amplitude) {
+  return Math.max(METER_FLOOR_DB, 20 * Math.log10(Math.max(amplitude, 1e-10)));
+}
+
+// Create the per-channel peak/RMS level meter for a given audio graph.
+// The worklet reports raw levels every ~33 ms; peak fall-off and RMS
+// integration are applied here so polling at any rate reads steady values.
+// The clip flag latches until RESET_CLIP.
+async function createLevelMeter(audioContext) {
+  await audioContext.audioWorklet.addModule(METER_WORKLET_URL);
+
+  const node = new AudioWorkletNode(audioContext, "level-meter", {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+  });
+
+  const meter = {
+    node,
+    peakDb: [METER_FLOOR_DB, METER_FLOOR_DB],
+    rmsDb: [METER_FLOOR_DB, METER_FLOOR_DB],
+    meanSquares: [0, 0],
+    clipped: false,
+    updatedAt: performance.now(),
+  };
+
+  node.port.onmessage = (e) => {
+    if (e.data?.type !== "levels") return;
+
+    const now = performance.now();
+    const elapsed = (now - meter.updatedAt) / 1000;
+    meter.updatedAt = now;
+
+    const fall = elapsed * METER_PEAK_FALL_DB_PER_SECOND;
+    const rmsCoef = 1 - Math.exp(-elapsed / METER_RMS_TIME);
+
+    meter.peakDb = e.data.peaks.map((peak, ch) =>
+      Math.max(
+        amplitudeToMeterDb(peak),
+        (meter.peakDb[ch] ?? METER_FLOOR_DB) - fall,
+      ),
+    );
+    meter.meanSquares = e.data.meanSquares.map((meanSquare, ch) => {
+      const previous = meter.meanSquares[ch] ?? 0;
+      return previous + (meanSquare - previous) * rmsCoef;
+    });
+    meter.rmsDb = meter.meanSquares.map((meanSquare) =>
+      amplitudeToMeterDb(Math.sqrt(meanSquare)),
+    );
+    if (e.data.clipped) meter.clipped = true;
+  };
+
+  return meter;
+}
+
+// Current meter readout sent to the popup (meter stream, GET_ALL_METERS)
+function getMeterLevels(meter) {
+  return {
+    peakDb: meter.peakDb,
+    rmsDb: meter.rmsDb,
+    clipped: meter.clipped,
+  };
+}
+
+// Create the BS.1770 loudness meter for a given audio graph.
+// The worklet reports momentary/short-term/integrated LUFS and true-peak
+// dBTP every 100 ms (null while not yet measurable); the latest values are
+// cached here for the meter stream.
+async function createLoudnessMeter(audioContext) {
+  await audioContext.audioWorklet.addModule(LOUDNESS_WORKLET_URL);
+
+  const node = new AudioWorkletNode(audioContext, "loudness-meter", {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+  });
+
+  const loudness = {
+    node,
+    values: { ...EMPTY_LOUDNESS },
+  };
+
+  node.port.onmessage = (e) => {
+    if (e.data?.type !== "loudness") return;
+    const { momentary, shortTerm, integrated, truePeak } = e.data;
+    loudness.values = { momentary, shortTerm, integrated, truePeak };
+  };
+
+  return loudness;
+}
+
+// Shared AGC settings for all tabs (updated by SET_AGC)
+let agcSettings = { ...DEFAULT_AGC_SETTINGS };
+
+// Merge partial AGC settings; values are clamped to the popup ranges
+function applyAgcSettings(settings = {}) {
+  const next = { ...agcSettings };
+
+  if (typeof settings.enabled === "boolean") next.enabled = settings.enabled;
+  if (typeof settings.target === "number") {
+    next.target = Math.max(-40, Math.min(-6, settings.target));
+  }
+  if (typeof settings.attack === "number") {
+    next.attack = Math.max(0.5, Math.min(60, settings.attack));
+  }
+  if (typeof settings.release === "number") {
+    next.release = Math.max(0.1, Math.min(30, settings.release));
+  }
+  if (typeof settings.maxBoost === "number") {
+    next.maxBoost = Math.max(0, Math.min(24, settings.maxBoost));
+  }
+
+  agcSettings = next;
+}
+
+// Create the AGC gain stage (unity until the AGC loop corrects it)
+function createAgcStage(audioContext) {
+  const node = audioContext.createGain();
+  node.gain.value = 1;
+  return { node, correctionDb: 0 };
+}
+
+// Move every tab's AGC correction toward the target loudness.
+// Loudness is measured after the volume slider, so the volume is taken back
+// out: the AGC levels the source and the slider still trims on top of it.
+// Falling corrections are limited by attack, rising ones by release; the
+// correction is held while a tab is silent or not yet measured.
+function updateAgc() {
+  const elapsed = AGC_UPDATE_INTERVAL_MS / 1000;
+
+  for (const graph of audioGraphs.values()) {
+    const { agc, loudness, gainNode, audioContext } = graph;
+    if (!agc || !loudness) continue;
+
+    let desiredDb = 0;
+    if (agcSettings.enabled) {
+      const measured =
+        loudness.values.shortTerm ?? loudness.values.momentary ?? null;
+      const volume = gainNode.gain.value;
+      if (measured === null || measured < AGC_GATE_LUFS || volume < 1e-4) {
+        continue; // Hold the current correction
+      }
+
+      const sourceLoudness = measured - 20 * Math.log10(volume);
+      desiredDb = Math.max(
+        -AGC_MAX_CUT_DB,
+        Math.min(agcSettings.maxBoost, agcSettings.target - sourceLoudness),
+      );
+    }
+
+    const rate =
+      desiredDb < agc.correctionDb ? agcSettings.attack : agcSettings.release;
+    const step = rate * elapsed;
+    agc.correctionDb = Math.max(
+      agc.correctionDb - step,
+      Math.min(agc.correctionDb + step, desiredDb),
+    );
+
+    agc.node.gain.setTargetAtTime(
+      Math.pow(10, agc.correctionDb / 20),
+      audioContext.currentTime,
+      AGC_SMOOTHING,
+    );
+  }
+}
+
+setInterval(updateAgc, AGC_UPDATE_INTERVAL_MS);
+
+// Current AGC correction of every captured tab: { [tabId]: dB }
+function getAgcCorrections() {
+  const corrections = {};
+  for (const [graphTabId, graph] of audioGraphs) {
+    if (graph.agc) corrections[graphTabId] = graph.agc.correctionDb;
+  }
+  return corrections;
+}
+
+// Create the preamp (headroom) gain stage that sits before the EQ filters
+function createPreamp(audioContext) {
+  const node = audioContext.createGain();
+  node.gain.value = 1.0;
+
+  return {
+    node,
+    settings: { ...DEFAULT_PREAMP_SETTINGS },
+    preampDb: 0,
+    peakDb: 0,
+  };
+}
+
+// Compute the combined response of biquad filters in series.
+// Uses BiquadFilterNode.getFrequencyResponse at the context's real sample rate.
+// Returns { magnitudeDb, phase } (phase in radians, wrapped to -π..π).
+function getFilterChainResponse(filters, frequencies) {
+  const count = frequencies.length;
+
+  // Sum of per-filter dB (and phase) responses = response of the cascade
+  const magnitudeDb = new Float32Array(count);
+  const phase = new Float32Array(count);
+  const magResponse = new Float32Array(count);
+  const phaseResponse = new Float32Array(count);
+  for (const filter of filters) {
+    filter.getFrequencyResponse(frequencies, magResponse, phaseResponse);
+    for (let i = 0; i < count; i++) {
+      magnitudeDb[i] += 20 * Math.log10(Math.max(magResponse[i], 1e-10));
+      phase[i] += phaseResponse[i];
+    }
+  }
+
+  for (let i = 0; i < count; i++) {
+    phase[i] = Math.atan2(Math.sin(phase[i]), Math.cos(phase[i]));
+  }
+
+  return { magnitudeDb, phase };
+}
+
+// Log-spaced frequencies (Hz) used to find response peaks
+function getResponseFrequencies(audioContext) {
+  const maxFreq = Math.min(RESPONSE_MAX_FREQ, audioContext.sampleRate / 2);
+  const frequencies = new Float32Array(RESPONSE_POINTS);
+  for (let i = 0; i < RESPONSE_POINTS; i++) {
+    frequencies[i] =
+      RESPONSE_MIN_FREQ *
+      Math.pow(maxFreq / RESPONSE_MIN_FREQ, i / (RESPONSE_POINTS - 1));
+  }
+  return frequencies;
+}
+
+// Compute the peak (dB) of the combined magnitude response of all EQ filters.
+function getEqResponsePeakDb(audioContext, filters) {
+  const { magnitudeDb } = getFilterChainResponse(
+    filters,
+    getResponseFrequencies(audioContext),
+  );
+  return Math.max(...magnitudeDb);
+}
+
+// Peak boost (dB, >= 0) of the dialogue speech curve.
+// Computed from the settings rather than the filter nodes, whose gains are
+// still gliding towards their targets right after a change.
+function getDialogueBoostDb(audioContext, { enabled, intensity }) {
+  if (!enabled) return 0;
+
+  const { sampleRate } = audioContext;
+  const coefficients = DIALOGUE_FILTERS.map(([type, frequency, q, gain]) =>
+    getBiquadCoefficients(type, frequency, q, gain * intensity, sampleRate),
+  );
+  let peakDb = 0;
+  for (const frequency of getResponseFrequencies(audioContext)) {
+    let magnitudeDb = 0;
+    for (const filter of coefficients) {
+      magnitudeDb += getBiquadMagnitudeDb(filter, frequency, sampleRate);
+    }
+    peakDb = Math.max(peakDb, magnitudeDb);
+  }
+  return peakDb;
+}
+
+// Peak boost (dB, >= 0) of the virtual bass stage: the worst case where the
+// generated harmonics add in phase with the signal at their frequencies
+function getVirtualBassBoostDb({ enabled, harmonics }) {
+  if (!enabled) return 0;
+  return 20 * Math.log10(1 + harmonics * VIRTUAL_BASS_MAX_GAIN);
+}
+
+// Recalculate and apply the preamp gain for a graph.
+// Auto mode: negative gain matching the peak boost after the preamp (never
+// boosts): the dialogue and virtual bass boosts plus the EQ response peak;
+// with separate curves the higher of the two EQ peaks is used.
+// Manual mode: the user's manual preamp value.
+function updatePreamp(graph) {
+  const { preamp, audioContext, eq, dialogue, virtualBass } = graph;
+
+  preamp.peakDb =
+    getDialogueBoostDb(audioContext, dialogue.settings) +
+    getVirtualBassBoostDb(virtualBass.settings) +
+    Math.max(
+      ...eq.curves.map((curve) =>
+        getEqResponsePeakDb(audioContext, curve.filters),
+      ),
+    );
+  preamp.preampDb = preamp.settings.auto
+    ? -Math.max(0, preamp.peakDb)
+    : preamp.settings.manual;
+
+  preamp.node.gain.setValueAtTime(
+    Math.pow(10, preamp.preampDb / 20),
+    audioContext.currentTime,
+  );
+}
+
+// Merge partial preamp settings (manual clamped to -30..+10 dB)
+function applyPreampSettings(graph, settings = {}) {
+  const next = { ...graph.preamp.settings };
+
+  if (typeof settings.auto === "boolean") next.auto = settings.auto;
+  if (typeof settings.manual === "number") {
+    next.manual = Math.max(-30, Math.min(10, settings.manual));
+  }
+
+  graph.preamp.settings = next;
+  updatePreamp(graph);
+}
+
+// Create the stereo tools stage.
+// Splits the signal into L/R and recombines it through a 2x2 gain matrix:
+//   outL = LL·L + RL·R
+//   outR = LR·L + RR·R
+// Balance, mono, channel swap and mid/side width are all linear,
+// so they collapse into the four matrix coefficients.
+function createStereoStage(audioContext) {
+  const input = createStereoInput(audioContext);
+
+  const splitter = audioContext.createChannelSplitter(2);
+  const merger = audioContext.createChannelMerger(2);
+  const matrix = {
+    LL: audioContext.createGain(),
+    RL: audioContext.createGain(),
+    LR: audioContext.createGain(),
+    RR: audioContext.createGain(),
+  };
+
+  input.connect(splitter);
+  splitter.connect(matrix.LL, 0);
+  splitter.connect(matrix.RL, 1);
+  splitter.connect(matrix.LR, 0);
+  splitter.connect(matrix.RR, 1);
+  matrix.LL.connect(merger, 0, 0);
+  matrix.RL.connect(merger, 0, 0);
+  matrix.LR.connect(merger, 0, 1);
+  matrix.RR.connect(merger, 0, 1);
+
+  const stereo = {
+    input,
+    output: merger,
+    matrix,
+    settings: { ...DEFAULT_STEREO_SETTINGS },
+  };
+  applyStereoSettings(audioContext, stereo, DEFAULT_STEREO_SETTINGS);
+  return stereo;
+}
+
+// Compute the 2x2 stereo matrix for the given settings.
+// Order of operations: swap → width (mono = width 0) → balance
+function getStereoMatrix({ balance, width, mono, swap }) {
+  // Swap: [L, R] → [R, L]
+  let m = swap ? [0, 1, 1, 0] : [1, 0, 0, 1]; // [LL, RL, LR, RR]
+
+  // Mid/side width: L' = M + w·S, R' = M − w·S
+  const w = mono ? 0 : width;
+  const a = (1 + w) / 2;
+  const b = (1 - w) / 2;
+  m = [
+    a * m[0] + b * m[2],
+    a * m[1] + b * m[3],
+    b * m[0] + a * m[2],
+    b * m[1] + a * m[3],
+  ];
+
+  // Balance: attenuate the opposite channel (linear pan law)
+  const leftGain = balance > 0 ? 1 - balance : 1;
+  const rightGain = balance < 0 ? 1 + balance : 1;
+  return {
+    LL: m[0] * leftGain,
+    RL: m[1] * leftGain,
+    LR: m[2] * rightGain,
+    RR: m[3] * rightGain,
+  };
+}
+
+// Merge partial stereo settings and smoothly apply the resulting matrix
+function applyStereoSettings(audioContext, stereo, settings = {}) {
+  const next = { ...stereo.settings };
+
+  if (typeof settings.balance === "number") {
+    next.balance = Math.max(-1, Math.min(1, settings.balance));
+  }
+  if (typeof settings.width === "number") {
+    next.width = Math.max(0, Math.min(2, settings.width));
+  }
+  if (typeof settings.mono === "boolean") next.mono = settings.mono;
+  if (typeof settings.swap === "boolean") next.swap = settings.swap;
+
+  stereo.settings = next;
+
+  const coefficients = getStereoMatrix(next);
+  for (const key in coefficients) {
+    stereo.matrix[key].gain.setTargetAtTime(
+      coefficients[key],
+      audioContext.currentTime,
+      PARAM_SMOOTHING,
+    );
+  }
+}
+
+// Create the karaoke (mid/side) stage.
+// mid = (L + R) / 2 holds everything panned to the center (usually the
+// vocals), side = (L - R) / 2 everything panned away from it.
+//   remove:  outL = side + lowpass(mid), outR = -side + lowpass(mid)
+//   isolate: outL = outR = mid
+// The active mode feeds wet, which is mixed with the dry signal:
+//   input → remove/isolate → wet → output
+//   input → dry → output
+function createKaraokeStage(audioContext) {
+  const input = createStereoInput(audioContext);
+
+  const splitter = audioContext.createChannelSplitter(2);
+  const mid = audioContext.createGain();
+  const side = audioContext.createGain();
+  const sideInverted = audioContext.createGain();
+  const toMid = [audioContext.createGain(), audioContext.createGain()];
+  const toSide = [audioContext.createGain(), audioContext.createGain()];
+
+  input.connect(splitter);
+  toMid.forEach((gain, channel) => {
+    gain.gain.value = 0.5;
+    splitter.connect(gain, channel);
+    gain.connect(mid);
+  });
+  toSide.forEach((gain, channel) => {
+    gain.gain.value = channel === 0 ? 0.5 : -0.5;
+    splitter.connect(gain, channel);
+    gain.connect(side);
+  });
+  sideInverted.gain.value = -1;
+  side.connect(sideInverted);
+
+  // Center bass kept by vocal removal (24 dB/oct, Linkwitz-Riley)
+  let bass = mid;
+  for (let i = 0; i < 2; i++) {
+    const filter = audioContext.createBiquadFilter();
+    filter.type = "lowpass";
+    filter.frequency.value = KARAOKE_BASS_CUTOFF;
+    filter.Q.value = toBiquadQ("lowpass", Math.SQRT1_2);
+    bass.connect(filter);
+    bass = filter;
+  }
+
+  const removeMerger = audioContext.createChannelMerger(2);
+  side.connect(removeMerger, 0, 0);
+  sideInverted.connect(removeMerger, 0, 1);
+  bass.connect(removeMerger, 0, 0);
+  bass.connect(removeMerger, 0, 1);
+
+  const isolateMerger = audioContext.createChannelMerger(2);
+  mid.connect(isolateMerger, 0, 0);
+  mid.connect(isolateMerger, 0, 1);
+
+  const remove = audioContext.createGain();
+  const isolate = audioContext.createGain();
+  const wet = audioContext.createGain();
+  const dry = audioContext.createGain();
+  const output = audioContext.createGain();
+
+  removeMerger.connect(remove);
+  isolateMerger.connect(isolate);
+  remove.connect(wet);
+  isolate.connect(wet);
+  wet.connect(output);
+  input.connect(dry);
+  dry.connect(output);
+
+  const karaoke = {
+    input,
+    output,
+    remove,
+    isolate,
+    wet,
+    dry,
+    settings: { ...DEFAULT_KARAOKE_SETTINGS },
+  };
+  applyKaraokeSettings(audioContext, karaoke, DEFAULT_KARAOKE_SETTINGS);
+  return karaoke;
+}
+
+// Merge partial karaoke settings and apply them.
+// Switching modes and changing the mix are crossfaded.
+function applyKaraokeSettings(audioContext, karaoke, settings = {}) {
+  const next = { ...karaoke.settings };
+
+  if (typeof settings.enabled === "boolean") next.enabled = settings.enabled;
+  if (settings.mode === "remove" || settings.mode === "isolate") {
+    next.mode = settings.mode;
+  }
+  if (typeof settings.mix === "number") {
+    next.mix = Math.max(0, Math.min(1, settings.mix));
+  }
+
+  karaoke.settings = next;
+
+  const now = audioContext.currentTime;
+  const mix = next.enabled ? next.mix : 0;
+  const { remove, isolate } = karaoke;
+  remove.gain.setTargetAtTime(
+    next.mode === "remove" ? 1 : 0,
+    now,
+    PARAM_SMOOTHING,
+  );
+  isolate.gain.setTargetAtTime(
+    next.mode === "isolate" ? 1 : 0,
+    now,
+    PARAM_SMOOTHING,
+  );
+  setWetDry(audioContext, karaoke, mix);
+}
+
+// Create the virtual speaker (HRTF) stage.
+// Each input channel feeds its own HRTF panner placed in front of the
+// listener, so headphones sound like a pair of speakers:
+//   input → splitter → L → panner (left of center)  ─┬→ wet → output
+//                    └→ R → panner (right of center) ─┘
+//   input → dry → output
+// Both panners reach both ears, so the wet path is trimmed by 3 dB.
+function createVirtualizerStage(audioContext) {
+  const input = createStereoInput(audioContext);
+
+  const splitter = audioContext.createChannelSplitter(2);
+  const wet = audioContext.createGain();
+  const dry = audioContext.createGain();
+  const output = audioContext.createGain();
+
+  const panners = [0, 1].map((channel) => {
+    const panner = audioContext.createPanner();
+    panner.panningModel = "HRTF";
+    panner.distanceModel = "inverse";
+    panner.refDistance = 1;
+    panner.rolloffFactor = 1;
+    splitter.connect(panner, channel);
+    panner.connect(wet);
+    return panner;
+  });
+
+  input.connect(splitter);
+  wet.connect(output);
+  input.connect(dry);
+  dry.connect(output);
+
+  const virtualizer = {
+    input,
+    output,
+    panners,
+    wet,
+    dry,
+    settings: { ...DEFAULT_VIRTUALIZER_SETTINGS },
+  };
+  applyVirtualizerSettings(
+    audioContext,
+    virtualizer,
+    DEFAULT_VIRTUALIZER_SETTINGS,
+  );
+  return virtualizer;
+}
+
+// Merge partial virtual speaker settings and move the panners.
+// The listener sits at the origin facing -z; the left speaker is placed
+// at -angle and the right one at +angle, both at the given distance.
+function applyVirtualizerSettings(audioContext, virtualizer, settings = {}) {
+  const next = { ...virtualizer.settings };
+  const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+  if (typeof settings.enabled === "boolean") next.enabled = settings.enabled;
+  if (typeof settings.angle === "number") {
+    next.angle = clamp(settings.angle, 0, 90);
+  }
+  if (typeof settings.distance === "number") {
+    next.distance = clamp(settings.distance, 1, 10);
+  }
+
+  virtualizer.settings = next;
+
+  const now = audioContext.currentTime;
+  const angle = (next.angle * Math.PI) / 180;
+  virtualizer.panners.forEach((panner, channel) => {
+    const side = channel === 0 ? -1 : 1;
+    panner.positionX.setTargetAtTime(
+      side * next.distance * Math.sin(angle),
+      now,
+      PARAM_SMOOTHING,
+    );
+    panner.positionY.setValueAtTime(0, now);
+    panner.positionZ.setTargetAtTime(
+      -next.distance * Math.cos(angle),
+      now,
+      PARAM_SMOOTHING,
+    );
+  });
+
+  setWetDry(audioContext, virtualizer, next.enabled ? 1 : 0, Math.SQRT1_2);
+}
+
+// Create the headphone crossfeed stage.
+// The crossfeed network and a dry path run in parallel and are crossfaded:
+//   input → network → wet → output
+//   input → dry → output
+function createCrossfeedStage(audioContext) {
+  const input = createStereoInput(audioContext);
+
+  const wet = audioContext.createGain();
+  const dry = audioContext.createGain();
+  const output = audioContext.createGain();
+
+  const network = buildCrossfeedNetwork(
+    audioContext,
+    DEFAULT_CROSSFEED_SETTINGS,
+  );
+  input.connect(network.entry);
+  network.fade.connect(wet);
+  wet.connect(output);
+  input.connect(dry);
+  dry.connect(output);
+
+  const crossfeed = {
+    input,
+    output,
+    network,
+    wet,
+    dry,
+    settings: { ...DEFAULT_CROSSFEED_SETTINGS },
+  };
+  applyCrossfeedSettings(audioContext, crossfeed, DEFAULT_CROSSFEED_SETTINGS);
+  return crossfeed;
+}
+
+// First-order filter coefficients of the BS2B crossfeed (Bauer stereophonic
+// to binaural). Each ear hears its own channel through a high boost and the
+// opposite channel through a low-pass, the way sound from a speaker reaches
+// the far ear around the head. Both are scaled so the sum never exceeds 0 dB.
+function getCrossfeedCoefficients(sampleRate, { cutoff, feed }) {
+  const lowGainDb = (feed * -5) / 6 - 3;
+  const highGainDb = feed / 6 - 3;
+  const lowGain = Math.pow(10, lowGainDb / 20);
+  const highGain = 1 - Math.pow(10, highGainDb / 20);
+  const highCutoff =
+    cutoff * Math.pow(2, (lowGainDb - 20 * Math.log10(highGain)) / 12);
+  const gain = 1 / (1 - highGain + lowGain);
+
+  const lowPole = Math.exp((-2 * Math.PI * cutoff) / sampleRate);
+  const highPole = Math.exp((-2 * Math.PI * highCutoff) / sampleRate);
+
+  return {
+    lowpass: {
+      feedforward: [lowGain * (1 - lowPole) * gain],
+      feedback: [1, -lowPole],
+    },
+    highboost: {
+      feedforward: [(1 - highGain * (1 - highPole)) * gain, -highPole * gain],
+      feedback: [1, -highPole],
+    },
+  };
+}
+
+// Build the crossfeed filter network for the given cutoff and feed level.
+// IIR filter coefficients are fixed once created, so changing the settings
+// builds a new network (see rebuildCrossfeedNetwork).
+//   L → highboost ─┬→ outL      R → highboost ─┬→ outR
+//   R → lowpass  ──┘            L → lowpass  ──┘
+function buildCrossfeedNetwork(audioContext, settings) {
+  const { lowpass, highboost } = getCrossfeedCoefficients(
+    audioContext.sampleRate,
+    settings,
+  );
+  const entry = audioContext.createChannelSplitter(2);
+  const merger = audioContext.createChannelMerger(2);
+  const fade = audioContext.createGain();
+  const filters = [];
+
+  for (let channel = 0; channel < 2; channel++) {
+    const direct = audioContext.createIIRFilter(
+      highboost.feedforward,
+      highboost.feedback,
+    );
+    const cross = audioContext.createIIRFilter(
+      lowpass.feedforward,
+      lowpass.feedback,
+    );
+    entry.connect(direct, channel);
+    entry.connect(cross, 1 - channel);
+    direct.connect(merger, 0, channel);
+    cross.connect(merger, 0, channel);
+    filters.push(direct, cross);
+  }
+  merger.connect(fade);
+
+  return { entry, merger, fade, filters };
+}
+
+// Swap in a crossfeed network for new settings, crossfading like the EQ does
+function rebuildCrossfeedNetwork(audioContext, crossfeed, settings) {
+  const network = buildCrossfeedNetwork(audioContext, settings);
+  crossfeed.input.connect(network.entry);
+  network.fade.connect(crossfeed.wet);
+
+  const oldNetwork = crossfeed.network;
+  crossfadeGains(audioContext, oldNetwork.fade, network.fade);
+
+  setTimeout(
+    () => {
+      crossfeed.input.disconnect(oldNetwork.entry);
+      oldNetwork.entry.disconnect();
+      oldNetwork.filters.forEach((filter) => filter.disconnect());
+      oldNetwork.merger.disconnect();
+      oldNetwork.fade.disconnect();
+    },
+    EQ_CROSSFADE * 1000 + 20,
+  );
+
+  crossfeed.network = network;
+}
+
+// Merge partial crossfeed settings and apply them.
+// Cutoff and feed are clamped to the BS2B ranges (300 Hz..2 kHz, 1..15 dB).
+function applyCrossfeedSettings(audioContext, crossfeed, settings = {}) {
+  const next = { ...crossfeed.settings };
+  const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+  if (typeof settings.enabled === "boolean") next.enabled = settings.enabled;
+  if (typeof settings.cutoff === "number") {
+    next.cutoff = clamp(settings.cutoff, 300, 2000);
+  }
+  if (typeof settings.feed === "number") {
+    next.feed = clamp(settings.feed, 1, 15);
+  }
+
+  const previous = crossfeed.settings;
+  crossfeed.settings = next;
+
+  if (next.cutoff !== previous.cutoff || next.feed !== previous.feed) {
+    rebuildCrossfeedNetwork(audioContext, crossfeed, next);
+  }
+
+  setWetDry(audioContext, crossfeed, next.enabled ? 1 : 0);
+}
+
+// Create the dynamic range compressor stage.
+// The compressor path and a dry path run in parallel and are crossfaded:
+//   input → DynamicsCompressor → wet (makeup gain) → output
+//   input → dry → output
+// so enabling or bypassing the compressor never reconnects the graph.
+function createCompressorStage(audioContext) {
+  const input = audioContext.createGain();
+  const node = audioContext.createDynamicsCompressor();
+  const wet = audioContext.createGain();
+  const dry = audioContext.createGain();
+  const output = audioContext.createGain();
+
+  input.connect(node);
+  node.connect(wet);
+  wet.connect(output);
+  input.connect(dry);
+  dry.connect(output);
+
+  const compressor = {
+    input,
+    output,
+    node,
+    wet,
+    dry,
+    settings: { ...DEFAULT_COMPRESSOR_SETTINGS },
+  };
+  applyCompressorSettings(
+    audioContext,
+    compressor,
+    DEFAULT_COMPRESSOR_SETTINGS,
+  );
+  return compressor;
+}
+
+// Merge partial compressor settings and apply them.
+// Values are clamped to the ranges of DynamicsCompressorNode
+// (attack/release arrive in ms, the node takes seconds).
+// Chrome's compressor already adds automatic makeup gain derived from
+// threshold and ratio; makeup is applied on top of it.
+function applyCompressorSettings(audioContext, compressor, settings = {}) {
+  const next = { ...compressor.settings };
+  const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+  if (typeof settings.enabled === "boolean") next.enabled = settings.enabled;
+  if (typeof settings.threshold === "number") {
+    next.threshold = clamp(settings.threshold, -60, 0);
+  }
+  if (typeof settings.ratio === "number") {
+    next.ratio = clamp(settings.ratio, 1, 20);
+  }
+  if (typeof settings.knee === "number") {
+    next.knee = clamp(settings.knee, 0, 40);
+  }
+  if (typeof settings.attack === "number") {
+    next.attack = clamp(settings.attack, 0, 1000);
+  }
+  if (typeof settings.release === "number") {
+    next.release = clamp(settings.release, 10, 1000);
+  }
+  if (typeof settings.makeup === "number") {
+    next.makeup = clamp(settings.makeup, 0, 24);
+  }
+
+  compressor.settings = next;
+
+  const { node } = compressor;
+  const now = audioContext.currentTime;
+  node.threshold.setValueAtTime(next.threshold, now);
+  node.ratio.setValueAtTime(next.ratio, now);
+  node.knee.setValueAtTime(next.knee, now);
+  node.attack.setValueAtTime(next.attack / 1000, now);
+  node.release.setValueAtTime(next.release / 1000, now);
+
+  const makeup = Math.pow(10, next.makeup / 20);
+  setWetDry(audioContext, compressor, next.enabled ? 1 : 0, makeup);
+}
+
+// Current compressor gain reduction (dB, <= 0; 0 while bypassed)
+function getCompressorGainReduction({ node, settings }) {
+  return settings.enabled ? node.reduction : 0;
+}
+
+// Create the dialogue (voice clarity) stage.
+// Center focus reuses a stereo tools stage as a mid/side width control:
+//   input → center (width) → speech curve → gentle compressor → trim → wet → output
+//   input → dry → output
+// Like the compressor stage, the wet and dry paths are crossfaded.
+function createDialogueStage(audioContext) {
+  const input = audioContext.createGain();
+  const center = createStereoStage(audioContext);
+  const filters = DIALOGUE_FILTERS.map(([type, frequency, q]) => {
+    const filter = audioContext.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = q;
+    return filter;
+  });
+  const compressor = audioContext.createDynamicsCompressor();
+  compressor.knee.value = 20;
+  compressor.attack.value = 0.01;
+  compressor.release.value = 0.25;
+  const trim = audioContext.createGain();
+  const wet = audioContext.createGain();
+  const dry = audioContext.createGain();
+  const output = audioContext.createGain();
+
+  input.connect(center.input);
+  let previousNode = center.output;
+  for (const node of [...filters, compressor, trim, wet]) {
+    previousNode.connect(node);
+    previousNode = node;
+  }
+  wet.connect(output);
+  input.connect(dry);
+  dry.connect(output);
+
+  const dialogue = {
+    input,
+    output,
+    center,
+    filters,
+    compressor,
+    trim,
+    wet,
+    dry,
+    settings: { ...DEFAULT_DIALOGUE_SETTINGS },
+  };
+  applyDialogueSettings(audioContext, dialogue, DEFAULT_DIALOGUE_SETTINGS);
+  return dialogue;
+}
+
+// Merge partial dialogue settings and scale the effect by its intensity.
+// The trim takes back roughly the automatic makeup gain Chrome's compressor
+// adds, so turning dialogue mode on lifts voices rather than everything.
+function applyDialogueSettings(audioContext, dialogue, settings = {}) {
+  const next = { ...dialogue.settings };
+
+  if (typeof settings.enabled === "boolean") next.enabled = settings.enabled;
+  if (typeof settings.intensity === "number") {
+    next.intensity = Math.max(0, Math.min(1, settings.intensity));
+  }
+  if (typeof settings.centerFocus === "boolean") {
+    next.centerFocus = settings.centerFocus;
+  }
+
+  dialogue.settings = next;
+
+  const { intensity } = next;
+  const now = audioContext.currentTime;
+
+  dialogue.filters.forEach((filter, i) => {
+    filter.gain.setTargetAtTime(
+      DIALOGUE_FILTERS[i][3] * intensity,
+      now,
+      PARAM_SMOOTHING,
+    );
+  });
+
+  const threshold = DIALOGUE_MAX_THRESHOLD * intensity;
+  const ratio = 1 + (DIALOGUE_MAX_RATIO - 1) * intensity;
+  dialogue.compressor.threshold.setValueAtTime(threshold, now);
+  dialogue.compressor.ratio.setValueAtTime(ratio, now);
+  const makeupDb = 0.6 * -threshold * (1 - 1 / ratio);
+  dialogue.trim.gain.setTargetAtTime(
+    Math.pow(10, -makeupDb / 20),
+    now,
+    PARAM_SMOOTHING,
+  );
+
+  applyStereoSettings(audioContext, dialogue.center, {
+    width: next.centerFocus ? 1 - (1 - DIALOGUE_MIN_SIDE) * intensity : 1,
+  });
+
+  setWetDry(audioContext, dialogue, next.enabled ? 1 : 0);
+}
+
+// Create the virtual bass stage.
+// Small speakers can't play low bass, but the ear fills in a missing
+// fundamental from its harmonics. The low band is isolated, distorted
+// into harmonics and the harmonics above the band are mixed back in:
+//   input → cut (low shelf) ─────────────────────────────────────┬→ wet → output
+//   input → lowpass → waveshaper → highpass/lowpass → harmonics ─┘
+//   input → dry → output
+function createVirtualBassStage(audioContext) {
+  const input = audioContext.createGain();
+  const cut = audioContext.createBiquadFilter();
+  cut.type = "lowshelf";
+
+  // Low band and harmonic band filters (24 dB/oct, Linkwitz-Riley)
+  const createFilters = (type) =>
+    [0, 1].map(() => {
+      const filter = audioContext.createBiquadFilter();
+      filter.type = type;
+      filter.Q.value = toBiquadQ(type, Math.SQRT1_2);
+      return filter;
+    });
+  const lowpass = createFilters("lowpass");
+  const highpass = createFilters("highpass");
+  const harmonicLowpass = createFilters("lowpass");
+
+  // Saturation adds odd harmonics, half-wave rectifying it adds even ones
+  const shaper = audioContext.createWaveShaper();
+  const curve = new Float32Array(1024);
+  for (let i = 0; i < curve.length; i++) {
+    const x = (i / (curve.length - 1)) * 2 - 1;
+    const saturated =
+      Math.tanh(VIRTUAL_BASS_DRIVE * x) / Math.tanh(VIRTUAL_BASS_DRIVE);
+    curve[i] = 0.5 * (Math.abs(saturated) + saturated);
+  }
+  shaper.curve = curve;
+  shaper.oversample = "4x";
+
+  const harmonics = audioContext.createGain();
+  const wet = audioContext.createGain();
+  const dry = audioContext.createGain();
+  const output = audioContext.createGain();
+
+  input.connect(cut);
+  cut.connect(wet);
+
+  let previousNode = input;
+  for (const node of [
+    ...lowpass,
+    shaper,
+    ...highpass,
+    ...harmonicLowpass,
+    harmonics,
+  ]) {
+    previousNode.connect(node);
+    previousNode = node;
+  }
+  harmonics.connect(wet);
+  wet.connect(output);
+  input.connect(dry);
+  dry.connect(output);
+
+  const virtualBass = {
+    input,
+    output,
+    cut,
+    lowpass,
+    highpass,
+    harmonicLowpass,
+    harmonics,
+    wet,
+    dry,
+    settings: { ...DEFAULT_VIRTUAL_BASS_SETTINGS },
+  };
+  applyVirtualBassSettings(
+    audioContext,
+    virtualBass,
+    DEFAULT_VIRTUAL_BASS_SETTINGS,
+  );
+  return virtualBass;
+}
+
+// Merge partial virtual bass settings and apply them.
+// Frequency is clamped to 40..250 Hz, cut to 0..24 dB.
+function applyVirtualBassSettings(audioContext, virtualBass, settings = {}) {
+  const next = { ...virtualBass.settings };
+  const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+  if (typeof settings.enabled === "boolean") next.enabled = settings.enabled;
+  if (typeof settings.frequency === "number") {
+    next.frequency = clamp(settings.frequency, 40, 250);
+  }
+  if (typeof settings.harmonics === "number") {
+    next.harmonics = clamp(settings.harmonics, 0, 1);
+  }
+  if (typeof settings.cut === "number") {
+    next.cut = clamp(settings.cut, 0, 24);
+  }
+
+  virtualBass.settings = next;
 
-// Map<tabId, { audioContext, sourceNode, gainNode, mediaStream, eqFilters, analyserNode }>
-// Stores isolated audio graphs, one per tab.
-// Multiple tabs can have active audio simultaneously.
-// eqFilters: array of 11 BiquadFilterNode instances (indices 2-12)
-// analyserNode: analyser for real-time spectrum data
-const audioGraphs = new Map();
+  const now = audioContext.currentTime;
+  const setFrequency = (filter, frequency) =>
+    filter.frequency.setTargetAtTime(frequency, now, PARAM_SMOOTHING);
 
-// Standard frequency bands used in audio processing (must match Controls.jsx)
-const FREQUENCIES = [
-  5, 10, 20, 40, 80, 160, 320, 640, 1280, 2560, 5120, 10240, 20480,
-];
+  setFrequency(virtualBass.cut, next.frequency);
+  virtualBass.cut.gain.setTargetAtTime(-next.cut, now, PARAM_SMOOTHING);
+  virtualBass.lowpass.forEach((filter) => setFrequency(filter, next.frequency));
+  virtualBass.highpass.forEach((filter) =>
+    setFrequency(filter, next.frequency),
+  );
+  virtualBass.harmonicLowpass.forEach((filter) =>
+    setFrequency(filter, next.frequency * VIRTUAL_BASS_HARMONIC_RANGE),
+  );
+  virtualBass.harmonics.gain.setTargetAtTime(
+    next.harmonics * VIRTUAL_BASS_MAX_GAIN,
+    now,
+    PARAM_SMOOTHING,
+  );
 
-// Create EQ filter nodes for a given audio graph
-// Returns array of 13 biquad filters (indices 0-1 are transparent, 2-12 are interactive)
-function createEqFilters(audioContext) {
-  const filters = [];
+  setWetDry(audioContext, virtualBass, next.enabled ? 1 : 0);
+}
+
+// Create the multiband compressor stage.
+// Like the compressor stage, the band network and a dry path are crossfaded:
+//   input → crossover network → band compressors → wet → output
+//   input → dry → output
+function createMultibandStage(audioContext) {
+  const input = audioContext.createGain();
+  const wet = audioContext.createGain();
+  const dry = audioContext.createGain();
+  const output = audioContext.createGain();
+
+  const network = buildMultibandNetwork(
+    audioContext,
+    DEFAULT_MULTIBAND_SETTINGS.crossovers.length,
+  );
+  input.connect(network.entry);
+  network.fade.connect(wet);
+  wet.connect(output);
+  input.connect(dry);
+  dry.connect(output);
+
+  const multiband = {
+    input,
+    output,
+    network,
+    wet,
+    dry,
+    settings: { ...DEFAULT_MULTIBAND_SETTINGS },
+  };
+  applyMultibandSettings(audioContext, multiband, DEFAULT_MULTIBAND_SETTINGS);
+  return multiband;
+}
+
+// Build the crossover network and band compressors for a crossover count.
+// Each split is a Linkwitz-Riley 4th order crossover (two Butterworth
+// biquads per side): band 0 = LP(f0), band 1 = HP(f0) → LP(f1), ...,
+// last band = HP(f0) → ... → HP(fn). Lower bands also pass an allpass at
+// every higher crossover so all bands share the same phase and sum flat.
+// Frequencies are set by setMultibandCrossovers.
+function buildMultibandNetwork(audioContext, crossoverCount) {
+  const entry = audioContext.createGain();
+  const fade = audioContext.createGain();
+  const filters = []; // { node, crossover } so crossovers can move in place
+  const compressors = [];
+
+  // Connect [type, crossover] filters in series after a node
+  const connectFilters = (fromNode, specs) => {
+    let previousNode = fromNode;
+    for (const [type, crossover] of specs) {
+      const node = audioContext.createBiquadFilter();
+      node.type = type;
+      node.Q.value = toBiquadQ(type, Math.SQRT1_2);
+      previousNode.connect(node);
+      filters.push({ node, crossover });
+      previousNode = node;
+    }
+    return previousNode;
+  };
+
+  let rest = entry;
+  for (let band = 0; band <= crossoverCount; band++) {
+    let bandOutput = rest;
+    if (band < crossoverCount) {
+      const allpasses = [];
+      for (let i = band + 1; i < crossoverCount; i++) {
+        allpasses.push(["allpass", i]);
+      }
+      bandOutput = connectFilters(rest, [
+        ["lowpass", band],
+        ["lowpass", band],
+        ...allpasses,
+      ]);
+      rest = connectFilters(rest, [
+        ["highpass", band],
+        ["highpass", band],
+      ]);
+    }
+
+    const compressor = audioContext.createDynamicsCompressor();
+    compressor.knee.value = MULTIBAND_KNEE;
+    compressor.attack.value = MULTIBAND_ATTACK;
+    compressor.release.value = MULTIBAND_RELEASE;
+    bandOutput.connect(compressor);
+    compressor.connect(fade);
+    compressors.push(compressor);
+  }
+
+  return { entry, fade, filters, compressors };
+}
+
+// Move the crossover filters of a network to the given frequencies
+function setMultibandCrossovers(network, crossovers) {
+  for (const { node, crossover } of network.filters) {
+    node.frequency.value = crossovers[crossover];
+  }
+}
+
+// Replace the band network when the band count changes.
+// The new network is crossfaded in (same approach as updateEqSection)
+// and the old one is disconnected once the fade has finished.
+function rebuildMultibandNetwork(audioContext, multiband, crossoverCount) {
+  const network = buildMultibandNetwork(audioContext, crossoverCount);
+  multiband.input.connect(network.entry);
+  network.fade.connect(multiband.wet);
+
+  const oldNetwork = multiband.network;
+  crossfadeGains(audioContext, oldNetwork.fade, network.fade);
+
+  setTimeout(
+    () => {
+      multiband.input.disconnect(oldNetwork.entry);
+      oldNetwork.entry.disconnect();
+      oldNetwork.filters.forEach(({ node }) => node.disconnect());
+      oldNetwork.compressors.forEach((compressor) => compressor.disconnect());
+      oldNetwork.fade.disconnect();
+    },
+    EQ_CROSSFADE * 1000 + 20,
+  );
+
+  multiband.network = network;
+}
+
+// Merge partial multiband settings and apply them.
+// Crossovers are sorted and clamped to 20 Hz..20 kHz; their count sets the
+// number of bands, and the band list is padded or trimmed to match.
+function applyMultibandSettings(audioContext, multiband, settings = {}) {
+  const next = { ...multiband.settings };
+  const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
 
-  // Create 13 biquad filter nodes (matching Controls.jsx frequency array)
-  for (let i = 0; i < FREQUENCIES.length; i++) {
-    const biquad = audioContext.createBiquadFilter();
-    biquad.frequency.value = FREQUENCIES[i];
-    biquad.gain.value = 0; // No boost/cut by default
+  if (typeof settings.enabled === "boolean") next.enabled = settings.enabled;
+  if (
+    Array.isArray(settings.crossovers) &&
+    settings.crossovers.length >= MULTIBAND_MIN_BANDS - 1 &&
+    settings.crossovers.length <= MULTIBAND_MAX_BANDS - 1 &&
+    settings.crossovers.every(Number.isFinite)
+  ) {
+    next.crossovers = settings.crossovers
+      .map((frequency) => clamp(frequency, 20, 20000))
+      .sort((a, b) => a - b);
+  }
+
+  const bands = Array.isArray(settings.bands) ? settings.bands : next.bands;
+  next.bands = Array.from({ length: next.crossovers.length + 1 }, (_, i) => {
+    const band =
+      bands[i] ?? next.bands[i] ?? DEFAULT_MULTIBAND_SETTINGS.bands[0];
+    return {
+      threshold: Number.isFinite(band.threshold)
+        ? clamp(band.threshold, -60, 0)
+        : DEFAULT_MULTIBAND_SETTINGS.bands[0].threshold,
+      ratio: Number.isFinite(band.ratio)
+        ? clamp(band.ratio, 1, 20)
+        : DEFAULT_MULTIBAND_SETTINGS.bands[0].ratio,
+    };
+  });
+
+  multiband.settings = next;
+
+  if (multiband.network.compressors.length !== next.bands.length) {
+    rebuildMultibandNetwork(audioContext, multiband, next.crossovers.length);
+  }
+  setMultibandCrossovers(multiband.network, next.crossovers);
+
+  const now = audioContext.currentTime;
+  multiband.network.compressors.forEach((compressor, i) => {
+    compressor.threshold.setValueAtTime(next.bands[i].threshold, now);
+    compressor.ratio.setValueAtTime(next.bands[i].ratio, now);
+  });
+
+  setWetDry(audioContext, multiband, next.enabled ? 1 : 0);
+}
+
+// Current gain reduction of each multiband band (dB, <= 0; 0 while bypassed)
+function getMultibandGainReduction({ network, settings }) {
+  return network.compressors.map((compressor) =>
+    settings.enabled ? compressor.reduction : 0,
+  );
+}
+
+// Create the high-pass/low-pass cut filter stage.
+// Each cut filter is a fixed cascade of MAX_CUT_SECTIONS biquads:
+//   input → HP sections → LP sections → output
+// Slopes below 48 dB/oct leave the remaining sections transparent, so
+// changing the slope never needs the graph to be reconnected.
+function createCutStage(audioContext) {
+  const input = audioContext.createGain();
+  const createSections = () =>
+    Array.from({ length: MAX_CUT_SECTIONS }, () =>
+      audioContext.createBiquadFilter(),
+    );
+  const highpass = createSections();
+  const lowpass = createSections();
+
+  let previousNode = input;
+  for (const filter of [...highpass, ...lowpass]) {
+    previousNode.connect(filter);
+    previousNode = filter;
+  }
+
+  const cut = {
+    input,
+    output: previousNode,
+    highpass,
+    lowpass,
+    settings: {
+      highpass: { ...DEFAULT_CUT_SETTINGS.highpass },
+      lowpass: { ...DEFAULT_CUT_SETTINGS.lowpass },
+    },
+  };
+  applyCutSettings(cut, DEFAULT_CUT_SETTINGS);
+  return cut;
+}
+
+// Configure one cut filter's sections.
+// Unused sections (and all sections when disabled) are peaking filters
+// at 0 dB, which pass audio through unchanged.
+function configureCutSections(sections, type, { enabled, frequency, slope }) {
+  const qs = enabled ? getButterworthQs(slope) : [];
+
+  sections.forEach((filter, i) => {
+    if (i < qs.length) {
+      filter.type = type;
+      filter.frequency.value = frequency;
+      filter.Q.value = toBiquadQ(type, qs[i]);
+    } else {
+      filter.type = "peaking";
+      filter.gain.value = 0;
+    }
+  });
+}
+
+// Merge partial cut filter settings ({ highpass?, lowpass? }) and apply them.
+// Frequencies are clamped to 10 Hz..22 kHz, unknown slopes are ignored.
+function applyCutSettings(cut, settings = {}) {
+  for (const type of ["highpass", "lowpass"]) {
+    const partial = settings[type];
+    if (!partial) continue;
 
-    // Determine filter type based on index
-    if (i === 0 || i === 1) {
-      // Inactive indices (5Hz, 10Hz) - set to peaking to pass through transparently
-      biquad.type = "peaking";
-      biquad.Q.value = DEFAULT_PEAKING_Q;
-    } else if (i === 2) {
-      // Low shelf (80 Hz)
-      biquad.type = "lowshelf";
-      biquad.Q.value = DEFAULT_SHELF_Q;
-    } else if (i === 12) {
-      // High shelf (20.48 kHz)
-      biquad.type = "highshelf";
-      biquad.Q.value = DEFAULT_SHELF_Q;
-    } else if (i >= 3 && i <= 11) {
-      // Mid-range peaking filters
-      biquad.type = "peaking";
-      biquad.Q.value = DEFAULT_PEAKING_Q;
+    const next = { ...cut.settings[type] };
+    if (typeof partial.enabled === "boolean") next.enabled = partial.enabled;
+    if (typeof partial.frequency === "number") {
+      next.frequency = Math.max(10, Math.min(22000, partial.frequency));
     }
+    if (CUT_SLOPES.includes(partial.slope)) next.slope = partial.slope;
+
+    cut.settings[type] = next;
+    configureCutSections(cut[type], type, next);
+  }
+}
 
-    filters.push(biquad);
+// The popup always works with linear Q. Web Audio interprets Q for
+// lowpass/highpass filters as resonance in dB, so convert at the boundary.
+function toBiquadQ(type, q) {
+  if (type === "lowpass" || type === "highpass") {
+    return 20 * Math.log10(Math.max(q, 1e-4));
   }
+  return q;
+}
 
-  return filters;
+function fromBiquadQ(type, q) {
+  if (type === "lowpass" || type === "highpass") {
+    return Math.pow(10, q / 20);
+  }
+  return q;
 }
 
-// Connect EQ filters in series: source → filter[0] → filter[1] → ... → destination
+// Connect the audio graph in series:
+// source → preEqStages → eq → gain → postGainStages → destination
+// preEqStages: array of { input, output } processing stages before the EQ
+// postGainStages: array of { input, output } stages after the volume
+// (multiband, compressor, AGC, limiter)
 function connectEqChain(
   sourceNode,
-  filters,
+  preEqStages,
+  eq,
   gainNode,
+  postGainStages,
   destination,
   analyserNode = null,
+  inputAnalyserNode = null,
 ) {
   let previousNode = sourceNode;
 
-  // Connect all filters in series
-  for (const filter of filters) {
-    previousNode.connect(filter);
-    previousNode = filter;
+  // Connect pre-EQ stages (stereo tools, preamp) in series
+  for (const stage of preEqStages) {
+    previousNode.connect(stage.input);
+    previousNode = stage.output;
   }
 
-  // Final connection: last filter → gain → destination
+  // Connect the EQ section (its filters are chained internally)
+  previousNode.connect(eq.input);
+  previousNode = eq.output;
+
+  // Final connection: EQ → gain → post-gain stages → destination
   previousNode.connect(gainNode);
-  gainNode.connect(destination);
+  previousNode = gainNode;
+  for (const stage of postGainStages) {
+    previousNode.connect(stage.input);
+    previousNode = stage.output;
+  }
+  previousNode.connect(destination);
 
   // Also tap off analyser from the gain node for spectrum analysis
   if (analyserNode) {
     gainNode.connect(analyserNode);
   }
+
+  // And from the source for the pre-EQ (input) spectrum
+  if (inputAnalyserNode) {
+    sourceNode.connect(inputAnalyserNode);
+  }
+}
+
+// Serve one popup spectrum stream.
+// The popup sends START (tabId, fps), SET_RATE (fps) and ACK messages;
+// frames stop as soon as the port disconnects.
+function handleSpectrumPort(port) {
+  const stream = {
+    tabId: null,
+    intervalId: null,
+    awaitingAck: false,
+    lastSentAt: 0,
+  };
+
+  function sendFrame() {
+    const now = performance.now();
+    if (
+      stream.awaitingAck &&
+      now - stream.lastSentAt < SPECTRUM_ACK_TIMEOUT_MS
+    ) {
+      return; // Popup has not consumed the previous frame yet
+    }
+
+    const graph = audioGraphs.get(stream.tabId);
+    if (!graph?.analyserNode) return;
+
+    const bytes = new Uint8Array(graph.analyserNode.frequencyBinCount);
+    graph.analyserNode.getByteFrequencyData(bytes);
+    const inputBytes = new Uint8Array(
+      graph.inputAnalyserNode.frequencyBinCount,
+    );
+    graph.inputAnalyserNode.getByteFrequencyData(inputBytes);
+
+    port.postMessage({
+      type: "FRAME",
+      data: encodeSpectrumFrame(bytes),
+      inputData: encodeSpectrumFrame(inputBytes),
+      binCount: bytes.length,
+      sampleRate: graph.audioContext.sampleRate,
+    });
+    stream.awaitingAck = true;
+    stream.lastSentAt = now;
+  }
+
+  function setRate(fps) {
+    const rate = Math.max(
+      SPECTRUM_MIN_FPS,
+      Math.min(SPECTRUM_MAX_FPS, Number(fps) || SPECTRUM_MAX_FPS),
+    );
+    clearInterval(stream.intervalId);
+    stream.intervalId = setInterval(sendFrame, 1000 / rate);
+  }
+
+  port.onMessage.addListener((msg) => {
+    if (msg?.type === "START") {
+      stream.tabId = msg.tabId;
+      stream.awaitingAck = false;
+      setRate(msg.fps);
+    } else if (msg?.type === "SET_RATE") {
+      setRate(msg.fps);
+    } else if (msg?.type === "ACK") {
+      stream.awaitingAck = false;
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    clearInterval(stream.intervalId);
+    stream.intervalId = null;
+  });
+}
+
+// Serve one meter stream port: push the meter readings of the requested tab
+// every METER_STREAM_INTERVAL_MS until the port disconnects
+function handleMeterPort(port) {
+  let tabId = null;
+  let intervalId = null;
+
+  function sendMeters() {
+    const graph = audioGraphs.get(tabId);
+    if (!graph?.meter) return;
+
+    port.postMessage({
+      type: "METERS",
+      levels: getMeterLevels(graph.meter),
+      gainReduction: {
+        limiter: graph.limiter.gainReductionDb,
+        compressor: getCompressorGainReduction(graph.compressor),
+        multiband: getMultibandGainReduction(graph.multiband),
+      },
+      dynamicEqGains: getDynamicEqGains(graph.eq),
+      loudness: graph.loudness.values,
+    });
+  }
+
+  port.onMessage.addListener((msg) => {
+    if (msg?.type !== "START") return;
+    tabId = msg.tabId;
+    clearInterval(intervalId);
+    intervalId = setInterval(sendMeters, METER_STREAM_INTERVAL_MS);
+  });
+
+  port.onDisconnect.addListener(() => clearInterval(intervalId));
 }
 
+// Long-lived ports opened by the popup (spectrum and meter streaming)
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === SPECTRUM_PORT_NAME) handleSpectrumPort(port);
+  if (port.name === METER_PORT_NAME) handleMeterPort(port);
+});
+
 // Runtime message handler for background → offscreen control messages.
 // Wrapped in an async IIFE to allow `await` inside.
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
@@ -132,28 +2168,72 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         });
 
         // Build the audio graph for this tab:
-        // Tab Audio → EQ Filters (series) → Gain → Speakers + Analyser
+        // Tab Audio → Karaoke → Stereo → Crossfeed → Virtualizer → Preamp → HPF/LPF → Dialogue → Virtual Bass → EQ Bands (series) → Gain → Multiband → Compressor → AGC → Limiter → Speakers
+        //          └→ Input Analyser                                                                                                      │            └→ Loudness Meter
+        //                                                                                                                                 └→ Analyser + Level Meter
         const sourceNode = audioContext.createMediaStreamSource(mediaStream);
+        const karaoke = createKaraokeStage(audioContext);
+        const stereo = createStereoStage(audioContext);
+        const crossfeed = createCrossfeedStage(audioContext);
+        const virtualizer = createVirtualizerStage(audioContext);
+        const preamp = createPreamp(audioContext);
+        const cut = createCutStage(audioContext);
+        const dialogue = createDialogueStage(audioContext);
+        const virtualBass = createVirtualBassStage(audioContext);
         const gainNode = audioContext.createGain();
-        const eqFilters = createEqFilters(audioContext);
+        const eq = await createEqSection(audioContext);
         const analyserNode = audioContext.createAnalyser();
+        const inputAnalyserNode = audioContext.createAnalyser();
+        const multiband = createMultibandStage(audioContext);
+        const compressor = createCompressorStage(audioContext);
+        const agc = createAgcStage(audioContext);
+        const limiter = await createLimiter(audioContext);
+        const meter = await createLevelMeter(audioContext);
+        const loudness = await createLoudnessMeter(audioContext);
 
-        // Configure analyser for spectrum data
-        analyserNode.fftSize = 2048; // Higher FFT size for better frequency resolution
-        analyserNode.smoothingTimeConstant = 0.85;
+        // Configure analyser for spectrum data (popup sends SET_ANALYSER)
+        const analyserSettings = applyAnalyserSettings(
+          [analyserNode, inputAnalyserNode],
+          DEFAULT_ANALYSER_SETTINGS,
+        );
 
         // Unity gain by default (no volume change)
         gainNode.gain.value = 1.0;
 
-        // Connect: source → eqFilters (series) → gain → destination + analyser
+        // Connect: source → karaoke → stereo → crossfeed → virtualizer → preamp → cut → dialogue → virtual bass → eq (series) → gain → multiband → compressor → AGC → limiter → destination
+        // (+ analyser tapped from gain, input analyser tapped from source)
         connectEqChain(
           sourceNode,
-          eqFilters,
+          [
+            karaoke,
+            stereo,
+            crossfeed,
+            virtualizer,
+            { input: preamp.node, output: preamp.node },
+            cut,
+            dialogue,
+            virtualBass,
+          ],
+          eq,
           gainNode,
+          [
+            multiband,
+            compressor,
+            { input: agc.node, output: agc.node },
+            { input: limiter.node, output: limiter.node },
+          ],
           audioContext.destination,
           analyserNode,
+          inputAnalyserNode,
         );
 
+        // Level meter reads the EQ and volume output before the limiter, so
+        // its clip light shows boosts that clip (the limiter would hide them);
+        // the loudness meter reads the signal before the AGC, which corrects
+        // toward its measurement
+        gainNode.connect(meter.node);
+        compressor.output.connect(loudness.node);
+
         // Store this tab's audio graph including EQ filters and analyser
         audioGraphs.set(tabId, {
           audioContext,
@@ -161,14 +2241,30 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           gainNode,
           mediaStream,
           streamId: msg.streamId,
-          eqFilters,
+          eq,
           analyserNode,
+          inputAnalyserNode,
+          analyserSettings,
+          multiband,
+          compressor,
+          agc,
+          limiter,
+          meter,
+          loudness,
+          preamp,
+          karaoke,
+          stereo,
+          crossfeed,
+          virtualizer,
+          cut,
+          dialogue,
+          virtualBass,
         });
 
         console.log(
           "[OFFSCREEN] Audio pipeline ready for tab",
           tabId,
-          "(source → 13 EQ filters → gain → destination)",
+          "(source → karaoke → stereo → crossfeed → virtualizer → preamp → HPF/LPF → dialogue → virtual bass → EQ bands → gain → multiband → compressor → AGC → limiter → destination)",
         );
 
         sendResponse({ ok: true, tabId });
@@ -209,6 +2305,322 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       return;
     }
 
+    // =====================
+    // SET_LIMITER
+    // =====================
+    // Updates the brickwall limiter for a specific tab.
+    // Expects: { settings: { enabled?, ceiling? (dBFS), release? (ms) } }
+    // Partial settings are merged with the current ones.
+    if (msg?.type === "SET_LIMITER") {
+      const graph = audioGraphs.get(tabId);
+      if (!graph?.limiter) {
+        sendResponse({ ok: false, error: "No audio graph for tab" });
+        return;
+      }
+
+      applyLimiterSettings(graph.limiter, msg.settings);
+      sendResponse({ ok: true, settings: graph.limiter.settings });
+      return;
+    }
+
+    // =====================
+    // GET_ALL_METERS
+    // =====================
+    // Returns levels and AGC corrections for every captured tab in one
+    // response: { levels: { [tabId]: {...} }, agc: { enabled, corrections } }
+    if (msg?.type === "GET_ALL_METERS") {
+      const levels = {};
+      for (const [graphTabId, graph] of audioGraphs) {
+        if (graph.meter) levels[graphTabId] = getMeterLevels(graph.meter);
+      }
+
+      sendResponse({
+        ok: true,
+        levels,
+        agc: { enabled: agcSettings.enabled, corrections: getAgcCorrections() },
+      });
+      return;
+    }
+
+    // =====================
+    // RESET_CLIP
+    // =====================
+    // Clears the latched clip indicator for a specific tab.
+    if (msg?.type === "RESET_CLIP") {
+      const graph = audioGraphs.get(tabId);
+      if (!graph?.meter) {
+        sendResponse({ ok: false, error: "No audio graph for tab" });
+        return;
+      }
+
+      graph.meter.clipped = false;
+      sendResponse({ ok: true });
+      return;
+    }
+
+    // =====================
+    // SET_AGC
+    // =====================
+    // Updates the automatic gain control shared by every captured tab.
+    // Expects: { settings: { enabled?, target?, attack?, release?, maxBoost? } }
+    if (msg?.type === "SET_AGC") {
+      applyAgcSettings(msg.settings);
+      sendResponse({ ok: true, settings: agcSettings });
+      return;
+    }
+
+    // =====================
+    // RESET_LOUDNESS
+    // =====================
+    // Restarts the integrated loudness and true-peak measurement for a tab.
+    if (msg?.type === "RESET_LOUDNESS") {
+      const graph = audioGraphs.get(tabId);
+      if (!graph?.loudness) {
+        sendResponse({ ok: false, error: "No audio graph for tab" });
+        return;
+      }
+
+      graph.loudness.node.port.postMessage({ type: "reset" });
+      graph.loudness.values = { ...EMPTY_LOUDNESS };
+      sendResponse({ ok: true });
+      return;
+    }
+
+    // =====================
+    // SET_COMPRESSOR
+    // =====================
+    // Updates the dynamic range compressor for a specific tab.
+    // Expects: { settings: { enabled?, threshold? (dBFS), ratio?, knee? (dB),
+    //   attack?, release? (ms), makeup? (dB) } }
+    // Partial settings are merged with the current ones.
+    if (msg?.type === "SET_COMPRESSOR") {
+      const graph = audioGraphs.get(tabId);
+      if (!graph?.compressor) {
+        sendResponse({ ok: false, error: "No audio graph for tab" });
+        return;
+      }
+
+      applyCompressorSettings(
+        graph.audioContext,
+        graph.compressor,
+        msg.settings,
+      );
+      sendResponse({ ok: true, settings: graph.compressor.settings });
+      return;
+    }
+
+    // =====================
+    // SET_MULTIBAND
+    // =====================
+    // Updates the multiband compressor for a specific tab.
+    // Expects: { settings: { enabled?, crossovers? (Hz, 2 or 3),
+    //   bands?: [{ threshold (dBFS), ratio }] } }
+    // Partial settings are merged with the current ones.
+    if (msg?.type === "SET_MULTIBAND") {
+      const graph = audioGraphs.get(tabId);
+      if (!graph?.multiband) {
+        sendResponse({ ok: false, error: "No audio graph for tab" });
+        return;
+      }
+
+      applyMultibandSettings(graph.audioContext, graph.multiband, msg.settings);
+      sendResponse({ ok: true, settings: graph.multiband.settings });
+      return;
+    }
+
+    // =====================
+    // SET_DIALOGUE
+    // =====================
+    // Updates the dialogue (voice clarity) stage for a specific tab.
+    // Expects: { settings: { enabled?, intensity? (0..1), centerFocus? } }
+    // Partial settings are merged with the current ones.
+    if (msg?.type === "SET_DIALOGUE") {
+      const graph = audioGraphs.get(tabId);
+      if (!graph?.dialogue) {
+        sendResponse({ ok: false, error: "No audio graph for tab" });
+        return;
+      }
+
+      applyDialogueSettings(graph.audioContext, graph.dialogue, msg.settings);
+
+      // Keep auto preamp headroom in sync with the speech curve boost
+      updatePreamp(graph);
+
+      sendResponse({
+        ok: true,
+        settings: graph.dialogue.settings,
+        preampDb: graph.preamp.preampDb,
+      });
+      return;
+    }
+
+    // =====================
+    // SET_VIRTUAL_BASS
+    // =====================
+    // Updates the virtual bass stage for a specific tab.
+    // Expects: { settings: { enabled?, frequency? (Hz), harmonics? (0..1), cut? (dB) } }
+    if (msg?.type === "SET_VIRTUAL_BASS") {
+      const graph = audioGraphs.get(tabId);
+      if (!graph?.virtualBass) {
+        sendResponse({ ok: false, error: "No audio graph for tab" });
+        return;
+      }
+
+      applyVirtualBassSettings(
+        graph.audioContext,
+        graph.virtualBass,
+        msg.settings,
+      );
+
+      // Keep auto preamp headroom in sync with the harmonics boost
+      updatePreamp(graph);
+
+      sendResponse({
+        ok: true,
+        settings: graph.virtualBass.settings,
+        preampDb: graph.preamp.preampDb,
+      });
+      return;
+    }
+
+    // =====================
+    // SET_PREAMP
+    // =====================
+    // Updates the preamp (headroom) stage for a specific tab.
+    // Expects: { settings: { auto?, manual? (dB) } }
+    // Returns the resulting preamp gain and the peak boost it makes room for
+    // (dialogue, virtual bass and EQ) in dB.
+    if (msg?.type === "SET_PREAMP") {
+      const graph = audioGraphs.get(tabId);
+      if (!graph?.preamp) {
+        sendResponse({ ok: false, error: "No audio graph for tab" });
+        return;
+      }
+
+      applyPreampSettings(graph, msg.settings);
+      sendResponse({
+        ok: true,
+        settings: graph.preamp.settings,
+        preampDb: graph.preamp.preampDb,
+        peakDb: graph.preamp.peakDb,
+      });
+      return;
+    }
+
+    // =====================
+    // SET_STEREO
+    // =====================
+    // Updates the stereo tools stage for a specific tab.
+    // Expects: { settings: { balance?, width?, mono?, swap? } }
+    if (msg?.type === "SET_STEREO") {
+      const graph = audioGraphs.get(tabId);
+      if (!graph?.stereo) {
+        sendResponse({ ok: false, error: "No audio graph for tab" });
+        return;
+      }
+
+      applyStereoSettings(graph.audioContext, graph.stereo, msg.settings);
+      sendResponse({ ok: true, settings: graph.stereo.settings });
+      return;
+    }
+
+    // =====================
+    // SET_KARAOKE
+    // =====================
+    // Updates the karaoke (vocal remove / center isolate) stage for a specific tab.
+    // Expects: { settings: { enabled?, mode? ("remove" | "isolate"), mix? (0..1) } }
+    if (msg?.type === "SET_KARAOKE") {
+      const graph = audioGraphs.get(tabId);
+      if (!graph?.karaoke) {
+        sendResponse({ ok: false, error: "No audio graph for tab" });
+        return;
+      }
+
+      applyKaraokeSettings(graph.audioContext, graph.karaoke, msg.settings);
+      sendResponse({ ok: true, settings: graph.karaoke.settings });
+      return;
+    }
+
+    // =====================
+    // SET_CROSSFEED
+    // =====================
+    // Updates the headphone crossfeed stage for a specific tab.
+    // Expects: { settings: { enabled?, cutoff? (Hz), feed? (dB) } }
+    if (msg?.type === "SET_CROSSFEED") {
+      const graph = audioGraphs.get(tabId);
+      if (!graph?.crossfeed) {
+        sendResponse({ ok: false, error: "No audio graph for tab" });
+        return;
+      }
+
+      applyCrossfeedSettings(graph.audioContext, graph.crossfeed, msg.settings);
+      sendResponse({ ok: true, settings: graph.crossfeed.settings });
+      return;
+    }
+
+    // =====================
+    // SET_VIRTUALIZER
+    // =====================
+    // Updates the virtual speaker stage for a specific tab.
+    // Expects: { settings: { enabled?, angle? (degrees), distance? (m) } }
+    if (msg?.type === "SET_VIRTUALIZER") {
+      const graph = audioGraphs.get(tabId);
+      if (!graph?.virtualizer) {
+        sendResponse({ ok: false, error: "No audio graph for tab" });
+        return;
+      }
+
+      applyVirtualizerSettings(
+        graph.audioContext,
+        graph.virtualizer,
+        msg.settings,
+      );
+      sendResponse({ ok: true, settings: graph.virtualizer.settings });
+      return;
+    }
+
+    // =====================
+    // SET_ANALYSER
+    // =====================
+    // Updates the spectrum analyser for a specific tab.
+    // Expects: { settings: { fftSize?, smoothing?, minDb?, maxDb? } }
+    if (msg?.type === "SET_ANALYSER") {
+      const graph = audioGraphs.get(tabId);
+      if (!graph?.analyserNode) {
+        sendResponse({ ok: false, error: "No audio graph for tab" });
+        return;
+      }
+
+      graph.analyserSettings = applyAnalyserSettings(
+        [graph.analyserNode, graph.inputAnalyserNode],
+        graph.analyserSettings,
+        msg.settings,
+      );
+      sendResponse({
+        ok: true,
+        settings: graph.analyserSettings,
+        sampleRate: graph.audioContext.sampleRate,
+      });
+      return;
+    }
+
+    // =====================
+    // SET_CUT_FILTERS
+    // =====================
+    // Updates the high-pass/low-pass cut filters for a specific tab.
+    // Expects: { settings: { highpass?: { enabled, frequency, slope }, lowpass?: {...} } }
+    if (msg?.type === "SET_CUT_FILTERS") {
+      const graph = audioGraphs.get(tabId);
+      if (!graph?.cut) {
+        sendResponse({ ok: false, error: "No audio graph for tab" });
+        return;
+      }
+
+      applyCutSettings(graph.cut, msg.settings);
+      sendResponse({ ok: true, settings: graph.cut.settings });
+      return;
+    }
+
     // =====================
     // STOP_EQ
     // =====================
@@ -228,7 +2640,25 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
         // Disconnect audio nodes for this tab
         if (graph.sourceNode) graph.sourceNode.disconnect();
+        if (graph.karaoke) graph.karaoke.output.disconnect();
+        if (graph.stereo) graph.stereo.output.disconnect();
+        if (graph.crossfeed) graph.crossfeed.output.disconnect();
+        if (graph.virtualizer) graph.virtualizer.output.disconnect();
+        if (graph.preamp) graph.preamp.node.disconnect();
+        if (graph.cut) graph.cut.output.disconnect();
+        if (graph.dialogue) graph.dialogue.output.disconnect();
+        if (graph.virtualBass) graph.virtualBass.output.disconnect();
+        if (graph.eq) graph.eq.output.disconnect();
         if (graph.gainNode) graph.gainNode.disconnect();
+        if (graph.multiband) graph.multiband.output.disconnect();
+        if (graph.compressor) graph.compressor.output.disconnect();
+        if (graph.agc) graph.agc.node.disconnect();
+        if (graph.limiter) {
+          graph.limiter.node.port.onmessage = null;
+          graph.limiter.node.disconnect();
+        }
+        if (graph.meter) graph.meter.node.port.onmessage = null;
+        if (graph.loudness) graph.loudness.node.port.onmessage = null;
 
         // Explicitly stop all media tracks for this tab
         // (closing AudioContext alone is NOT enough)
@@ -285,50 +2715,48 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     // =====================
     // UPDATE_EQ_NODES
     // =====================
-    // Updates EQ filter parameters for a specific tab.
+    // Replaces the EQ band lists for a specific tab.
     // Expects: {
-    //   nodeGainValues: { [index]: dB },
-    //   nodeFrequencyValues: { [index]: Hz },
-    //   nodeQValues: { [index]: Q },
-    //   nodeBaseQValues: { [index]: baseQ }
+    //   bands: [{ id, type, frequency (Hz), gain (dB), Q, dynamic?, threshold? (dBFS) }],
+    //   channelMode?: "stereo" (default) | "lr" | "ms",
+    //   secondaryBands?: right (lr) or side (ms) curve, same format as bands
     // }
+    // bands is the curve for both channels (stereo), left (lr) or mid (ms).
+    // Bands are applied in order; adding/removing bands rebuilds the chain.
+    // Dynamic bell bands use gain as their maximum cut/boost.
     if (msg?.type === "UPDATE_EQ_NODES") {
       try {
         const graph = audioGraphs.get(tabId);
-        if (!graph || !graph.eqFilters) {
+        if (!graph || !graph.eq) {
           sendResponse({ ok: false, error: "No audio graph for tab" });
           return;
         }
 
-        const { nodeGainValues, nodeFrequencyValues, nodeQValues } = msg;
-
-        // Update each filter that has changed
-        for (let i = 0; i < FREQUENCIES.length; i++) {
-          const filter = graph.eqFilters[i];
-
-          if (nodeFrequencyValues && i in nodeFrequencyValues) {
-            filter.frequency.setValueAtTime(
-              nodeFrequencyValues[i],
-              graph.audioContext.currentTime,
-            );
-          }
-
-          if (nodeQValues && i in nodeQValues) {
-            filter.Q.setValueAtTime(
-              nodeQValues[i],
-              graph.audioContext.currentTime,
-            );
-          }
-
-          if (nodeGainValues && i in nodeGainValues) {
-            filter.gain.setValueAtTime(
-              nodeGainValues[i],
-              graph.audioContext.currentTime,
-            );
-          }
+        const channelMode = msg.channelMode ?? "stereo";
+        const bands = sanitizeEqBands(msg.bands);
+        const secondaryBands =
+          channelMode === "stereo" ? [] : sanitizeEqBands(msg.secondaryBands);
+        if (!EQ_CHANNEL_MODES.includes(channelMode)) {
+          sendResponse({ ok: false, error: "Invalid EQ channel mode" });
+          return;
+        }
+        if (!bands || !secondaryBands) {
+          sendResponse({ ok: false, error: "Invalid EQ bands" });
+          return;
         }
 
-        sendResponse({ ok: true });
+        updateEqSection(
+          graph.audioContext,
+          graph.eq,
+          bands,
+          channelMode,
+          secondaryBands,
+        );
+
+        // Keep auto preamp in sync with the new EQ curve
+        updatePreamp(graph);
+
+        sendResponse({ ok: true, preampDb: graph.preamp.preampDb });
         return;
       } catch (e) {
         console.warn("[OFFSCREEN] UPDATE_EQ_NODES failed:", e);
@@ -339,39 +2767,30 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     // =====================
     // GET_EQ_NODES
     // =====================
-    // Returns current EQ filter parameters for a specific tab.
+    // Returns the current EQ band lists and channel mode for a specific tab
+    // (secondaryBands only in the "lr" and "ms" modes).
     // Used during initialization to populate UI state from Web Audio API.
+    // An empty list means the popup has not configured this tab yet.
     if (msg?.type === "GET_EQ_NODES") {
       try {
         const graph = audioGraphs.get(tabId);
-        if (!graph || !graph.eqFilters) {
+        if (!graph || !graph.eq) {
           sendResponse({ ok: false, error: "No audio graph for tab" });
           return;
         }
 
-        const nodeGainValues = {};
-        const nodeFrequencyValues = {};
-        const nodeQValues = {};
-
-        // Read current filter values
-        for (let i = 0; i < FREQUENCIES.length; i++) {
-          const filter = graph.eqFilters[i];
-
-          // Only include non-default values
-          if (filter.gain.value !== 0) {
-            nodeGainValues[i] = filter.gain.value;
-          }
-
-          nodeFrequencyValues[i] = filter.frequency.value;
-          nodeQValues[i] = filter.Q.value;
-        }
-
-        sendResponse({
-          ok: true,
-          nodeGainValues,
-          nodeFrequencyValues,
-          nodeQValues,
-        });
+        const { channelMode, curves } = graph.eq;
+        const bands = getEqCurveBands(curves[0]);
+        sendResponse(
+          channelMode === "stereo"
+            ? { ok: true, channelMode, bands }
+            : {
+                ok: true,
+                channelMode,
+                bands,
+                secondaryBands: getEqCurveBands(curves[1]),
+              },
+        );
         return;
       } catch (e) {
         console.warn("[OFFSCREEN] GET_EQ_NODES failed:", e);
@@ -380,33 +2799,55 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     }
 
     // =====================
-    // GET_SPECTRUM_DATA
+    // GET_FREQUENCY_RESPONSE
     // =====================
-    // Returns real-time frequency spectrum data for a specific tab.
-    // Used by popup to render spectrum visualizer in Controls component.
-    if (msg?.type === "GET_SPECTRUM_DATA") {
+    // Returns the combined response of the cut filters and EQ bands for a
+    // specific tab, computed by the filters themselves at the real sample rate.
+    // Expects: { frequencies: [Hz], curve?: 0 (default) | 1 } where curve 1
+    // is the right/side curve of the split channel modes
+    // Returns: { sampleRate, frequencies, magnitudeDb: [dB], phaseDeg: [°] }
+    if (msg?.type === "GET_FREQUENCY_RESPONSE") {
       try {
         const graph = audioGraphs.get(tabId);
-        if (!graph || !graph.analyserNode) {
+        if (!graph || !graph.eq) {
           sendResponse({ ok: false, error: "No audio graph for tab" });
           return;
         }
 
-        // Get frequency data from analyser
-        const dataArray = new Uint8Array(graph.analyserNode.frequencyBinCount);
-        graph.analyserNode.getByteFrequencyData(dataArray);
+        const requested = msg.frequencies;
+        if (
+          !Array.isArray(requested) ||
+          requested.length > MAX_RESPONSE_REQUEST_POINTS ||
+          !requested.every(Number.isFinite)
+        ) {
+          sendResponse({ ok: false, error: "Invalid frequencies" });
+          return;
+        }
 
-        // Convert to array for transmission
-        const spectrumData = Array.from(dataArray);
+        // getFrequencyResponse reports NaN above Nyquist, so clamp
+        const { sampleRate } = graph.audioContext;
+        const frequencies = Float32Array.from(requested, (f) =>
+          Math.max(0, Math.min(sampleRate / 2, f)),
+        );
+        const { magnitudeDb, phase } = getFilterChainResponse(
+          [
+            ...graph.cut.highpass,
+            ...graph.cut.lowpass,
+            ...graph.eq.curves[msg.curve === 1 ? 1 : 0].filters,
+          ],
+          frequencies,
+        );
 
         sendResponse({
           ok: true,
-          spectrumData,
-          binCount: graph.analyserNode.frequencyBinCount,
+          sampleRate,
+          frequencies: requested,
+          magnitudeDb: Array.from(magnitudeDb),
+          phaseDeg: Array.from(phase, (rad) => (rad * 180) / Math.PI),
         });
         return;
       } catch (e) {
-        console.warn("[OFFSCREEN] GET_SPECTRUM_DATA failed:", e);
+        console.warn("[OFFSCREEN] GET_FREQUENCY_RESPONSE failed:", e);
         sendResponse({ ok: false, error: String(e?.message || e) });
       }
     }
@@ -0,0 +1,83 @@
+// offscreen/worklets/dynamic-eq-processor.js
+// AudioWorklet processor driving the gain of a dynamic EQ band.
+// Runs on the audio rendering thread of each tab's AudioContext.
+//
+// The input is the band-limited signal around the band's frequency
+// (a bandpass filter tapped before the EQ). Its level is followed by a
+// peak envelope with separate attack and release times; every dB above
+// the threshold moves the band gain 1 dB toward the maximum cut/boost.
+// The output is that gain in dB, connected to the band filter's gain
+// AudioParam (whose own value is 0), so the filter follows it per sample.
+// The current gain is also reported back for the popup's node animation.
+
+// How often the current gain is reported back to the main thread (seconds)
+const REPORT_INTERVAL = 1 / 30;
+
+// Envelope floor, keeps the dB conversion finite during silence
+const MIN_ENVELOPE = 1e-10;
+
+class DynamicEqProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+
+    // Neutral until the first settings message arrives
+    this.threshold = 0;
+    this.maxGain = 0;
+    this.setTimes(5, 150);
+
+    this.envelope = 0;
+    this.gainDb = 0;
+    this.reportInterval = Math.round(REPORT_INTERVAL * sampleRate);
+    this.framesSinceReport = 0;
+
+    this.port.onmessage = (e) => {
+      const data = e.data;
+      if (data?.type !== "settings") return;
+      this.threshold = data.threshold;
+      this.maxGain = data.maxGain;
+      this.setTimes(data.attack, data.release);
+    };
+  }
+
+  // One-pole envelope coefficients for attack and release times (ms)
+  setTimes(attackMs, releaseMs) {
+    this.attackCoeff =
+      attackMs > 0 ? Math.exp(-1000 / (attackMs * sampleRate)) : 0;
+    this.releaseCoeff =
+      releaseMs > 0 ? Math.exp(-1000 / (releaseMs * sampleRate)) : 0;
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0];
+    const output = outputs[0][0];
+    const range = Math.abs(this.maxGain);
+    const direction = Math.sign(this.maxGain);
+
+    for (let i = 0; i < output.length; i++) {
+      // Peak across channels (silent when the input is disconnected)
+      let peak = 0;
+      for (let ch = 0; ch < input.length; ch++) {
+        const abs = Math.abs(input[ch][i]);
+        if (abs > peak) peak = abs;
+      }
+
+      const coeff = peak > this.envelope ? this.attackCoeff : this.releaseCoeff;
+      this.envelope = coeff * this.envelope + (1 - coeff) * peak;
+
+      const levelDb = 20 * Math.log10(Math.max(this.envelope, MIN_ENVELOPE));
+      const overshoot = Math.max(0, levelDb - this.threshold);
+      this.gainDb = direction * Math.min(range, overshoot);
+      output[i] = this.gainDb;
+    }
+
+    this.framesSinceReport += output.length;
+    if (this.framesSinceReport >= this.reportInterval) {
+      this.port.postMessage({ type: "gain", db: this.gainDb });
+      this.framesSinceReport = 0;
+    }
+
+    return true;
+  }
+}
+
+registerProcessor("dynamic-eq", DynamicEqProcessor);
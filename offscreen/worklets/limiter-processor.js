@@ -0,0 +1,163 @@
+// offscreen/worklets/limiter-processor.js
+// AudioWorklet processor implementing a look-ahead brickwall peak limiter.
+// Runs on the audio rendering thread of each tab's AudioContext.
+//
+// Algorithm (per sample frame):
+// 1) Required gain = ceiling / peak when the frame peak exceeds the ceiling
+// 2) Sliding minimum of the required gain over the look-ahead window (hold)
+// 3) Exponential release back towards unity once the hold expires
+// 4) Moving average over the look-ahead window (smooth attack)
+// The audio itself is delayed by the look-ahead window, so the smoothed
+// gain always reaches the required value before the peak is output.
+
+// How often gain reduction is reported back to the main thread (seconds)
+const REPORT_INTERVAL = 1 / 30;
+
+class BrickwallLimiterProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const lookaheadMs = options?.processorOptions?.lookaheadMs ?? 5;
+    this.lookahead = Math.max(1, Math.round((lookaheadMs / 1000) * sampleRate));
+
+    // Settings (updated via port messages)
+    this.enabled = true;
+    this.ceiling = Math.pow(10, -1 / 20); // -1 dBFS
+    this.releaseCoef = this.getReleaseCoef(100);
+
+    // Audio delay lines, allocated lazily per channel
+    this.delayLines = [];
+    this.writeIndex = 0;
+
+    // Sliding-window minimum of required gain (monotonic deque)
+    this.minValues = new Float32Array(this.lookahead + 1);
+    this.minTimes = new Float64Array(this.lookahead + 1);
+    this.minHead = 0;
+    this.minSize = 0;
+    this.frame = 0;
+
+    // Released gain and moving-average smoother
+    this.releasedGain = 1;
+    this.averageBuffer = new Float32Array(this.lookahead).fill(1);
+    this.averageIndex = 0;
+    this.averageSum = this.lookahead;
+
+    // Gain reduction reporting
+    this.reportCounter = 0;
+    this.reportInterval = Math.round(REPORT_INTERVAL * sampleRate);
+    this.minGainSinceReport = 1;
+
+    this.port.onmessage = (e) => {
+      const msg = e.data;
+      if (msg?.type !== "settings") return;
+      if (typeof msg.enabled === "boolean") this.enabled = msg.enabled;
+      if (typeof msg.ceiling === "number") {
+        this.ceiling = Math.pow(10, msg.ceiling / 20);
+      }
+      if (typeof msg.release === "number") {
+        this.releaseCoef = this.getReleaseCoef(msg.release);
+      }
+    };
+  }
+
+  // One-pole coefficient for a release time given in milliseconds
+  getReleaseCoef(releaseMs) {
+    const seconds = Math.max(1, releaseMs) / 1000;
+    return Math.exp(-1 / (seconds * sampleRate));
+  }
+
+  // Push a required gain value into the sliding minimum and return the
+  // minimum over the last (lookahead + 1) frames.
+  slidingMin(value) {
+    const capacity = this.minValues.length;
+
+    // Drop values from the back that can never be the minimum again
+    while (this.minSize > 0) {
+      const back = (this.minHead + this.minSize - 1) % capacity;
+      if (this.minValues[back] < value) break;
+      this.minSize--;
+    }
+    const tail = (this.minHead + this.minSize) % capacity;
+    this.minValues[tail] = value;
+    this.minTimes[tail] = this.frame;
+    this.minSize++;
+
+    // Drop the front value once it leaves the window
+    if (this.frame - this.minTimes[this.minHead] > this.lookahead) {
+      this.minHead = (this.minHead + 1) % capacity;
+      this.minSize--;
+    }
+
+    this.frame++;
+    return this.minValues[this.minHead];
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const frames = output[0]?.length ?? 128;
+
+    while (this.delayLines.length < output.length) {
+      this.delayLines.push(new Float32Array(this.lookahead));
+    }
+
+    for (let i = 0; i < frames; i++) {
+      // Peak across all channels for this frame
+      let peak = 0;
+      for (let ch = 0; ch < output.length; ch++) {
+        const channel = input[ch] ?? input[0];
+        const sample = channel ? channel[i] : 0;
+        const abs = Math.abs(sample);
+        if (abs > peak) peak = abs;
+      }
+
+      const required =
+        this.enabled && peak > this.ceiling ? this.ceiling / peak : 1;
+      const held = this.slidingMin(required);
+
+      // Instant attack on the held value, exponential release
+      this.releasedGain =
+        held < this.releasedGain
+          ? held
+          : held + (this.releasedGain - held) * this.releaseCoef;
+
+      // Moving average over the look-ahead window
+      this.averageSum +=
+        this.releasedGain - this.averageBuffer[this.averageIndex];
+      this.averageBuffer[this.averageIndex] = this.releasedGain;
+      this.averageIndex = (this.averageIndex + 1) % this.lookahead;
+      const gain = Math.min(1, this.averageSum / this.lookahead);
+
+      // Output the delayed sample with the smoothed gain applied
+      for (let ch = 0; ch < output.length; ch++) {
+        const channel = input[ch] ?? input[0];
+        const delayLine = this.delayLines[ch];
+        const delayed = delayLine[this.writeIndex];
+        delayLine[this.writeIndex] = channel ? channel[i] : 0;
+        output[ch][i] = delayed * gain;
+      }
+      this.writeIndex = (this.writeIndex + 1) % this.lookahead;
+
+      if (gain < this.minGainSinceReport) this.minGainSinceReport = gain;
+    }
+
+    // Resync the running sum periodically to avoid float drift
+    if (this.averageIndex === 0) {
+      this.averageSum = this.averageBuffer.reduce((sum, g) => sum + g, 0);
+    }
+
+    this.reportCounter += frames;
+    if (this.reportCounter >= this.reportInterval) {
+      this.reportCounter = 0;
+      this.port.postMessage({
+        type: "gainReduction",
+        db: 20 * Math.log10(Math.max(this.minGainSinceReport, 1e-6)),
+      });
+      this.minGainSinceReport = 1;
+    }
+
+    return true;
+  }
+}
+
+registerProcessor("brickwall-limiter", BrickwallLimiterProcessor);
@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest";
+import {
+  TEST_SAMPLE_RATE,
+  createProcessor,
+  runProcessor,
+  sendToProcessor,
+  sine,
+} from "./test-utils";
+import "./limiter-processor";
+
+const LOOKAHEAD_MS = 5;
+const LOOKAHEAD = Math.round((LOOKAHEAD_MS / 1000) * TEST_SAMPLE_RATE);
+
+function createLimiter(settings = {}) {
+  const limiter = createProcessor("brickwall-limiter", {
+    processorOptions: { lookaheadMs: LOOKAHEAD_MS },
+  });
+  sendToProcessor(limiter, { type: "settings", ...settings });
+  return limiter;
+}
+
+function getPeak(samples) {
+  return samples.reduce((peak, sample) => Math.max(peak, Math.abs(sample)), 0);
+}
+
+describe("brickwall limiter worklet", () => {
+  it("passes quiet audio through unchanged, delayed by the look-ahead", () => {
+    const input = sine(0.5, 440, TEST_SAMPLE_RATE / 10);
+    const [left, right] = runProcessor(createLimiter(), [input, input], 2);
+
+    for (let i = LOOKAHEAD; i < input.length; i++) {
+      expect(left[i]).toBeCloseTo(input[i - LOOKAHEAD], 6);
+      expect(right[i]).toBeCloseTo(input[i - LOOKAHEAD], 6);
+    }
+  });
+
+  it("keeps every output sample at or below the ceiling", () => {
+    const ceiling = Math.pow(10, -3 / 20);
+    const input = sine(2, 100, TEST_SAMPLE_RATE / 2);
+    const [left, right] = runProcessor(
+      createLimiter({ ceiling: -3 }),
+      [input, input],
+      2,
+    );
+
+    expect(getPeak(left)).toBeLessThanOrEqual(ceiling + 1e-6);
+    expect(getPeak(right)).toBeLessThanOrEqual(ceiling + 1e-6);
+  });
+
+  it("limits both channels by the louder one", () => {
+    const loud = sine(2, 100, TEST_SAMPLE_RATE / 2);
+    const quiet = sine(0.5, 100, TEST_SAMPLE_RATE / 2);
+    const [left, right] = runProcessor(createLimiter(), [loud, quiet], 2);
+
+    // Steady state: both channels share the same gain
+    const settled = TEST_SAMPLE_RATE / 4;
+    expect(getPeak(right.slice(settled))).toBeCloseTo(
+      getPeak(left.slice(settled)) / 4,
+      3,
+    );
+  });
+
+  it("reports the gain reduction in dB", () => {
+    const limiter = createLimiter({ ceiling: -6 });
+    const input = sine(1, 100, TEST_SAMPLE_RATE / 2);
+    runProcessor(limiter, [input, input], 2);
+
+    const reports = limiter.port.messages.filter(
+      (msg) => msg.type === "gainReduction",
+    );
+    expect(reports.length).toBeGreaterThan(0);
+    expect(reports.at(-1).db).toBeCloseTo(-6, 1);
+  });
+
+  it("passes loud audio through when disabled", () => {
+    const input = sine(2, 100, TEST_SAMPLE_RATE / 10);
+    const [left] = runProcessor(
+      createLimiter({ enabled: false }),
+      [input, input],
+      2,
+    );
+
+    expect(getPeak(left)).toBeCloseTo(2, 3);
+  });
+});
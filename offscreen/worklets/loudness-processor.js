@@ -0,0 +1,274 @@
+// offscreen/worklets/loudness-processor.js
+// AudioWorklet processor implementing an ITU-R BS.1770-4 loudness meter.
+// Runs on the audio rendering thread of each tab's AudioContext.
+//
+// Algorithm:
+// 1) K-weighting: high-shelf (head effect) then high-pass (RLB) biquad
+// 2) Mean square per channel over 100 ms sub-blocks, summed across channels
+// 3) Momentary = last 400 ms (4 sub-blocks), short-term = last 3 s (30)
+// 4) Integrated = gated mean of 400 ms blocks (75% overlap): absolute gate
+//    at -70 LUFS, then relative gate 10 LU below the absolute-gated mean.
+//    Blocks are kept in a 0.1 LU histogram so memory stays constant.
+// 5) True-peak: 4x oversampling with a polyphase windowed-sinc interpolator
+// The node has no outputs: it only taps the signal it is connected to.
+
+// Sub-block length and report rate (seconds)
+const SUB_BLOCK_TIME = 0.1;
+const MOMENTARY_SUB_BLOCKS = 4;
+const SHORT_TERM_SUB_BLOCKS = 30;
+
+// Gating (LUFS / LU)
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// Integrated loudness histogram: 0.1 LU bins from -70 to +5 LUFS
+const HISTOGRAM_MIN = -70;
+const HISTOGRAM_STEP = 0.1;
+const HISTOGRAM_BINS = 750;
+
+// True-peak interpolator: 4x oversampling, 12 taps per phase
+const OVERSAMPLING = 4;
+const TAPS_PER_PHASE = 12;
+
+// Loudness of a summed mean square (BS.1770 offset -0.691 dB)
+function energyToLoudness(energy) {
+  return energy > 0 ? -0.691 + 10 * Math.log10(energy) : -Infinity;
+}
+
+// Biquad coefficients of the two K-weighting stages for any sample rate
+// (pre-filter and RLB high-pass from BS.1770, re-derived per sample rate)
+function getKWeightingStages(rate) {
+  // Stage 1: high shelf, +4 dB above ~1.7 kHz
+  const shelfK = Math.tan((Math.PI * 1681.974450955533) / rate);
+  const shelfQ = 0.7071752369554196;
+  const vh = Math.pow(10, 3.999843853973347 / 20);
+  const vb = Math.pow(vh, 0.4996667741545416);
+  const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+
+  // Stage 2: high-pass at ~38 Hz
+  const passK = Math.tan((Math.PI * 38.13547087602444) / rate);
+  const passQ = 0.5003270373238773;
+  const passA0 = 1 + passK / passQ + passK * passK;
+
+  return [
+    {
+      b0: (vh + (vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+      b1: (2 * (shelfK * shelfK - vh)) / shelfA0,
+      b2: (vh - (vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+      a1: (2 * (shelfK * shelfK - 1)) / shelfA0,
+      a2: (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+    },
+    {
+      b0: 1,
+      b1: -2,
+      b2: 1,
+      a1: (2 * (passK * passK - 1)) / passA0,
+      a2: (1 - passK / passQ + passK * passK) / passA0,
+    },
+  ];
+}
+
+// Polyphase coefficients of the true-peak interpolation filter
+// (Hann-windowed sinc; every phase sums to ~1)
+function getInterpolatorPhases() {
+  const length = OVERSAMPLING * TAPS_PER_PHASE;
+  const center = (length - 1) / 2;
+  const phases = [];
+
+  for (let phase = 0; phase < OVERSAMPLING; phase++) {
+    const taps = new Float32Array(TAPS_PER_PHASE);
+    for (let tap = 0; tap < TAPS_PER_PHASE; tap++) {
+      const n = tap * OVERSAMPLING + phase;
+      const x = (n - center) / OVERSAMPLING;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+      const hann = 0.5 - 0.5 * Math.cos((2 * Math.PI * (n + 0.5)) / length);
+      taps[tap] = sinc * hann;
+    }
+    phases.push(taps);
+  }
+  return phases;
+}
+
+class LoudnessMeterProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+
+    this.stages = getKWeightingStages(sampleRate);
+    this.phases = getInterpolatorPhases();
+    this.subBlockLength = Math.round(SUB_BLOCK_TIME * sampleRate);
+
+    // Per-channel filter and interpolator state, allocated lazily
+    this.channels = [];
+
+    this.reset();
+
+    this.port.onmessage = (e) => {
+      if (e.data?.type === "reset") this.reset();
+    };
+  }
+
+  // Clear all measurements (filter state is kept)
+  reset() {
+    this.subBlockFrames = 0;
+    this.subBlockEnergy = 0;
+    this.subBlocks = new Float64Array(SHORT_TERM_SUB_BLOCKS);
+    this.subBlockCount = 0;
+    this.histogramCounts = new Uint32Array(HISTOGRAM_BINS);
+    this.histogramEnergy = new Float64Array(HISTOGRAM_BINS);
+    this.truePeak = 0;
+  }
+
+  // Filter and interpolator state for one channel
+  createChannel() {
+    return {
+      z: new Float64Array(4), // Biquad states (2 per stage)
+      history: new Float32Array(TAPS_PER_PHASE),
+      historyIndex: 0,
+    };
+  }
+
+  // K-weight one sample (transposed direct form II, both stages)
+  kWeight(channel, sample) {
+    let value = sample;
+    for (let s = 0; s < this.stages.length; s++) {
+      const { b0, b1, b2, a1, a2 } = this.stages[s];
+      const z = channel.z;
+      const out = b0 * value + z[s * 2];
+      z[s * 2] = b1 * value - a1 * out + z[s * 2 + 1];
+      z[s * 2 + 1] = b2 * value - a2 * out;
+      value = out;
+    }
+    return value;
+  }
+
+  // Largest absolute value among the oversampled points of this sample
+  interpolatePeak(channel, sample) {
+    const history = channel.history;
+    history[channel.historyIndex] = sample;
+    channel.historyIndex = (channel.historyIndex + 1) % TAPS_PER_PHASE;
+
+    let peak = Math.abs(sample);
+    for (let phase = 0; phase < OVERSAMPLING; phase++) {
+      const taps = this.phases[phase];
+      let sum = 0;
+      let index = channel.historyIndex;
+      for (let tap = TAPS_PER_PHASE - 1; tap >= 0; tap--) {
+        sum += taps[tap] * history[index];
+        index = (index + 1) % TAPS_PER_PHASE;
+      }
+      const abs = Math.abs(sum);
+      if (abs > peak) peak = abs;
+    }
+    return peak;
+  }
+
+  // Mean of the most recent sub-blocks (null until the window is filled)
+  getWindowLoudness(subBlockCount) {
+    if (this.subBlockCount < subBlockCount) return null;
+
+    let sum = 0;
+    for (let i = 1; i <= subBlockCount; i++) {
+      const index = (this.subBlockCount - i) % SHORT_TERM_SUB_BLOCKS;
+      sum += this.subBlocks[index];
+    }
+    const loudness = energyToLoudness(sum / subBlockCount);
+    return Number.isFinite(loudness) ? loudness : null;
+  }
+
+  // Add a 400 ms gating block to the integrated loudness histogram
+  addGatingBlock(energy) {
+    const loudness = energyToLoudness(energy);
+    if (!(loudness > ABSOLUTE_GATE)) return;
+
+    const bin = Math.min(
+      HISTOGRAM_BINS - 1,
+      Math.floor((loudness - HISTOGRAM_MIN) / HISTOGRAM_STEP),
+    );
+    this.histogramCounts[bin]++;
+    this.histogramEnergy[bin] += energy;
+  }
+
+  // Gated integrated loudness from the histogram (null before any block)
+  getIntegratedLoudness() {
+    let count = 0;
+    let energy = 0;
+    for (let bin = 0; bin < HISTOGRAM_BINS; bin++) {
+      count += this.histogramCounts[bin];
+      energy += this.histogramEnergy[bin];
+    }
+    if (count === 0) return null;
+
+    // Relative gate below the absolute-gated mean
+    const threshold = energyToLoudness(energy / count) + RELATIVE_GATE;
+    const firstBin = Math.max(
+      0,
+      Math.ceil((threshold - HISTOGRAM_MIN) / HISTOGRAM_STEP),
+    );
+
+    count = 0;
+    energy = 0;
+    for (let bin = firstBin; bin < HISTOGRAM_BINS; bin++) {
+      count += this.histogramCounts[bin];
+      energy += this.histogramEnergy[bin];
+    }
+    return count > 0 ? energyToLoudness(energy / count) : null;
+  }
+
+  // Close a 100 ms sub-block: update gating and report to the main thread
+  finishSubBlock() {
+    const index = this.subBlockCount % SHORT_TERM_SUB_BLOCKS;
+    this.subBlocks[index] = this.subBlockEnergy / this.subBlockFrames;
+    this.subBlockCount++;
+    this.subBlockEnergy = 0;
+    this.subBlockFrames = 0;
+
+    // Every sub-block completes a 400 ms block overlapping the previous by 75%
+    if (this.subBlockCount >= MOMENTARY_SUB_BLOCKS) {
+      let energy = 0;
+      for (let i = 1; i <= MOMENTARY_SUB_BLOCKS; i++) {
+        energy +=
+          this.subBlocks[(this.subBlockCount - i) % SHORT_TERM_SUB_BLOCKS];
+      }
+      this.addGatingBlock(energy / MOMENTARY_SUB_BLOCKS);
+    }
+
+    this.port.postMessage({
+      type: "loudness",
+      momentary: this.getWindowLoudness(MOMENTARY_SUB_BLOCKS),
+      shortTerm: this.getWindowLoudness(SHORT_TERM_SUB_BLOCKS),
+      integrated: this.getIntegratedLoudness(),
+      truePeak: this.truePeak > 0 ? 20 * Math.log10(this.truePeak) : null,
+    });
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    const frames = input[0]?.length ?? 128;
+
+    while (this.channels.length < input.length) {
+      this.channels.push(this.createChannel());
+    }
+
+    for (let i = 0; i < frames; i++) {
+      // Sum of K-weighted squares across channels (all weights are 1 for L/R)
+      let energy = 0;
+      for (let ch = 0; ch < input.length; ch++) {
+        const channel = this.channels[ch];
+        const sample = input[ch][i];
+        const weighted = this.kWeight(channel, sample);
+        energy += weighted * weighted;
+
+        const peak = this.interpolatePeak(channel, sample);
+        if (peak > this.truePeak) this.truePeak = peak;
+      }
+
+      this.subBlockEnergy += energy;
+      this.subBlockFrames++;
+      if (this.subBlockFrames >= this.subBlockLength) this.finishSubBlock();
+    }
+
+    return true;
+  }
+}
+
+registerProcessor("loudness-meter", LoudnessMeterProcessor);
@@ -0,0 +1,90 @@
+import { describe, expect, it } from "vitest";
+import {
+  TEST_SAMPLE_RATE,
+  createProcessor,
+  runProcessor,
+  sendToProcessor,
+  sine,
+} from "./test-utils";
+import "./loudness-processor";
+
+// Sine amplitude for a level in dBFS
+function dbToAmplitude(db) {
+  return Math.pow(10, db / 20);
+}
+
+// Latest loudness report after running the channels through a new meter
+function measure(channels, meter = createProcessor("loudness-meter")) {
+  runProcessor(meter, channels);
+  return meter.port.messages.at(-1);
+}
+
+describe("BS.1770 loudness meter worklet", () => {
+  const seconds = (count) => Math.round(count * TEST_SAMPLE_RATE);
+
+  it("reads a 1 kHz stereo sine as its level in LUFS", () => {
+    const tone = sine(dbToAmplitude(-20), 997, seconds(4));
+    const report = measure([tone, tone]);
+
+    // A full-scale sine in both channels reads 0 LUFS (-3 dB RMS + 3 dB sum)
+    expect(report.momentary).toBeCloseTo(-20, 1);
+    expect(report.shortTerm).toBeCloseTo(-20, 1);
+    expect(report.integrated).toBeCloseTo(-20, 1);
+  });
+
+  it("reads a single channel 3 dB quieter", () => {
+    const tone = sine(dbToAmplitude(-20), 997, seconds(4));
+    const silence = new Float32Array(tone.length);
+    expect(measure([tone, silence]).integrated).toBeCloseTo(-23.01, 1);
+  });
+
+  it("reports null until a window is filled or while silent", () => {
+    const tone = sine(0.1, 997, seconds(0.2));
+    const early = measure([tone, tone]);
+    expect(early.momentary).toBeNull();
+    expect(early.shortTerm).toBeNull();
+
+    const silence = new Float32Array(seconds(4));
+    const silent = measure([silence, silence]);
+    expect(silent.momentary).toBeNull();
+    expect(silent.integrated).toBeNull();
+    expect(silent.truePeak).toBeNull();
+  });
+
+  it("gates silence and quiet passages out of the integrated loudness", () => {
+    const loud = sine(dbToAmplitude(-20), 997, seconds(5));
+    const quiet = sine(dbToAmplitude(-36), 997, seconds(5));
+    const silence = new Float32Array(seconds(5));
+    const program = Float32Array.from([...loud, ...quiet, ...silence]);
+
+    // Ungated, the mix would read about -22.8 LUFS; the relative gate
+    // (10 LU below the absolute-gated mean) drops the -36 dB passage
+    expect(measure([program, program]).integrated).toBeCloseTo(-20, 0);
+  });
+
+  it("finds inter-sample peaks above the sample peak", () => {
+    // fs/4 sine sampled 45° off its peaks: samples reach only -3 dB
+    const tone = Float32Array.from(
+      { length: seconds(1) },
+      (_, i) => 0.9 * Math.sin((Math.PI / 2) * i + Math.PI / 4),
+    );
+    const truePeak = measure([tone, tone]).truePeak;
+    const samplePeak = 20 * Math.log10(0.9 * Math.SQRT1_2);
+
+    expect(truePeak).toBeGreaterThan(samplePeak + 2);
+    expect(truePeak).toBeLessThan(20 * Math.log10(0.9) + 0.5);
+  });
+
+  it("restarts the measurement on reset", () => {
+    const meter = createProcessor("loudness-meter");
+    const tone = sine(0.5, 997, seconds(1));
+    const before = measure([tone, tone], meter);
+
+    // Only the quieter tone after the reset counts
+    sendToProcessor(meter, { type: "reset" });
+    const quiet = sine(dbToAmplitude(-30), 997, seconds(1));
+    const report = measure([quiet, quiet], meter);
+    expect(report.integrated).toBeCloseTo(-30, 0);
+    expect(report.truePeak).toBeLessThan(before.truePeak);
+  });
+});
@@ -0,0 +1,75 @@
+// offscreen/worklets/meter-processor.js
+// AudioWorklet processor measuring per-channel peak and RMS levels.
+// Runs on the audio rendering thread of each tab's AudioContext.
+//
+// The node has no outputs: it only taps the signal it is connected to.
+// Every report interval it posts the sample peak and mean square of each
+// channel over that interval, and whether any sample reached full scale.
+// Ballistics (peak fall-off, RMS integration) are applied on the main thread.
+
+// How often levels are reported back to the main thread (seconds)
+const REPORT_INTERVAL = 1 / 30;
+
+// Samples at or above this absolute value count as clipping (0 dBFS)
+const CLIP_LEVEL = 1;
+
+class LevelMeterProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+
+    this.reportInterval = Math.round(REPORT_INTERVAL * sampleRate);
+    this.reset(2);
+  }
+
+  // Start a new report interval for the given number of channels
+  reset(channelCount) {
+    this.frameCount = 0;
+    this.peaks = new Float32Array(channelCount);
+    this.sumSquares = new Float64Array(channelCount);
+    this.clipped = false;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    const frames = input[0]?.length ?? 128;
+
+    // Mono sources are metered as identical left and right channels
+    const channelCount = Math.max(2, input.length);
+    if (this.peaks.length !== channelCount) this.reset(channelCount);
+
+    for (let ch = 0; ch < channelCount; ch++) {
+      const channel = input[ch] ?? input[0];
+      if (!channel) continue; // Silent (disconnected) input
+
+      let peak = this.peaks[ch];
+      let sumSquares = 0;
+      for (let i = 0; i < frames; i++) {
+        const sample = channel[i];
+        const abs = Math.abs(sample);
+        if (abs > peak) peak = abs;
+        sumSquares += sample * sample;
+      }
+      this.peaks[ch] = peak;
+      this.sumSquares[ch] += sumSquares;
+      if (peak >= CLIP_LEVEL) this.clipped = true;
+    }
+
+    this.frameCount += frames;
+    if (this.frameCount >= this.reportInterval) {
+      this.port.postMessage({
+        type: "levels",
+        peaks: Array.from(this.peaks),
+        meanSquares: Array.from(
+          this.sumSquares,
+          (sum) => sum / this.frameCount,
+        ),
+        clipped: this.clipped,
+      });
+      this.reset(channelCount);
+    }
+
+    return true;
+  }
+}
+
+registerProcessor("level-meter", LevelMeterProcessor);
@@ -0,0 +1,75 @@
+// offscreen/worklets/test-utils.js
+// Runs AudioWorklet processors in Node for unit tests.
+// Provides the parts of AudioWorkletGlobalScope the processors use
+// (AudioWorkletProcessor with a message port, registerProcessor and
+// sampleRate); import it before the processor module under test.
+
+export const TEST_SAMPLE_RATE = 48000;
+
+// Processor classes by registered name
+const processors = new Map();
+
+// Message port of a processor: records what it posts to the main thread
+class TestPort {
+  constructor() {
+    this.messages = [];
+    this.onmessage = null;
+  }
+
+  postMessage(data) {
+    this.messages.push(data);
+  }
+}
+
+globalThis.sampleRate = TEST_SAMPLE_RATE;
+globalThis.AudioWorkletProcessor = class AudioWorkletProcessor {
+  constructor() {
+    this.port = new TestPort();
+  }
+};
+globalThis.registerProcessor = (name, processorClass) => {
+  processors.set(name, processorClass);
+};
+
+// Create a registered processor (options as passed to AudioWorkletNode)
+export function createProcessor(name, options = {}) {
+  const ProcessorClass = processors.get(name);
+  if (!ProcessorClass) throw new Error(`Processor not registered: ${name}`);
+  return new ProcessorClass(options);
+}
+
+// Send a message to a processor as if posted from the main thread
+export function sendToProcessor(processor, data) {
+  processor.port.onmessage?.({ data });
+}
+
+// Run channels (arrays of samples) through a processor in 128-frame
+// render quanta; returns the output channels (empty for sink processors)
+export function runProcessor(processor, channels, outputChannelCount = 0) {
+  const length = channels[0].length;
+  const outputs = Array.from(
+    { length: outputChannelCount },
+    () => new Float32Array(length),
+  );
+
+  for (let start = 0; start < length; start += 128) {
+    const end = Math.min(length, start + 128);
+    const input = channels.map((channel) =>
+      Float32Array.from(channel.slice(start, end)),
+    );
+    const output = outputs.map(() => new Float32Array(end - start));
+    processor.process([input], [output]);
+    output.forEach((channel, ch) => outputs[ch].set(channel, start));
+  }
+
+  return outputs;
+}
+
+// A sine wave of the given amplitude and frequency
+export function sine(amplitude, frequency, length) {
+  return Float32Array.from(
+    { length },
+    (_, i) =>
+      amplitude * Math.sin((2 * Math.PI * frequency * i) / TEST_SAMPLE_RATE),
+  );
+}
@@ -418,16 +418,18 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   // UPDATE_EQ_NODES
   // =====================
   // Forward EQ parameter updates to offscreen.
-  // Updates: frequency, gain, Q for specific nodes on a tab.
+  // Sends the full band list (type, frequency, gain, Q and dynamic threshold
+  // per band) for a tab, plus the EQ channel mode and the second curve's
+  // band list when left/right or mid/side curves are split.
   if (msg?.type === "UPDATE_EQ_NODES") {
     (async () => {
       try {
         const res = await sendToOffscreen({
           type: "UPDATE_EQ_NODES",
           tabId: msg.tabId,
-          nodeGainValues: msg.nodeGainValues,
-          nodeFrequencyValues: msg.nodeFrequencyValues,
-          nodeQValues: msg.nodeQValues,
+          bands: msg.bands,
+          channelMode: msg.channelMode,
+          secondaryBands: msg.secondaryBands,
         });
         sendResponse(res ?? { ok: true });
       } catch (e) {
@@ -456,4 +458,343 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     })();
     return true;
   }
+
+  // =====================
+  // SET_LIMITER
+  // =====================
+  // Forward brickwall limiter settings (enabled, ceiling, release) to offscreen.
+  if (msg?.type === "SET_LIMITER") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "SET_LIMITER",
+          tabId: msg.tabId,
+          settings: msg.settings,
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
+
+  // =====================
+  // GET_ALL_METERS
+  // =====================
+  // Fetch levels and AGC corrections for every captured tab from offscreen
+  // (Active Tabs meters).
+  if (msg?.type === "GET_ALL_METERS") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "GET_ALL_METERS",
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
+
+  // =====================
+  // RESET_CLIP
+  // =====================
+  // Clear the latched clip indicator in offscreen.
+  if (msg?.type === "RESET_CLIP") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "RESET_CLIP",
+          tabId: msg.tabId,
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
+
+  // =====================
+  // RESET_LOUDNESS
+  // =====================
+  // Restart the loudness measurement in offscreen.
+  if (msg?.type === "RESET_LOUDNESS") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "RESET_LOUDNESS",
+          tabId: msg.tabId,
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
+
+  // =====================
+  // SET_AGC
+  // =====================
+  // Forward automatic gain control settings (shared by all tabs) to offscreen.
+  if (msg?.type === "SET_AGC") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "SET_AGC",
+          settings: msg.settings,
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
+
+  // =====================
+  // SET_COMPRESSOR
+  // =====================
+  // Forward compressor settings (threshold, ratio, knee, attack, release,
+  // makeup) to offscreen.
+  if (msg?.type === "SET_COMPRESSOR") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "SET_COMPRESSOR",
+          tabId: msg.tabId,
+          settings: msg.settings,
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
+
+  // =====================
+  // SET_MULTIBAND
+  // =====================
+  // Forward multiband compressor settings (crossovers, per-band threshold
+  // and ratio) to offscreen.
+  if (msg?.type === "SET_MULTIBAND") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "SET_MULTIBAND",
+          tabId: msg.tabId,
+          settings: msg.settings,
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
+
+  // =====================
+  // SET_DIALOGUE
+  // =====================
+  // Forward dialogue mode settings (enabled, intensity, center focus) to offscreen.
+  if (msg?.type === "SET_DIALOGUE") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "SET_DIALOGUE",
+          tabId: msg.tabId,
+          settings: msg.settings,
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
+
+  // =====================
+  // SET_VIRTUAL_BASS
+  // =====================
+  // Forward virtual bass settings (enabled, frequency, harmonics, cut) to offscreen.
+  if (msg?.type === "SET_VIRTUAL_BASS") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "SET_VIRTUAL_BASS",
+          tabId: msg.tabId,
+          settings: msg.settings,
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
+
+  // =====================
+  // SET_PREAMP
+  // =====================
+  // Forward preamp settings (auto mode, manual dB) to offscreen.
+  if (msg?.type === "SET_PREAMP") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "SET_PREAMP",
+          tabId: msg.tabId,
+          settings: msg.settings,
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
+
+  // =====================
+  // SET_STEREO
+  // =====================
+  // Forward stereo tools settings (balance, width, mono, swap) to offscreen.
+  if (msg?.type === "SET_STEREO") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "SET_STEREO",
+          tabId: msg.tabId,
+          settings: msg.settings,
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
+
+  // =====================
+  // SET_KARAOKE
+  // =====================
+  // Forward karaoke settings (enabled, mode, mix) to offscreen.
+  if (msg?.type === "SET_KARAOKE") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "SET_KARAOKE",
+          tabId: msg.tabId,
+          settings: msg.settings,
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
+
+  // =====================
+  // SET_CROSSFEED
+  // =====================
+  // Forward headphone crossfeed settings (enabled, cutoff, feed) to offscreen.
+  if (msg?.type === "SET_CROSSFEED") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "SET_CROSSFEED",
+          tabId: msg.tabId,
+          settings: msg.settings,
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
+
+  // =====================
+  // SET_VIRTUALIZER
+  // =====================
+  // Forward virtual speaker settings (enabled, angle, distance) to offscreen.
+  if (msg?.type === "SET_VIRTUALIZER") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "SET_VIRTUALIZER",
+          tabId: msg.tabId,
+          settings: msg.settings,
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
+
+  // =====================
+  // SET_ANALYSER
+  // =====================
+  // Forward spectrum analyser settings (FFT size, smoothing, dB range) to offscreen.
+  if (msg?.type === "SET_ANALYSER") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "SET_ANALYSER",
+          tabId: msg.tabId,
+          settings: msg.settings,
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
+
+  // =====================
+  // SET_CUT_FILTERS
+  // =====================
+  // Forward high-pass/low-pass cut filter settings to offscreen.
+  if (msg?.type === "SET_CUT_FILTERS") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "SET_CUT_FILTERS",
+          tabId: msg.tabId,
+          settings: msg.settings,
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
+
+  // =====================
+  // GET_FREQUENCY_RESPONSE
+  // =====================
+  // Fetch the combined EQ response (magnitude/phase) of one curve from offscreen.
+  if (msg?.type === "GET_FREQUENCY_RESPONSE") {
+    (async () => {
+      try {
+        const res = await sendToOffscreen({
+          type: "GET_FREQUENCY_RESPONSE",
+          tabId: msg.tabId,
+          frequencies: msg.frequencies,
+          curve: msg.curve,
+        });
+        sendResponse(res ?? { ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      }
+    })();
+    return true;
+  }
 });
@@ -0,0 +1,49 @@
+// Meter stream client (popup side), plus the port name shared with the
+// offscreen document.
+// The offscreen document pushes the meter readings of one tab at a fixed
+// rate, so the popup neither polls GET_* messages nor re-renders for every
+// reading: frames are kept outside React state and drawn by the meters.
+//
+// Protocol (served by handleMeterPort in offscreen.js):
+//   popup → offscreen: { type: "START", tabId }
+//   offscreen → popup: { type: "METERS", levels, gainReduction, dynamicEqGains,
+//                        loudness }
+//     levels: { peakDb: [L, R], rmsDb: [L, R], clipped } after the EQ and volume
+//     gainReduction: { limiter, compressor, multiband: [per band] } (dB, <= 0)
+//     dynamicEqGains: { [bandId]: dB } gain each dynamic EQ band applies
+//     loudness: { momentary, shortTerm, integrated (LUFS), truePeak (dBTP) }
+//       BS.1770 readout, each null until measured
+// Frames are only a few numbers, so unlike the spectrum stream they are not
+// acknowledged.
+
+import { connectRuntimePort } from "./runtimePort";
+
+export const METER_PORT_NAME = "meter-stream";
+
+/**
+ * Start streaming meter frames for a tab
+ *
+ * Options:
+ * - tabId: tab whose meters are streamed
+ * - onFrame: callback({ levels, gainReduction, dynamicEqGains, loudness })
+ *   for every received frame
+ *
+ * Returns { close() }
+ */
+export function connectMeterStream({ tabId, onFrame }) {
+  const connection = connectRuntimePort({
+    name: METER_PORT_NAME,
+    onConnect: (port) => port.postMessage({ type: "START", tabId }),
+    onMessage: (msg) => {
+      if (msg?.type !== "METERS") return;
+      onFrame({
+        levels: msg.levels,
+        gainReduction: msg.gainReduction,
+        dynamicEqGains: msg.dynamicEqGains,
+        loudness: msg.loudness,
+      });
+    },
+  });
+
+  return { close: connection.close };
+}
@@ -0,0 +1,53 @@
+// Long-lived chrome.runtime port from the popup to the offscreen document.
+// The offscreen document may not exist yet or may be recreated, so the port
+// reconnects on its own until it is closed. Used by the spectrum and meter
+// streams.
+
+// Delay before reconnecting when the offscreen document is not reachable
+const RECONNECT_DELAY_MS = 500;
+
+/**
+ * Open a port that reconnects until closed
+ *
+ * Options:
+ * - name: port name the offscreen document listens for
+ * - onConnect: callback(port) after every (re)connection, e.g. to send START
+ * - onMessage: callback(msg) for every message received
+ *
+ * Returns { postMessage(msg), close() }; messages posted while disconnected
+ * are dropped
+ */
+export function connectRuntimePort({ name, onConnect, onMessage }) {
+  let port = null;
+  let closed = false;
+  let reconnectTimer = null;
+
+  function connect() {
+    port = chrome.runtime.connect({ name });
+    port.onMessage.addListener(onMessage);
+
+    // Offscreen restarted or not created yet: try again shortly
+    port.onDisconnect.addListener(() => {
+      // Reading lastError marks the failed connection as handled
+      void chrome.runtime.lastError;
+      port = null;
+      if (!closed) reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+    });
+
+    onConnect(port);
+  }
+
+  connect();
+
+  return {
+    postMessage(msg) {
+      port?.postMessage(msg);
+    },
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      port?.disconnect();
+      port = null;
+    },
+  };
+}
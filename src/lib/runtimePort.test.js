@@ -0,0 +1,101 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { connectRuntimePort } from "./runtimePort";
+
+// Minimal chrome.runtime port that records what was sent to it
+function createTestPort(name) {
+  const listeners = { message: [], disconnect: [] };
+  return {
+    name,
+    sent: [],
+    disconnected: false,
+    postMessage(msg) {
+      this.sent.push(msg);
+    },
+    disconnect() {
+      this.disconnected = true;
+    },
+    onMessage: { addListener: (listener) => listeners.message.push(listener) },
+    onDisconnect: {
+      addListener: (listener) => listeners.disconnect.push(listener),
+    },
+    // Deliver a message or a disconnect from the offscreen side
+    receive(msg) {
+      listeners.message.forEach((listener) => listener(msg));
+    },
+    drop() {
+      listeners.disconnect.forEach((listener) => listener());
+    },
+  };
+}
+
+describe("connectRuntimePort", () => {
+  let ports;
+
+  beforeEach(() => {
+    ports = [];
+    vi.useFakeTimers();
+    vi.stubGlobal("chrome", {
+      runtime: {
+        lastError: undefined,
+        connect: ({ name }) => {
+          const port = createTestPort(name);
+          ports.push(port);
+          return port;
+        },
+      },
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  function connect(onMessage = () => {}) {
+    return connectRuntimePort({
+      name: "test-stream",
+      onConnect: (port) => port.postMessage({ type: "START" }),
+      onMessage,
+    });
+  }
+
+  it("connects by name and starts the stream", () => {
+    connect();
+    expect(ports).toHaveLength(1);
+    expect(ports[0].name).toBe("test-stream");
+    expect(ports[0].sent).toEqual([{ type: "START" }]);
+  });
+
+  it("forwards messages and posts to the current port", () => {
+    const onMessage = vi.fn();
+    const connection = connect(onMessage);
+    ports[0].receive({ type: "FRAME" });
+    connection.postMessage({ type: "ACK" });
+
+    expect(onMessage).toHaveBeenCalledWith({ type: "FRAME" });
+    expect(ports[0].sent.at(-1)).toEqual({ type: "ACK" });
+  });
+
+  it("reconnects and restarts after a disconnect", () => {
+    const connection = connect();
+    ports[0].drop();
+
+    // Messages are dropped until the new port is up
+    connection.postMessage({ type: "ACK" });
+    expect(ports).toHaveLength(1);
+
+    vi.advanceTimersByTime(500);
+    expect(ports).toHaveLength(2);
+    expect(ports[1].sent).toEqual([{ type: "START" }]);
+  });
+
+  it("stays closed after close()", () => {
+    const connection = connect();
+    connection.close();
+    expect(ports[0].disconnected).toBe(true);
+
+    ports[0].drop();
+    vi.advanceTimersByTime(5000);
+    expect(ports).toHaveLength(1);
+  });
+});
@@ -0,0 +1,86 @@
+// Spectrum stream client (popup side), plus the port name and frame
+// encoding shared with the offscreen document.
+// Opens a long-lived chrome.runtime port to the offscreen document, which
+// pushes analyser frames at the requested rate; this is the only way the
+// popup gets spectrum data.
+//
+// Protocol (served by handleSpectrumPort in offscreen.js):
+//   popup → offscreen: { type: "START", tabId, fps }, { type: "SET_RATE", fps },
+//                      { type: "ACK" } after each frame has been consumed
+//   offscreen → popup: { type: "FRAME", data (base64 post-EQ bytes),
+//                        inputData (base64 pre-EQ bytes), binCount, sampleRate }
+// The offscreen sends at most one unacknowledged frame (backpressure) and
+// stops as soon as the port disconnects (e.g. the popup closes).
+
+import { connectRuntimePort } from "./runtimePort";
+
+export const SPECTRUM_PORT_NAME = "spectrum-stream";
+
+// Encode analyser bytes as base64 (far smaller than a JSON number array);
+// used by the offscreen document when sending frames
+export function encodeSpectrumFrame(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+// Decode a base64 frame into analyser byte values (0-255)
+export function decodeSpectrumFrame(data) {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Start streaming spectrum frames for a tab
+ *
+ * Options:
+ * - tabId: tab whose analyser is streamed
+ * - fps: frames per second requested from the offscreen document
+ * - onFrame: callback({ output, input, sampleRate }) for every received frame
+ *   (output/input are Uint8Array post-EQ and pre-EQ spectra); the frame is
+ *   acknowledged on the next animation frame, after it has been drawn
+ *
+ * Returns { setRate(fps), close() }
+ */
+export function connectSpectrumStream({ tabId, fps, onFrame }) {
+  let currentFps = fps;
+  let ackFrameId = null;
+
+  const connection = connectRuntimePort({
+    name: SPECTRUM_PORT_NAME,
+    onConnect: (port) => {
+      port.postMessage({ type: "START", tabId, fps: currentFps });
+    },
+    onMessage: (msg) => {
+      if (msg?.type !== "FRAME") return;
+      onFrame({
+        output: decodeSpectrumFrame(msg.data),
+        input: msg.inputData ? decodeSpectrumFrame(msg.inputData) : null,
+        sampleRate: msg.sampleRate,
+      });
+
+      // Acknowledge once the browser has had a chance to draw the frame
+      ackFrameId = requestAnimationFrame(() => {
+        ackFrameId = null;
+        connection.postMessage({ type: "ACK" });
+      });
+    },
+  });
+
+  return {
+    setRate(nextFps) {
+      currentFps = nextFps;
+      connection.postMessage({ type: "SET_RATE", fps: nextFps });
+    },
+    close() {
+      if (ackFrameId !== null) cancelAnimationFrame(ackFrameId);
+      connection.close();
+    },
+  };
+}
@@ -0,0 +1,26 @@
+import { describe, expect, it } from "vitest";
+import { decodeSpectrumFrame, encodeSpectrumFrame } from "./spectrumStream";
+
+describe("spectrum frame encoding", () => {
+  it("encodes analyser bytes as base64", () => {
+    expect(encodeSpectrumFrame(new Uint8Array([0, 1, 2, 255]))).toBe(
+      "AAEC/w==",
+    );
+    expect(encodeSpectrumFrame(new Uint8Array(0))).toBe("");
+  });
+
+  it("decodes back to the same bytes", () => {
+    const bytes = Uint8Array.from({ length: 1024 }, (_, i) => (i * 7) % 256);
+    const decoded = decodeSpectrumFrame(encodeSpectrumFrame(bytes));
+
+    expect(decoded).toBeInstanceOf(Uint8Array);
+    expect(Array.from(decoded)).toEqual(Array.from(bytes));
+  });
+
+  it("round-trips every byte value", () => {
+    const bytes = Uint8Array.from({ length: 256 }, (_, i) => i);
+    expect(Array.from(decodeSpectrumFrame(encodeSpectrumFrame(bytes)))).toEqual(
+      Array.from(bytes),
+    );
+  });
+});
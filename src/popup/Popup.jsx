@@ -3,11 +3,152 @@ import Controls from "./components/Controls";
 import Guide from "./components/Guide";
 import ActiveTabs from "./components/ActiveTabs";
 import Pro from "./components/Pro";
-
-// Q-factor configuration constants
-const Q_MULTIPLIER = 2.0; // Multiplier for gain-dependent Q calculation
-const DEFAULT_PEAKING_Q = 0.3; // Default Q for peaking filters
-const DEFAULT_SHELF_Q = 0.75; // Default Q for shelf filters
+import Effects from "./components/Effects";
+import {
+  AXIS_FREQUENCIES,
+  RESPONSE_FREQUENCIES,
+  createBandId,
+  createDefaultBands,
+  copyBands,
+  getBandFilterParams,
+  filterUsesGain,
+  getDefaultBaseQ,
+  getBaseQFromQ,
+  MULTIBAND_CROSSOVER_MAX,
+} from "./components/graphs";
+import { connectMeterStream } from "../lib/meterStream";
+
+// Brickwall limiter defaults (must match offscreen.js)
+// ceiling: dBFS, release: ms
+const DEFAULT_LIMITER_SETTINGS = { enabled: true, ceiling: -1, release: 100 };
+
+// Preamp defaults (must match offscreen.js)
+// auto: derive preamp from the peak boost of the dialogue, virtual bass and
+// EQ stages, manual: dB used when auto is off
+const DEFAULT_PREAMP_SETTINGS = { auto: false, manual: 0 };
+
+// Dynamic range compressor defaults (must match offscreen.js)
+// threshold: dBFS, ratio: n:1, knee: dB, attack/release: ms, makeup: dB
+const DEFAULT_COMPRESSOR_SETTINGS = {
+  enabled: false,
+  threshold: -24,
+  ratio: 4,
+  knee: 12,
+  attack: 10,
+  release: 250,
+  makeup: 0,
+};
+
+// Night mode: heavy, fast compression that lifts dialogue and tames
+// explosions for late-night movies
+const NIGHT_MODE_COMPRESSOR_SETTINGS = {
+  enabled: true,
+  threshold: -30,
+  ratio: 6,
+  knee: 10,
+  attack: 5,
+  release: 300,
+  makeup: 0,
+};
+
+// Karaoke defaults (must match offscreen.js)
+// mode: "remove" (vocals out) or "isolate" (center only), mix: 0..1
+const DEFAULT_KARAOKE_SETTINGS = {
+  enabled: false,
+  mode: "remove",
+  mix: 1,
+};
+
+// Headphone crossfeed defaults (must match offscreen.js)
+// cutoff: Hz, feed: dB level difference between direct and crossfed sound
+const DEFAULT_CROSSFEED_SETTINGS = {
+  enabled: false,
+  cutoff: 700,
+  feed: 6,
+};
+
+// Virtual speaker defaults (must match offscreen.js)
+// angle: degrees left/right of center for each speaker, distance: meters
+const DEFAULT_VIRTUALIZER_SETTINGS = {
+  enabled: false,
+  angle: 30,
+  distance: 2,
+};
+
+// Dialogue (voice clarity) defaults (must match offscreen.js)
+// intensity: 0..1, centerFocus: narrow the stereo image towards the center
+const DEFAULT_DIALOGUE_SETTINGS = {
+  enabled: false,
+  intensity: 0.5,
+  centerFocus: false,
+};
+
+// Virtual bass defaults (must match offscreen.js)
+// frequency: Hz below which bass is turned into harmonics,
+// harmonics: 0..1, cut: dB taken off the original bass
+const DEFAULT_VIRTUAL_BASS_SETTINGS = {
+  enabled: false,
+  frequency: 100,
+  harmonics: 0.5,
+  cut: 0,
+};
+
+// Multiband compressor defaults (must match offscreen.js)
+// crossovers: ascending Hz (2 for 3 bands, 3 for 4 bands),
+// bands: { threshold (dBFS), ratio (n:1) } per band from low to high
+const DEFAULT_MULTIBAND_SETTINGS = {
+  enabled: false,
+  crossovers: [200, 2000],
+  bands: [
+    { threshold: -24, ratio: 3 },
+    { threshold: -24, ratio: 3 },
+    { threshold: -24, ratio: 3 },
+  ],
+};
+
+// Automatic gain control defaults (must match offscreen.js)
+// Shared by every captured tab. target: LUFS, attack/release: how fast the
+// correction may fall/rise (dB per second), maxBoost: correction cap (dB)
+const DEFAULT_AGC_SETTINGS = {
+  enabled: false,
+  target: -16,
+  attack: 10,
+  release: 2,
+  maxBoost: 12,
+};
+
+// Stereo tools defaults (must match offscreen.js)
+// balance: -1 (left) .. 1 (right), width: 0 (mono) .. 1 (original) .. 2 (wide)
+const DEFAULT_STEREO_SETTINGS = {
+  balance: 0,
+  width: 1,
+  mono: false,
+  swap: false,
+};
+
+// High-pass/low-pass cut filter defaults (must match offscreen.js)
+// frequency: Hz, slope: dB/oct (12, 24, 36 or 48)
+const DEFAULT_CUT_SETTINGS = {
+  highpass: { enabled: false, frequency: 20, slope: 24 },
+  lowpass: { enabled: false, frequency: 20000, slope: 24 },
+};
+
+// Spectrum analyser defaults (must match offscreen.js)
+// smoothing: 0..0.99 time averaging, minDb/maxDb: dB range shown by the visualizer,
+// axis: "log" or "linear" frequency axis, style: "line", "filled", "peak"
+// or "waterfall" rendering, peakDecay: peak-hold fall rate (dB/s),
+// averageSeconds: long-term average (0 = off, 10 or 30)
+// (axis, style, peakDecay and averageSeconds are popup only)
+const DEFAULT_ANALYSER_SETTINGS = {
+  fftSize: 2048,
+  smoothing: 0.85,
+  minDb: -100,
+  maxDb: -30,
+  axis: "log",
+  style: "line",
+  peakDecay: 20,
+  averageSeconds: 0,
+};
 
 // Theme definitions - add new themes as additional objects
 const THEMES = [
@@ -62,6 +203,24 @@ const THEMES = [
   },
 ];
 
+// Round a meter reading to the 0.1 dB the readouts show (and drop -0);
+// null (not measured yet) stays null
+function roundReading(db) {
+  return typeof db === "number" ? Math.round(db * 10) / 10 || 0 : null;
+}
+
+// Load stage settings saved with the current EQ state ("eqCurrentState"),
+// merged over the defaults
+function loadCurrentStateSettings(key, defaults) {
+  try {
+    const stored = JSON.parse(localStorage.getItem("eqCurrentState"));
+    if (stored?.[key]) return { ...defaults, ...stored[key] };
+  } catch (e) {
+    console.warn(`[Popup] Failed to load ${key}:`, e);
+  }
+  return defaults;
+}
+
 export default function Popup() {
   const [volume, setVolumeState] = useState(1);
   const [eqActive, setEqActive] = useState(true);
@@ -79,20 +238,167 @@ export default function Popup() {
   // Get current theme colors
   const COLORS = THEMES[themeIndex];
 
-  // EQ States (lifted from Controls)
-  const [nodePositions, setNodePositions] = useState({});
-  const [nodeBaseQValues, setNodeBaseQValues] = useState({});
-  const [nodeQValues, setNodeQValues] = useState({});
-  const [nodeGainValues, setNodeGainValues] = useState({});
-  const [nodeFrequencyValues, setNodeFrequencyValues] = useState({});
+  // EQ State (lifted from Controls)
+  // [{ id, type, frequency, gain, baseQ }] - see createDefaultBands
+  // eqBands is the curve for both channels, or the left/mid curve when the
+  // channels are split; secondaryEqBands is the right/side curve
+  const [eqBands, setEqBands] = useState(createDefaultBands);
+  const [eqChannelMode, setEqChannelMode] = useState("stereo"); // "stereo" | "lr" | "ms"
+  const [secondaryEqBands, setSecondaryEqBands] = useState([]);
+  const [editedCurve, setEditedCurve] = useState(0); // 0: left/mid, 1: right/side
 
   // Preset States
   const [presetName, setPresetName] = useState("");
   const [savedPresets, setSavedPresets] = useState([]);
   const [selectedPreset, setSelectedPreset] = useState(null);
 
-  // Spectrum Visualizer State
-  const [spectrumData, setSpectrumData] = useState([]);
+  // Combined EQ response from Web Audio API
+  // { sampleRate, frequencies, magnitudeDb, phaseDeg } or null
+  // (the edited curve, and the other curve when the channels are split)
+  const [frequencyResponse, setFrequencyResponse] = useState(null);
+  const [otherFrequencyResponse, setOtherFrequencyResponse] = useState(null);
+  const responseRequestIdRef = useRef(0);
+  const responseAppliedIdRef = useRef(0);
+
+  // Sample rate of the tab's AudioContext (null until first reported).
+  // The per-band curves depend on it; the last reported rate is kept so
+  // they can be drawn before the first response and while the EQ is off.
+  const [sampleRate, setSampleRate] = useState(() => {
+    const stored = Number(localStorage.getItem("sampleRate"));
+    return stored > 0 ? stored : null;
+  });
+
+  // Limiter States
+  const [limiterSettings, setLimiterSettings] = useState(() => {
+    // Load limiter settings from localStorage or use defaults
+    const stored = localStorage.getItem("limiterSettings");
+    return stored
+      ? { ...DEFAULT_LIMITER_SETTINGS, ...JSON.parse(stored) }
+      : DEFAULT_LIMITER_SETTINGS;
+  });
+  const [limiterGainReduction, setLimiterGainReduction] = useState(0);
+
+  // Meter Stream State
+  // Latest meter stream frame { levels, gainReduction, dynamicEqGains,
+  // loudness } (see src/lib/meterStream.js), kept out of React state; the
+  // level meters and dynamic EQ markers draw it in their own animation loops
+  const meterFrameRef = useRef(null);
+  // Latched clip indicator of the EQ and volume output (before the limiter)
+  const [clipped, setClipped] = useState(false);
+
+  // Loudness Meter State
+  // { momentary, shortTerm, integrated } LUFS and truePeak dBTP (null = not measured)
+  const [loudness, setLoudness] = useState(null);
+
+  // Preamp States
+  const [preampSettings, setPreampSettings] = useState(() => {
+    // Load preamp settings from localStorage or use defaults
+    const stored = localStorage.getItem("preampSettings");
+    return stored
+      ? { ...DEFAULT_PREAMP_SETTINGS, ...JSON.parse(stored) }
+      : DEFAULT_PREAMP_SETTINGS;
+  });
+  const [preampDb, setPreampDb] = useState(0);
+
+  // Compressor State
+  // (saved with the current EQ state, like in presets)
+  const [compressorSettings, setCompressorSettings] = useState(() =>
+    loadCurrentStateSettings("compressorSettings", DEFAULT_COMPRESSOR_SETTINGS),
+  );
+  const [compressorGainReduction, setCompressorGainReduction] = useState(0);
+
+  // Crossfeed State
+  // (saved with the current EQ state, like in presets)
+  const [crossfeedSettings, setCrossfeedSettings] = useState(() =>
+    loadCurrentStateSettings("crossfeedSettings", DEFAULT_CROSSFEED_SETTINGS),
+  );
+
+  // Night mode is on while the compressor runs the night mode settings
+  const nightModeActive = Object.keys(NIGHT_MODE_COMPRESSOR_SETTINGS).every(
+    (key) => compressorSettings[key] === NIGHT_MODE_COMPRESSOR_SETTINGS[key],
+  );
+
+  // Multiband Compressor State
+  const [multibandSettings, setMultibandSettings] = useState(() => {
+    // Load multiband settings from localStorage or use defaults
+    const stored = localStorage.getItem("multibandSettings");
+    return stored
+      ? { ...DEFAULT_MULTIBAND_SETTINGS, ...JSON.parse(stored) }
+      : DEFAULT_MULTIBAND_SETTINGS;
+  });
+  const [multibandGainReduction, setMultibandGainReduction] = useState([]); // dB per band
+
+  // Dialogue Mode State
+  const [dialogueSettings, setDialogueSettings] = useState(() => {
+    // Load dialogue settings from localStorage or use defaults
+    const stored = localStorage.getItem("dialogueSettings");
+    return stored
+      ? { ...DEFAULT_DIALOGUE_SETTINGS, ...JSON.parse(stored) }
+      : DEFAULT_DIALOGUE_SETTINGS;
+  });
+
+  // Virtual Bass State
+  const [virtualBassSettings, setVirtualBassSettings] = useState(() => {
+    // Load virtual bass settings from localStorage or use defaults
+    const stored = localStorage.getItem("virtualBassSettings");
+    return stored
+      ? { ...DEFAULT_VIRTUAL_BASS_SETTINGS, ...JSON.parse(stored) }
+      : DEFAULT_VIRTUAL_BASS_SETTINGS;
+  });
+
+  // Automatic Gain Control State
+  const [agcSettings, setAgcSettings] = useState(() => {
+    // Load AGC settings from localStorage or use defaults
+    const stored = localStorage.getItem("agcSettings");
+    return stored
+      ? { ...DEFAULT_AGC_SETTINGS, ...JSON.parse(stored) }
+      : DEFAULT_AGC_SETTINGS;
+  });
+
+  // Stereo Tools State
+  const [stereoSettings, setStereoSettings] = useState(() => {
+    // Load stereo settings from localStorage or use defaults
+    const stored = localStorage.getItem("stereoSettings");
+    return stored
+      ? { ...DEFAULT_STEREO_SETTINGS, ...JSON.parse(stored) }
+      : DEFAULT_STEREO_SETTINGS;
+  });
+
+  // Karaoke State
+  const [karaokeSettings, setKaraokeSettings] = useState(() => {
+    // Load karaoke settings from localStorage or use defaults
+    const stored = localStorage.getItem("karaokeSettings");
+    return stored
+      ? { ...DEFAULT_KARAOKE_SETTINGS, ...JSON.parse(stored) }
+      : DEFAULT_KARAOKE_SETTINGS;
+  });
+
+  // Virtual Speakers State
+  const [virtualizerSettings, setVirtualizerSettings] = useState(() => {
+    // Load virtual speaker settings from localStorage or use defaults
+    const stored = localStorage.getItem("virtualizerSettings");
+    return stored
+      ? { ...DEFAULT_VIRTUALIZER_SETTINGS, ...JSON.parse(stored) }
+      : DEFAULT_VIRTUALIZER_SETTINGS;
+  });
+
+  // Spectrum Analyser State
+  const [analyserSettings, setAnalyserSettings] = useState(() => {
+    // Load analyser settings from localStorage or use defaults
+    const stored = localStorage.getItem("analyserSettings");
+    return stored
+      ? { ...DEFAULT_ANALYSER_SETTINGS, ...JSON.parse(stored) }
+      : DEFAULT_ANALYSER_SETTINGS;
+  });
+
+  // Cut Filter State
+  const [cutSettings, setCutSettings] = useState(() => {
+    // Load cut filter settings from localStorage or use defaults
+    const stored = localStorage.getItem("cutFilterSettings");
+    return stored
+      ? { ...DEFAULT_CUT_SETTINGS, ...JSON.parse(stored) }
+      : DEFAULT_CUT_SETTINGS;
+  });
 
   // Sends a message to the background script and awaits a response.
   function sendMessage(msg) {
@@ -105,15 +411,21 @@ export default function Popup() {
     });
   }
 
-  // Save current EQ node state to localStorage
+  // Save current EQ state to localStorage
   // Used for persistence after offscreen restarts
-  function saveEqStateToLocalStorage(positions, gains, freqs, qs, baseQs) {
+  // partialState: { bands?, channelMode?, secondaryBands?, compressorSettings?,
+  // crossfeedSettings? } merged into the saved state
+  function saveEqStateToLocalStorage(partialState) {
+    let savedState = null;
+    try {
+      savedState = JSON.parse(localStorage.getItem("eqCurrentState"));
+    } catch (e) {
+      console.warn("[Popup] Failed to read saved EQ state:", e);
+    }
+
     const eqState = {
-      nodePositions: positions,
-      nodeGainValues: gains,
-      nodeFrequencyValues: freqs,
-      nodeQValues: qs,
-      nodeBaseQValues: baseQs,
+      ...savedState,
+      ...partialState,
       timestamp: Date.now(),
     };
     localStorage.setItem("eqCurrentState", JSON.stringify(eqState));
@@ -136,6 +448,98 @@ export default function Popup() {
     return null;
   }
 
+  // Build the UPDATE_EQ_NODES message for an EQ state
+  // (the second curve is only sent when the channels are split)
+  function getEqNodesMessage(tabId, { bands, channelMode, secondaryBands }) {
+    const message = {
+      type: "UPDATE_EQ_NODES",
+      tabId,
+      channelMode,
+      bands: getBandFilterParams(bands),
+    };
+    if (channelMode !== "stereo") {
+      message.secondaryBands = getBandFilterParams(secondaryBands);
+    }
+    return message;
+  }
+
+  // Update displayed preamp from an offscreen response (auto preamp follows
+  // every EQ change, so UPDATE_EQ_NODES responses carry the new value)
+  function applyPreampResponse(res) {
+    if (res?.ok && typeof res.preampDb === "number") {
+      setPreampDb(res.preampDb);
+    }
+  }
+
+  // Send the saved limiter, AGC, karaoke, stereo, crossfeed, virtual speaker,
+  // cut filter, dialogue, virtual bass, compressor, multiband, analyser and
+  // preamp settings to a tab's audio graph. New graphs (first start, restart
+  // after Stop, or rebuilt by REINIT_MISSING_AUDIO) start with defaults.
+  async function syncStageSettings(tabId) {
+    await sendMessage({
+      type: "SET_LIMITER",
+      tabId,
+      settings: limiterSettings,
+    });
+    await sendMessage({ type: "SET_AGC", settings: agcSettings });
+    await sendMessage({
+      type: "SET_KARAOKE",
+      tabId,
+      settings: karaokeSettings,
+    });
+    await sendMessage({
+      type: "SET_STEREO",
+      tabId,
+      settings: stereoSettings,
+    });
+    await sendMessage({
+      type: "SET_CROSSFEED",
+      tabId,
+      settings: crossfeedSettings,
+    });
+    await sendMessage({
+      type: "SET_VIRTUALIZER",
+      tabId,
+      settings: virtualizerSettings,
+    });
+    await sendMessage({
+      type: "SET_CUT_FILTERS",
+      tabId,
+      settings: cutSettings,
+    });
+    await sendMessage({
+      type: "SET_DIALOGUE",
+      tabId,
+      settings: dialogueSettings,
+    });
+    await sendMessage({
+      type: "SET_VIRTUAL_BASS",
+      tabId,
+      settings: virtualBassSettings,
+    });
+    await sendMessage({
+      type: "SET_COMPRESSOR",
+      tabId,
+      settings: compressorSettings,
+    });
+    await sendMessage({
+      type: "SET_MULTIBAND",
+      tabId,
+      settings: multibandSettings,
+    });
+    await sendMessage({
+      type: "SET_ANALYSER",
+      tabId,
+      settings: analyserSettings,
+    });
+    const preampRes = await sendMessage({
+      type: "SET_PREAMP",
+      tabId,
+      settings: preampSettings,
+    });
+    applyPreampResponse(preampRes);
+  }
+
   // Ensure background and offscreen are ready by pinging BG and reinitializing missing audio.
   // Call this before critical operations to guarantee service worker and offscreen are alive.
   async function ensureBackendReady() {
@@ -150,73 +554,64 @@ export default function Popup() {
     await sendMessage({ type: "REINIT_MISSING_AUDIO" });
 
     // Rehydrate Web Audio API with current UI state (fallback if no saved state)
-    if (currentTabId && Object.keys(nodeGainValues).length > 0) {
-      // Recalculate Q values from baseQ and current gains before sending
-      const recalculatedQValues = {};
-      for (let i = 0; i < 13; i++) {
-        const isShelf = i === 2 || i === 12;
-        const baseQ =
-          nodeBaseQValues[i] ?? (isShelf ? DEFAULT_SHELF_Q : DEFAULT_PEAKING_Q);
-        const gain = nodeGainValues[i] ?? 0;
-        recalculatedQValues[i] = isShelf
-          ? baseQ
-          : baseQ * Math.pow(Q_MULTIPLIER, 1 - (2 * Math.abs(gain)) / 30);
-      }
-
-      await sendMessage({
-        type: "UPDATE_EQ_NODES",
-        tabId: currentTabId,
-        nodeGainValues,
-        nodeFrequencyValues,
-        nodeQValues: recalculatedQValues,
-      });
+    if (currentTabId) {
+      await syncStageSettings(currentTabId);
+      await sendMessage(
+        getEqNodesMessage(currentTabId, {
+          bands: eqBands,
+          channelMode: eqChannelMode,
+          secondaryBands: secondaryEqBands,
+        }),
+      );
     }
   }
 
   // Throttle tracking for ensuring backend is ready (1 second cooldown)
   const lastEnsureTimeRef = useRef(0);
 
-  // Build complete EQ value objects with all indexes (defaults + overrides)
-  function buildCompleteEqValues(
-    overrideGainValues = {},
-    overrideFreqValues = {},
-    overrideBaseQValues = {},
-  ) {
-    const frequencies = [
-      5, 10, 20, 40, 80, 160, 320, 640, 1280, 2560, 5120, 10240, 20480,
-    ];
-    const completeGainValues = {};
-    const completeFreqValues = {};
-    const completeBaseQValues = {};
-    const completeQValues = {};
-
-    // Set all indexes to defaults first
-    for (let i = 0; i < frequencies.length; i++) {
-      completeGainValues[i] = 0; // 0 dB default
-      completeFreqValues[i] = frequencies[i];
-      // Default baseQ values: shelf Q for shelves, peaking Q for mid-range
-      completeBaseQValues[i] =
-        i === 2 || i === 12 ? DEFAULT_SHELF_Q : DEFAULT_PEAKING_Q;
-    }
-
-    // Override with provided values
-    Object.assign(completeGainValues, overrideGainValues);
-    Object.assign(completeFreqValues, overrideFreqValues);
-    Object.assign(completeBaseQValues, overrideBaseQValues);
-
-    // Calculate Q values from baseQ and gain (no unnecessary conversions)
-    for (let i = 0; i < frequencies.length; i++) {
-      const baseQ = completeBaseQValues[i];
-      const gain = completeGainValues[i];
-      completeQValues[i] = baseQToQ(i, baseQ, gain);
+  // Convert index-keyed EQ values (presets and saved states from before
+  // dynamic bands) to a band list. Indexes 2-12 were the interactive nodes:
+  // index 2 defaulted to a low shelf, index 12 to a high shelf.
+  function bandsFromIndexedValues({
+    nodeGainValues = {},
+    nodeFrequencyValues = {},
+    nodeBaseQValues = {},
+    nodeTypeValues = {},
+  }) {
+    const bands = [];
+    for (let i = 2; i < AXIS_FREQUENCIES.length; i++) {
+      const type =
+        nodeTypeValues[i] ??
+        (i === 2 ? "lowshelf" : i === 12 ? "highshelf" : "peaking");
+      bands.push({
+        id: createBandId(),
+        type,
+        frequency: nodeFrequencyValues[i] ?? AXIS_FREQUENCIES[i],
+        gain: filterUsesGain(type) ? (nodeGainValues[i] ?? 0) : 0,
+        baseQ: nodeBaseQValues[i] ?? getDefaultBaseQ(type),
+      });
     }
+    return bands;
+  }
 
-    return {
-      completeGainValues,
-      completeFreqValues,
-      completeQValues,
-      completeBaseQValues,
-    };
+  // Convert bands reported by the offscreen document (Web Audio Q) to UI bands
+  function bandsFromFilterParams(filterBands) {
+    return filterBands.map(
+      ({ id, type, frequency, gain, Q, dynamic, threshold }) => ({
+        id,
+        type,
+        frequency,
+        gain,
+        ...(dynamic ? { dynamic, threshold } : {}),
+        // For unchanged bell/shelf bands (gain = 0), use default baseQ directly
+        // For changed bands, convert Q back to baseQ using the gain-dependent formula
+        // (notch/pass filters ignore gain, so their Q is always kept)
+        baseQ:
+          gain === 0 && filterUsesGain(type)
+            ? getDefaultBaseQ(type)
+            : getBaseQFromQ(type, Q, gain),
+      }),
+    );
   }
 
   // Throttled ensure backend ready with 1 second cooldown
@@ -270,11 +665,11 @@ export default function Popup() {
       setEqActive(true);
       setVolumeState(1);
       // Reset all EQ states
-      setNodePositions({});
-      setNodeGainValues({});
-      setNodeFrequencyValues({});
-      setNodeQValues({});
-      setNodeBaseQValues({});
+      setEqBands(createDefaultBands());
+      setEqChannelMode("stereo");
+      setSecondaryEqBands([]);
+      setEditedCurve(0);
+      await syncStageSettings(currentTabId);
     }
   }
 
@@ -285,11 +680,10 @@ export default function Popup() {
       setEqActive(false);
       setVolumeState(1);
       // Reset all EQ states
-      setNodePositions({});
-      setNodeGainValues({});
-      setNodeFrequencyValues({});
-      setNodeQValues({});
-      setNodeBaseQValues({});
+      setEqBands(createDefaultBands());
+      setEqChannelMode("stereo");
+      setSecondaryEqBands([]);
+      setEditedCurve(0);
     }
   }
 
@@ -314,6 +708,228 @@ export default function Popup() {
     });
   }
 
+  // Update limiter settings, persist them and sync to Web Audio API
+  async function handleLimiterChange(partialSettings) {
+    const newSettings = { ...limiterSettings, ...partialSettings };
+    setLimiterSettings(newSettings);
+    localStorage.setItem("limiterSettings", JSON.stringify(newSettings));
+
+    if (currentTabId) {
+      await sendMessage({
+        type: "SET_LIMITER",
+        tabId: currentTabId,
+        settings: newSettings,
+      });
+    }
+  }
+
+  // Update compressor settings, persist them with the EQ state and sync to Web Audio API
+  async function handleCompressorChange(partialSettings) {
+    const newSettings = { ...compressorSettings, ...partialSettings };
+    setCompressorSettings(newSettings);
+    saveEqStateToLocalStorage({ compressorSettings: newSettings });
+
+    if (currentTabId) {
+      await sendMessage({
+        type: "SET_COMPRESSOR",
+        tabId: currentTabId,
+        settings: newSettings,
+      });
+    }
+  }
+
+  // Toggle the night mode compressor preset (turning it off bypasses the compressor)
+  async function handleNightModeToggle() {
+    await handleCompressorChange(
+      nightModeActive ? { enabled: false } : NIGHT_MODE_COMPRESSOR_SETTINGS,
+    );
+  }
+
+  // Update crossfeed settings, persist them with the EQ state and sync to Web Audio API
+  async function handleCrossfeedChange(partialSettings) {
+    const newSettings = { ...crossfeedSettings, ...partialSettings };
+    setCrossfeedSettings(newSettings);
+    saveEqStateToLocalStorage({ crossfeedSettings: newSettings });
+
+    if (currentTabId) {
+      await sendMessage({
+        type: "SET_CROSSFEED",
+        tabId: currentTabId,
+        settings: newSettings,
+      });
+    }
+  }
+
+  // Update multiband compressor settings, persist them and sync to Web Audio API
+  // (crossovers and bands are replaced as whole lists)
+  async function handleMultibandChange(partialSettings) {
+    const newSettings = { ...multibandSettings, ...partialSettings };
+    setMultibandSettings(newSettings);
+    localStorage.setItem("multibandSettings", JSON.stringify(newSettings));
+
+    if (currentTabId) {
+      await sendMessage({
+        type: "SET_MULTIBAND",
+        tabId: currentTabId,
+        settings: newSettings,
+      });
+    }
+  }
+
+  // Update dialogue mode settings, persist them and sync to Web Audio API
+  async function handleDialogueChange(partialSettings) {
+    const newSettings = { ...dialogueSettings, ...partialSettings };
+    setDialogueSettings(newSettings);
+    localStorage.setItem("dialogueSettings", JSON.stringify(newSettings));
+
+    if (currentTabId) {
+      const res = await sendMessage({
+        type: "SET_DIALOGUE",
+        tabId: currentTabId,
+        settings: newSettings,
+      });
+      applyPreampResponse(res);
+    }
+  }
+
+  // Update virtual bass settings, persist them and sync to Web Audio API
+  async function handleVirtualBassChange(partialSettings) {
+    const newSettings = { ...virtualBassSettings, ...partialSettings };
+    setVirtualBassSettings(newSettings);
+    localStorage.setItem("virtualBassSettings", JSON.stringify(newSettings));
+
+    if (currentTabId) {
+      const res = await sendMessage({
+        type: "SET_VIRTUAL_BASS",
+        tabId: currentTabId,
+        settings: newSettings,
+      });
+      applyPreampResponse(res);
+    }
+  }
+
+  // Switch the multiband compressor between 3 and 4 bands.
+  // A fourth band splits off the top of the highest band (two octaves
+  // above its crossover) and starts with that band's settings.
+  async function handleMultibandBandCountChange(bandCount) {
+    const { crossovers, bands } = multibandSettings;
+    if (bandCount === bands.length) return;
+
+    if (bandCount < bands.length) {
+      await handleMultibandChange({
+        crossovers: crossovers.slice(0, bandCount - 1),
+        bands: bands.slice(0, bandCount),
+      });
+      return;
+    }
+
+    const highest = crossovers[crossovers.length - 1];
+    await handleMultibandChange({
+      crossovers: [
+        ...crossovers,
+        Math.min(MULTIBAND_CROSSOVER_MAX, highest * 4),
+      ],
+      bands: [...bands, { ...bands[bands.length - 1] }],
+    });
+  }
+
+  // Update AGC settings, persist them and sync to Web Audio API
+  // (shared by all tabs, so no tab id is needed)
+  async function handleAgcChange(partialSettings) {
+    const newSettings = { ...agcSettings, ...partialSettings };
+    setAgcSettings(newSettings);
+    localStorage.setItem("agcSettings", JSON.stringify(newSettings));
+
+    await sendMessage({ type: "SET_AGC", settings: newSettings });
+  }
+
+  // Update stereo tools settings, persist them and sync to Web Audio API
+  async function handleStereoChange(partialSettings) {
+    const newSettings = { ...stereoSettings, ...partialSettings };
+    setStereoSettings(newSettings);
+    localStorage.setItem("stereoSettings", JSON.stringify(newSettings));
+
+    if (currentTabId) {
+      await sendMessage({
+        type: "SET_STEREO",
+        tabId: currentTabId,
+        settings: newSettings,
+      });
+    }
+  }
+
+  // Update karaoke settings, persist them and sync to Web Audio API
+  async function handleKaraokeChange(partialSettings) {
+    const newSettings = { ...karaokeSettings, ...partialSettings };
+    setKaraokeSettings(newSettings);
+    localStorage.setItem("karaokeSettings", JSON.stringify(newSettings));
+
+    if (currentTabId) {
+      await sendMessage({
+        type: "SET_KARAOKE",
+        tabId: currentTabId,
+        settings: newSettings,
+      });
+    }
+  }
+
+  // Update virtual speaker settings, persist them and sync to Web Audio API
+  async function handleVirtualizerChange(partialSettings) {
+    const newSettings = { ...virtualizerSettings, ...partialSettings };
+    setVirtualizerSettings(newSettings);
+    localStorage.setItem("virtualizerSettings", JSON.stringify(newSettings));
+
+    if (currentTabId) {
+      await sendMessage({
+        type: "SET_VIRTUALIZER",
+        tabId: currentTabId,
+        settings: newSettings,
+      });
+    }
+  }
+
+  // Update spectrum analyser settings, persist them and sync to Web Audio API
+  async function handleAnalyserChange(partialSettings) {
+    const newSettings = { ...analyserSettings, ...partialSettings };
+
+    // Keep the dB floor below the ceiling
+    if (newSettings.minDb > newSettings.maxDb - 10) {
+      if ("minDb" in partialSettings)
+        newSettings.maxDb = newSettings.minDb + 10;
+      else newSettings.minDb = newSettings.maxDb - 10;
+    }
+
+    setAnalyserSettings(newSettings);
+    localStorage.setItem("analyserSettings", JSON.stringify(newSettings));
+
+    if (currentTabId) {
+      await sendMessage({
+        type: "SET_ANALYSER",
+        tabId: currentTabId,
+        settings: newSettings,
+      });
+    }
+  }
+
+  // Update cut filter settings, persist them and sync to Web Audio API
+  // partialSettings: { highpass?: {...}, lowpass?: {...} } (merged per filter)
+  async function handleCutChange(partialSettings) {
+    const newSettings = {
+      highpass: { ...cutSettings.highpass, ...partialSettings.highpass },
+      lowpass: { ...cutSettings.lowpass, ...partialSettings.lowpass },
+    };
+    setCutSettings(newSettings);
+    localStorage.setItem("cutFilterSettings", JSON.stringify(newSettings));
+
+    if (currentTabId) {
+      await sendMessage({
+        type: "SET_CUT_FILTERS",
+        tabId: currentTabId,
+        settings: newSettings,
+      });
+    }
+  }
+
   // Load presets from localStorage on mount
   useEffect(() => {
     const stored = localStorage.getItem("eqPresets");
@@ -336,9 +952,13 @@ export default function Popup() {
 
     const newPreset = {
       name: presetName,
-      nodeGainValues,
-      nodeFrequencyValues,
-      nodeBaseQValues,
+      bands: eqBands,
+      channelMode: eqChannelMode,
+      secondaryBands: secondaryEqBands,
+      preampSettings,
+      cutSettings,
+      compressorSettings,
+      crossfeedSettings,
       timestamp: Date.now(),
     };
 
@@ -374,49 +994,18 @@ export default function Popup() {
     // alert(`Preset "${presetToDelete}" deleted!`);
   }
 
-  // Apply Bass Boost preset (index 2: 120 Hz, +5 dB gain, baseQ=0.75; all others default)
+  // Apply Bass Boost preset (low shelf: 120 Hz, +5 dB gain, baseQ=0.75; all others default)
+  // to the curve being edited when the channels are split
   async function handleBassBoost() {
-    const {
-      completeGainValues,
-      completeFreqValues,
-      completeQValues,
-      completeBaseQValues,
-    } = buildCompleteEqValues(
-      { 2: 5 }, // 5 dB gain for index 2
-      { 2: 120 }, // 120 Hz for index 2
-      { 2: 0.75 }, // baseQ for index 2
+    const bands = createDefaultBands().map((band) =>
+      band.type === "lowshelf"
+        ? { ...band, frequency: 120, gain: 5, baseQ: 0.75 }
+        : band,
     );
-
-    // Initialize UI state
-    initializeEqState(completeGainValues, completeFreqValues, completeQValues);
-
-    // Save to localStorage for persistence after offscreen restarts
-    const positions = calculateNodePositions(
-      completeFreqValues,
-      completeGainValues,
-      [5, 10, 20, 40, 80, 160, 320, 640, 1280, 2560, 5120, 10240, 20480],
-    );
-    saveEqStateToLocalStorage(
-      positions,
-      completeGainValues,
-      completeFreqValues,
-      completeQValues,
-      completeBaseQValues,
-    );
-
-    // Sync to Web Audio API
-    if (currentTabId) {
-      await sendMessage({
-        type: "UPDATE_EQ_NODES",
-        tabId: currentTabId,
-        nodeGainValues: completeGainValues,
-        nodeFrequencyValues: completeFreqValues,
-        nodeQValues: completeQValues,
-      });
-    }
+    await handleEditedEqBandsChange(bands);
   }
 
-  // Load preset and apply it (resets all indexes to defaults, then applies preset)
+  // Load preset and apply it (replaces the whole band list)
   async function handleLoadPreset(presetName) {
     const preset = savedPresets.find((p) => p.name === presetName);
     if (!preset) return;
@@ -424,234 +1013,128 @@ export default function Popup() {
     setSelectedPreset(presetName);
     setPresetName(presetName);
 
-    const {
-      completeGainValues,
-      completeFreqValues,
-      completeQValues,
-      completeBaseQValues,
-    } = buildCompleteEqValues(
-      preset.nodeGainValues,
-      preset.nodeFrequencyValues,
-      preset.nodeBaseQValues,
-    );
+    // Older presets store index-keyed values instead of a band list
+    const bands = preset.bands ?? bandsFromIndexedValues(preset);
 
-    // Initialize UI state with complete values
-    initializeEqState(completeGainValues, completeFreqValues, completeQValues);
+    // Presets saved before the preamp existed reset it to 0 dB
+    await handlePreampChange(preset.preampSettings ?? DEFAULT_PREAMP_SETTINGS);
 
-    // Save to localStorage for persistence after offscreen restarts
-    const positions = calculateNodePositions(
-      completeFreqValues,
-      completeGainValues,
-      [5, 10, 20, 40, 80, 160, 320, 640, 1280, 2560, 5120, 10240, 20480],
+    // Presets saved before cut filters existed turn them off
+    await handleCutChange(preset.cutSettings ?? DEFAULT_CUT_SETTINGS);
+
+    // Presets saved before the compressor existed bypass it
+    await handleCompressorChange(
+      preset.compressorSettings ?? DEFAULT_COMPRESSOR_SETTINGS,
     );
-    saveEqStateToLocalStorage(
-      positions,
-      completeGainValues,
-      completeFreqValues,
-      completeQValues,
-      completeBaseQValues,
+
+    // Presets saved before crossfeed existed turn it off
+    await handleCrossfeedChange(
+      preset.crossfeedSettings ?? DEFAULT_CROSSFEED_SETTINGS,
     );
 
-    // Sync to Web Audio API
-    if (currentTabId) {
-      await sendMessage({
-        type: "UPDATE_EQ_NODES",
-        tabId: currentTabId,
-        nodeGainValues: completeGainValues,
-        nodeFrequencyValues: completeFreqValues,
-        nodeQValues: completeQValues,
-      });
-    }
+    // Presets saved before split channel curves existed use one curve
+    setEditedCurve(0);
+    await handleEqCurvesChange({
+      bands,
+      channelMode: preset.channelMode ?? "stereo",
+      secondaryBands: preset.secondaryBands ?? [],
+    });
   }
 
   // Resets all EQ filters to default values and clears preset selection
   async function handleResetFilters() {
+    const bands = createDefaultBands();
+
     // Reset local state
-    setNodePositions({});
-    setNodeGainValues({});
-    setNodeFrequencyValues({});
-    setNodeQValues({});
-    setNodeBaseQValues({});
+    setEqBands(bands);
+    setEqChannelMode("stereo");
+    setSecondaryEqBands([]);
+    setEditedCurve(0);
     setSelectedPreset(null);
     setPresetName("");
 
     // Clear saved EQ state from localStorage
     localStorage.removeItem("eqCurrentState");
 
+    // Turn off the cut filters, the compressor and crossfeed
+    await handleCutChange(DEFAULT_CUT_SETTINGS);
+    await handleCompressorChange(DEFAULT_COMPRESSOR_SETTINGS);
+    await handleCrossfeedChange(DEFAULT_CROSSFEED_SETTINGS);
+
     // Reset Web Audio API filters to defaults
     if (currentTabId) {
-      const frequencies = [
-        5, 10, 20, 40, 80, 160, 320, 640, 1280, 2560, 5120, 10240, 20480,
-      ];
-      const defaultGainValues = {};
-      const defaultFreqValues = {};
-      const defaultQValues = {};
-
-      // Set all filters to their default values
-      for (let i = 0; i < frequencies.length; i++) {
-        defaultGainValues[i] = 0; // 0 dB (no boost/cut)
-        defaultFreqValues[i] = frequencies[i];
-        defaultQValues[i] =
-          i === 2 || i === 12 ? DEFAULT_SHELF_Q : DEFAULT_PEAKING_Q; // Shelf Q vs peaking Q
-      }
-
-      await sendMessage({
-        type: "UPDATE_EQ_NODES",
-        tabId: currentTabId,
-        nodeGainValues: defaultGainValues,
-        nodeFrequencyValues: defaultFreqValues,
-        nodeQValues: defaultQValues,
-      });
+      const res = await sendMessage(
+        getEqNodesMessage(currentTabId, {
+          bands,
+          channelMode: "stereo",
+          secondaryBands: [],
+        }),
+      );
+      applyPreampResponse(res);
     }
   }
 
-  // Update EQ nodes and sync to Web Audio API
-  async function handleEqNodesChange(
-    newPositions,
-    newGainValues,
-    newFrequencyValues,
-    newQValues,
-    newBaseQValues,
-  ) {
+  // Update the EQ curves and sync them to Web Audio API
+  // changes: { bands?, channelMode?, secondaryBands? } merged into the current state
+  async function handleEqCurvesChange(changes) {
+    const eqState = {
+      bands: eqBands,
+      channelMode: eqChannelMode,
+      secondaryBands: secondaryEqBands,
+      ...changes,
+    };
+
     // Update local state
-    setNodePositions(newPositions);
-    setNodeGainValues(newGainValues);
-    setNodeFrequencyValues(newFrequencyValues);
-    setNodeQValues(newQValues);
-    setNodeBaseQValues(newBaseQValues);
+    setEqBands(eqState.bands);
+    setEqChannelMode(eqState.channelMode);
+    setSecondaryEqBands(eqState.secondaryBands);
 
     // Save to localStorage for persistence after offscreen restarts
-    saveEqStateToLocalStorage(
-      newPositions,
-      newGainValues,
-      newFrequencyValues,
-      newQValues,
-      newBaseQValues,
-    );
+    saveEqStateToLocalStorage(eqState);
 
     // Sync to Web Audio API via background
+    // The full lists are sent so added/removed bands are picked up
     if (currentTabId) {
-      await sendMessage({
-        type: "UPDATE_EQ_NODES",
-        tabId: currentTabId,
-        nodeGainValues: newGainValues,
-        nodeFrequencyValues: newFrequencyValues,
-        nodeQValues: newQValues,
-      });
+      const res = await sendMessage(getEqNodesMessage(currentTabId, eqState));
+      applyPreampResponse(res);
     }
   }
 
-  // Helper function to convert baseQ to Q
-  // Formula: Q = isShelf ? baseQ : baseQ * Math.pow(Q_MULTIPLIER, 1 - 2 * Math.abs(gaindB) / 30)
-  function baseQToQ(index, baseQ, gaindB) {
-    const isShelf = index === 2 || index === 12;
-    if (isShelf) {
-      return baseQ; // For shelves, Q and baseQ are the same
-    } else {
-      const multiplier = Math.pow(
-        Q_MULTIPLIER,
-        1 - (2 * Math.abs(gaindB)) / 30,
-      );
-      return baseQ * multiplier;
-    }
+  // Update the curve being edited on the graph
+  async function handleEditedEqBandsChange(newBands) {
+    await handleEqCurvesChange(
+      editedCurve === 1 ? { secondaryBands: newBands } : { bands: newBands },
+    );
   }
 
-  // Helper function to convert Q back to baseQ
-  // Formula: Q = isShelf ? baseQ : baseQ * Math.pow(Q_MULTIPLIER, 1 - 2 * Math.abs(gaindB) / 30)
-  // Reverse: baseQ = Q / Math.pow(Q_MULTIPLIER, 1 - 2 * Math.abs(gaindB) / 30)
-  function qToBaseQ(index, q, gaindB) {
-    const isShelf = index === 2 || index === 12;
-    if (isShelf) {
-      return q; // For shelves, Q and baseQ are the same
-    } else {
-      const divisor = Math.pow(Q_MULTIPLIER, 1 - (2 * Math.abs(gaindB)) / 30);
-      return divisor !== 0 ? q / divisor : DEFAULT_PEAKING_Q; // Fallback to default
-    }
-  }
+  // Switch between one EQ curve and separate left/right or mid/side curves.
+  // Splitting starts the second curve as a copy of the first; switching
+  // between the split modes keeps both curves.
+  async function handleEqChannelModeChange(channelMode) {
+    if (channelMode === eqChannelMode) return;
 
-  // Initialize EQ state from gain/frequency/Q values
-  // Calculates positions, baseQ values, and updates all state
-  function initializeEqState(gainValues, freqValues, qValues) {
-    const frequencies = [
-      5, 10, 20, 40, 80, 160, 320, 640, 1280, 2560, 5120, 10240, 20480,
-    ];
-
-    // Calculate node positions from frequency/gain values
-    const positions = calculateNodePositions(
-      freqValues,
-      gainValues,
-      frequencies,
-    );
+    let secondaryBands = secondaryEqBands;
+    if (channelMode === "stereo") secondaryBands = [];
+    else if (eqChannelMode === "stereo") secondaryBands = copyBands(eqBands);
 
-    // Convert Q values back to baseQ
-    const baseQValues = {};
-    for (const indexStr in qValues) {
-      const index = parseInt(indexStr, 10);
-      const gain = gainValues[index] ?? 0;
-
-      // For unchanged nodes (gain = 0), use default baseQ directly
-      // For changed nodes, convert Q back to baseQ using the gain-dependent formula
-      if (gain === 0) {
-        baseQValues[index] =
-          index === 2 || index === 12 ? DEFAULT_SHELF_Q : DEFAULT_PEAKING_Q;
-      } else {
-        baseQValues[index] = qToBaseQ(index, qValues[index], gain);
-      }
-    }
-
-    // Update all state
-    setNodePositions(positions);
-    setNodeGainValues(gainValues);
-    setNodeFrequencyValues(freqValues);
-    setNodeQValues(qValues);
-    setNodeBaseQValues(baseQValues);
+    setEditedCurve(0);
+    await handleEqCurvesChange({ channelMode, secondaryBands });
   }
 
-  // Convert node positions from Web Audio API values to UI coordinates
-  // This is used during initialization to populate node positions
-  function calculateNodePositions(
-    nodeFrequencyValues,
-    nodeGainValues,
-    frequencies,
-  ) {
-    const positions = {};
-    const SVG_HEIGHT = 500;
-    const CENTER_Y = 250;
-    const X_AXIS_START = 120;
-    const X_AXIS_END = 15;
-    const USABLE_WIDTH = 1000 - X_AXIS_START - X_AXIS_END;
-    const GEOMETRIC_RATIO = 1.2;
-
-    const maxIndex = frequencies.length - 1;
-
-    for (const indexStr in nodeFrequencyValues) {
-      const index = parseInt(indexStr, 10);
-      const freq = nodeFrequencyValues[index];
-      const gainDb = nodeGainValues[index] ?? 0;
-
-      // Calculate X offset based on frequency
-      const baseX =
-        X_AXIS_START +
-        (USABLE_WIDTH * (Math.pow(GEOMETRIC_RATIO, index) - 1)) /
-          (Math.pow(GEOMETRIC_RATIO, maxIndex) - 1);
-
-      // Reverse frequency mapping to get X position
-      const minFreq = frequencies[0];
-      const maxFreq = frequencies[frequencies.length - 1];
-      const logRatio = Math.log(freq / minFreq) / Math.log(maxFreq / minFreq);
-      const indexFloat = logRatio * maxIndex;
-      const denominator = Math.pow(GEOMETRIC_RATIO, maxIndex) - 1;
-      const normalizedX =
-        (Math.pow(GEOMETRIC_RATIO, indexFloat) - 1) / denominator;
-      const currentX = X_AXIS_START + normalizedX * USABLE_WIDTH;
-
-      const offsetX = currentX - baseX;
-      const offsetY = -(gainDb / 60) * SVG_HEIGHT;
-
-      positions[index] = { x: offsetX, y: offsetY };
-    }
+  // Update preamp settings, persist them and sync to Web Audio API
+  async function handlePreampChange(partialSettings) {
+    const newSettings = { ...preampSettings, ...partialSettings };
+    setPreampSettings(newSettings);
+    localStorage.setItem("preampSettings", JSON.stringify(newSettings));
 
-    return positions;
+    if (currentTabId) {
+      const res = await sendMessage({
+        type: "SET_PREAMP",
+        tabId: currentTabId,
+        settings: newSettings,
+      });
+      applyPreampResponse(res);
+    }
   }
 
   // On mount, ensure backend is ready and check if EQ is already active for this tab.
@@ -709,6 +1192,9 @@ export default function Popup() {
         await new Promise((r) => setTimeout(r, 150));
       }
 
+      // New audio graphs start with default stage settings
+      await syncStageSettings(tab.id);
+
       // PRIMARY: Fetch current EQ state from Web Audio API (source of truth)
       let webAudioState = null;
       try {
@@ -717,23 +1203,18 @@ export default function Popup() {
           tabId: tab.id,
         });
 
-        if (eqNodeStatus?.ok) {
-          const gainValues = eqNodeStatus.nodeGainValues || {};
-          const freqValues = eqNodeStatus.nodeFrequencyValues || {};
-          const qValues = eqNodeStatus.nodeQValues || {};
-
-          // If Web Audio API has values, use them as source of truth
-          if (Object.keys(gainValues).length > 0) {
-            webAudioState = {
-              gainValues,
-              freqValues,
-              qValues,
-            };
-            initializeEqState(gainValues, freqValues, qValues);
-            console.log(
-              "[Popup] Web Audio API has EQ state, using it as source of truth",
-            );
-          }
+        // If Web Audio API has bands, use them as source of truth
+        // (new audio graphs start without bands until the popup sends them)
+        if (eqNodeStatus?.ok && eqNodeStatus.bands?.length > 0) {
+          webAudioState = bandsFromFilterParams(eqNodeStatus.bands);
+          setEqBands(webAudioState);
+          setEqChannelMode(eqNodeStatus.channelMode ?? "stereo");
+          setSecondaryEqBands(
+            bandsFromFilterParams(eqNodeStatus.secondaryBands ?? []),
+          );
+          console.log(
+            "[Popup] Web Audio API has EQ state, using it as source of truth",
+          );
         }
       } catch (e) {
         console.warn("[Popup] Failed to fetch EQ state from Web Audio API:", e);
@@ -742,38 +1223,28 @@ export default function Popup() {
       if (cancelled) return;
 
       // FALLBACK: If Web Audio API had no state, load from localStorage
+      // (older saved states store index-keyed values instead of a band list)
       if (!webAudioState) {
         const savedState = loadEqStateFromLocalStorage();
+        const bands = savedState
+          ? (savedState.bands ?? bandsFromIndexedValues(savedState))
+          : createDefaultBands();
+        const channelMode = savedState?.channelMode ?? "stereo";
+        const secondaryBands = savedState?.secondaryBands ?? [];
+        setEqBands(bands);
+        setEqChannelMode(channelMode);
+        setSecondaryEqBands(secondaryBands);
         if (savedState) {
-          const {
-            nodePositions: savedPositions,
-            nodeGainValues: savedGains,
-            nodeFrequencyValues: savedFreqs,
-            nodeQValues: savedQs,
-            nodeBaseQValues: savedBaseQs,
-          } = savedState;
-          setNodePositions(savedPositions);
-          setNodeGainValues(savedGains);
-          setNodeFrequencyValues(savedFreqs);
-          setNodeQValues(savedQs);
-          setNodeBaseQValues(savedBaseQs);
           console.log("[Popup] Falling back to localStorage for EQ state");
-
-          // Sync localStorage state to Web Audio API
-          if (Object.keys(savedGains).length > 0) {
-            console.log(
-              "[Popup] Syncing localStorage state to Web Audio API...",
-            );
-            await sendMessage({
-              type: "UPDATE_EQ_NODES",
-              tabId: tab.id,
-              nodeGainValues: savedGains,
-              nodeFrequencyValues: savedFreqs,
-              nodeQValues: savedQs,
-            });
-            console.log("[Popup] localStorage state synced to Web Audio API");
-          }
         }
+
+        // Sync state to Web Audio API
+        console.log("[Popup] Syncing localStorage state to Web Audio API...");
+        const res = await sendMessage(
+          getEqNodesMessage(tab.id, { bands, channelMode, secondaryBands }),
+        );
+        applyPreampResponse(res);
+        console.log("[Popup] localStorage state synced to Web Audio API");
       }
     }
 
@@ -784,37 +1255,107 @@ export default function Popup() {
     };
   }, []);
 
-  // Fetch spectrum data continuously when EQ is active
+  // Fetch the combined EQ response whenever the bands or cut filters change
+  // (requests go out after the matching UPDATE_EQ_NODES/SET_CUT_FILTERS)
+  // Split channels also fetch the curve that is not being edited.
   useEffect(() => {
-    if (!eqActive || !currentTabId) return;
-
-    let animationFrameId;
+    if (!eqActive || !currentTabId) {
+      setFrequencyResponse(null);
+      setOtherFrequencyResponse(null);
+      return;
+    }
 
-    async function fetchSpectrum() {
-      try {
-        const res = await sendMessage({
-          type: "GET_SPECTRUM_DATA",
+    const requestId = ++responseRequestIdRef.current;
+    const curves =
+      eqChannelMode === "stereo" ? [0] : [editedCurve, 1 - editedCurve];
+    Promise.all(
+      curves.map((curve) =>
+        sendMessage({
+          type: "GET_FREQUENCY_RESPONSE",
           tabId: currentTabId,
-        });
+          frequencies: RESPONSE_FREQUENCIES,
+          curve,
+        }),
+      ),
+    ).then(([res, otherRes]) => {
+      // Ignore responses that arrive after a newer one
+      if (!res?.ok || requestId < responseAppliedIdRef.current) return;
+      responseAppliedIdRef.current = requestId;
+      setFrequencyResponse(res);
+      setSampleRate(res.sampleRate);
+      localStorage.setItem("sampleRate", String(res.sampleRate));
+      setOtherFrequencyResponse(otherRes?.ok ? otherRes : null);
+    });
+  }, [
+    eqBands,
+    secondaryEqBands,
+    eqChannelMode,
+    editedCurve,
+    cutSettings,
+    eqActive,
+    currentTabId,
+  ]);
+
+  // Stream meters while the Controls or Effects view shows them. Levels are
+  // drawn from the ref; readouts only update state when the shown value
+  // changes (gain reduction and loudness rounded to the 0.1 dB they display).
+  useEffect(() => {
+    if (!eqActive || !currentTabId) return;
+    if (activeTab !== "Controls" && activeTab !== "Effects") return;
 
-        if (res?.ok && res?.spectrumData) {
-          setSpectrumData(res.spectrumData);
+    const stream = connectMeterStream({
+      tabId: currentTabId,
+      onFrame: (frame) => {
+        meterFrameRef.current = frame;
+        setClipped(frame.levels.clipped);
+
+        const { limiter, compressor, multiband } = frame.gainReduction;
+        setLimiterGainReduction(roundReading(limiter));
+        setCompressorGainReduction(roundReading(compressor));
+        const bands = multiband.map(roundReading);
+        setMultibandGainReduction((prev) =>
+          prev.length === bands.length && prev.every((db, i) => db === bands[i])
+            ? prev
+            : bands,
+        );
+
+        const next = {};
+        for (const key in frame.loudness) {
+          next[key] = roundReading(frame.loudness[key]);
         }
-      } catch (e) {
-        console.warn("[Popup] Failed to fetch spectrum data:", e);
-      }
-
-      // Schedule next fetch for next animation frame
-      animationFrameId = requestAnimationFrame(fetchSpectrum);
-    }
-
-    // Start fetching spectrum data
-    fetchSpectrum();
+        setLoudness((prev) =>
+          prev && Object.keys(next).every((key) => prev[key] === next[key])
+            ? prev
+            : next,
+        );
+      },
+    });
 
     return () => {
-      if (animationFrameId) cancelAnimationFrame(animationFrameId);
+      stream.close();
+      meterFrameRef.current = null;
+      setClipped(false);
+      setLoudness(null);
     };
-  }, [eqActive, currentTabId]);
+  }, [eqActive, currentTabId, activeTab]);
+
+  function getMeterFrame() {
+    return meterFrameRef.current;
+  }
+
+  // Restart the integrated loudness and true-peak measurement
+  async function handleResetLoudness() {
+    if (!currentTabId) return;
+    await sendMessage({ type: "RESET_LOUDNESS", tabId: currentTabId });
+    setLoudness(null);
+  }
+
+  // Clear the latched clip indicator
+  async function handleResetClip() {
+    if (!currentTabId) return;
+    await sendMessage({ type: "RESET_CLIP", tabId: currentTabId });
+    setClipped(false);
+  }
 
   return (
     <div
@@ -878,6 +1419,23 @@ export default function Popup() {
             >
               Controls
             </button>
+            <button
+              onClick={() => {
+                throttledEnsureBackend();
+                setActiveTab("Effects");
+              }}
+              onMouseEnter={() => setHoveredTab("Effects")}
+              onMouseLeave={() => setHoveredTab(null)}
+              style={{
+                borderColor: COLORS.TEXT,
+                ...(activeTab === "Effects" || hoveredTab === "Effects"
+                  ? { color: COLORS.BACKGROUND, backgroundColor: COLORS.TEXT }
+                  : {}),
+              }}
+              className={`px-2 py-0.5 cursor-pointer border rounded-t-lg`}
+            >
+              Effects
+            </button>
             <button
               onClick={() => {
                 throttledEnsureBackend();
@@ -938,18 +1496,76 @@ export default function Popup() {
             ref={controlsRef}
             volume={volume}
             onVolumeStart={handleVolumeStart}
-            nodePositions={nodePositions}
-            nodeGainValues={nodeGainValues}
-            nodeFrequencyValues={nodeFrequencyValues}
-            nodeQValues={nodeQValues}
-            nodeBaseQValues={nodeBaseQValues}
-            onEqNodesChange={handleEqNodesChange}
-            spectrumData={spectrumData}
+            eqBands={editedCurve === 1 ? secondaryEqBands : eqBands}
+            onEqBandsChange={handleEditedEqBandsChange}
+            eqChannelMode={eqChannelMode}
+            editedCurve={editedCurve}
+            onEditedCurveChange={setEditedCurve}
+            otherFrequencyResponse={otherFrequencyResponse}
+            cutSettings={cutSettings}
+            onCutChange={handleCutChange}
+            frequencyResponse={frequencyResponse}
+            sampleRate={sampleRate}
+            tabId={currentTabId}
+            analyserSettings={analyserSettings}
+            limiterEnabled={limiterSettings.enabled}
+            limiterGainReduction={limiterGainReduction}
+            getMeterFrame={getMeterFrame}
+            clipped={clipped}
+            onResetClip={handleResetClip}
+            loudness={loudness}
+            onResetLoudness={handleResetLoudness}
+            preampDb={preampDb}
+            nightModeActive={nightModeActive}
+            onNightModeToggle={handleNightModeToggle}
+            multibandSettings={multibandSettings}
+            onMultibandChange={handleMultibandChange}
+            multibandGainReduction={multibandGainReduction}
             eqActive={eqActive}
             themes={THEMES}
             themeIndex={themeIndex}
           />
         )}
+        {activeTab === "Effects" && (
+          <Effects
+            themes={THEMES}
+            themeIndex={themeIndex}
+            eqActive={eqActive}
+            limiterSettings={limiterSettings}
+            onLimiterChange={handleLimiterChange}
+            limiterGainReduction={limiterGainReduction}
+            preampSettings={preampSettings}
+            onPreampChange={handlePreampChange}
+            agcSettings={agcSettings}
+            onAgcChange={handleAgcChange}
+            compressorSettings={compressorSettings}
+            onCompressorChange={handleCompressorChange}
+            compressorGainReduction={compressorGainReduction}
+            nightModeActive={nightModeActive}
+            onNightModeToggle={handleNightModeToggle}
+            multibandSettings={multibandSettings}
+            onMultibandChange={handleMultibandChange}
+            onMultibandBandCountChange={handleMultibandBandCountChange}
+            multibandGainReduction={multibandGainReduction}
+            preampDb={preampDb}
+            stereoSettings={stereoSettings}
+            onStereoChange={handleStereoChange}
+            eqChannelMode={eqChannelMode}
+            onEqChannelModeChange={handleEqChannelModeChange}
+            karaokeSettings={karaokeSettings}
+            onKaraokeChange={handleKaraokeChange}
+            crossfeedSettings={crossfeedSettings}
+            onCrossfeedChange={handleCrossfeedChange}
+            virtualizerSettings={virtualizerSettings}
+            onVirtualizerChange={handleVirtualizerChange}
+            dialogueSettings={dialogueSettings}
+            onDialogueChange={handleDialogueChange}
+            virtualBassSettings={virtualBassSettings}
+            onVirtualBassChange={handleVirtualBassChange}
+            analyserSettings={analyserSettings}
+            onAnalyserChange={handleAnalyserChange}
+          />
+        )}
         {activeTab === "Guide" && (
           <Guide themes={THEMES} themeIndex={themeIndex} />
         )}
@@ -1,10 +1,28 @@
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
+import LevelMeter from "./LevelMeter";
+
+// Whether two flat records hold the same keys and values
+function isSameRecord(a, b) {
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => a[key] === b[key])
+  );
+}
 
 export default function ActiveTabs({ themes = [], themeIndex = 0 }) {
   const COLORS = themes[themeIndex] || {};
   const [activeTabs, setActiveTabs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [hoveredTabId, setHoveredTabId] = useState(null);
+  // { [tabId]: { peakDb: [L, R], rmsDb: [L, R], clipped } } for every captured
+  // tab, kept out of React state; the meters draw it in their own loops
+  const levelsByTabRef = useRef({});
+  // { [tabId]: clipped } for every metered tab (drives the clip dots)
+  const [clippedByTab, setClippedByTab] = useState({});
+  // { enabled, corrections: { [tabId]: dB } } automatic gain control state,
+  // corrections rounded to the 0.1 dB shown
+  const [agcState, setAgcState] = useState(null);
 
   // Sends a message to the background script and awaits a response.
   function sendMessage(msg) {
@@ -44,6 +62,42 @@ export default function ActiveTabs({ themes = [], themeIndex = 0 }) {
     loadActiveTabs();
   }, []);
 
+  // Poll levels and AGC corrections for all captured tabs in one request,
+  // skipping ticks while it is still pending. State only changes when a clip
+  // dot or AGC readout does.
+  useEffect(() => {
+    let pending = false;
+
+    const intervalId = setInterval(async () => {
+      if (pending) return;
+      pending = true;
+      const res = await sendMessage({ type: "GET_ALL_METERS" });
+      pending = false;
+      if (!res?.ok || !res.levels || !res.agc) return;
+
+      levelsByTabRef.current = res.levels;
+      const clipped = {};
+      for (const tabId in res.levels) {
+        clipped[tabId] = res.levels[tabId].clipped;
+      }
+      setClippedByTab((prev) => (isSameRecord(prev, clipped) ? prev : clipped));
+
+      const corrections = {};
+      for (const tabId in res.agc.corrections) {
+        corrections[tabId] =
+          Math.round(res.agc.corrections[tabId] * 10) / 10 || 0;
+      }
+      setAgcState((prev) =>
+        prev?.enabled === res.agc.enabled &&
+        isSameRecord(prev.corrections, corrections)
+          ? prev
+          : { enabled: res.agc.enabled, corrections },
+      );
+    }, 100);
+
+    return () => clearInterval(intervalId);
+  }, []);
+
   // Stop EQ for a specific tab
   async function handleStopEq(tabId) {
     await sendMessage({ type: "STOP_EQ", tabId });
@@ -104,6 +158,50 @@ export default function ActiveTabs({ themes = [], themeIndex = 0 }) {
               <p className="flex-1 truncate" style={{ color: COLORS.TEXT }}>
                 {tab.title}
               </p>
+
+              {/* Current AGC correction for this tab */}
+              {agcState?.enabled &&
+                typeof agcState.corrections[tab.id] === "number" && (
+                  <span
+                    className="text-xs shrink-0 select-none"
+                    style={{ color: COLORS.TEXT }}
+                    title="Automatic gain control correction"
+                  >
+                    AGC {agcState.corrections[tab.id] > 0 ? "+" : ""}
+                    {agcState.corrections[tab.id].toFixed(1)} dB
+                  </span>
+                )}
+
+              {/* Mini output meters (L/R) with clip dot */}
+              {tab.id in clippedByTab && (
+                <div className="flex items-center gap-1 shrink-0">
+                  <div className="flex flex-col gap-px">
+                    {[0, 1].map((ch) => (
+                      <LevelMeter
+                        key={ch}
+                        getLevels={() => levelsByTabRef.current[tab.id]}
+                        channel={ch}
+                        colors={COLORS}
+                        className="w-12 h-0.5"
+                      />
+                    ))}
+                  </div>
+                  <div
+                    className="w-1.5 h-1.5 rounded-full border"
+                    style={{
+                      borderColor: COLORS.TEXT,
+                      backgroundColor: clippedByTab[tab.id]
+                        ? COLORS.TEXT
+                        : "transparent",
+                    }}
+                    title={
+                      clippedByTab[tab.id]
+                        ? "This tab's output reached 0 dBFS"
+                        : "No clipping"
+                    }
+                  />
+                </div>
+              )}
             </div>
           ))
         )}
@@ -5,20 +5,52 @@ import {
   useImperativeHandle,
   forwardRef,
 } from "react";
-import { generateBellCurve } from "./graphs";
-
-// Q-factor configuration constants (must match Popup.jsx)
-const Q_MULTIPLIER = 2.0; // Multiplier for gain-dependent Q calculation
-const DEFAULT_PEAKING_Q = 0.3; // Default Q for peaking filters
-const DEFAULT_SHELF_Q = 0.75; // Default Q for shelf filters
+import {
+  generateBellCurve,
+  generateCutCurve,
+  AXIS_FREQUENCIES,
+  CUT_SLOPES,
+  MAX_EQ_BANDS,
+  FILTER_TYPES,
+  createBandId,
+  createDefaultBands,
+  getBandFilterParams,
+  filterUsesGain,
+  getDefaultBaseQ,
+  getBaseQRange,
+  formatFrequency,
+  DYNAMIC_EQ_MIN_THRESHOLD,
+  DEFAULT_DYNAMIC_EQ_THRESHOLD,
+  MULTIBAND_CROSSOVER_MIN,
+  MULTIBAND_CROSSOVER_MAX,
+  MULTIBAND_CROSSOVER_SPACING,
+  EQ_CHANNEL_MODES,
+} from "./graphs";
+import { ToggleButton } from "./EffectControls";
+import SpectrumCanvas from "./SpectrumCanvas";
+import LevelMeter from "./LevelMeter";
+import DynamicGainMarker from "./DynamicGainMarker";
+
+// Spectrum snapshots kept as overlays (oldest dropped first)
+const MAX_SPECTRUM_SNAPSHOTS = 3;
 
 /**
  * Controls Component - Interactive EQ Visualizer
  *
  * Features:
- * - 11 draggable frequency bands (20 Hz - 20.48 kHz)
+ * - Draggable EQ bands (11 by default, up to MAX_EQ_BANDS)
+ * - Double-click an empty spot to add a band; Delete removes the selected band
  * - Real-time bell curve visualization for boost/cut
- * - Real-time spectrum visualizer
+ * - Combined response (thick line) and optional phase overlay from Web Audio API
+ * - Separate left/right or mid/side curves: switch the edited curve in the top
+ *   right corner, the other curve is drawn as a thin line
+ * - Right-click a node to change its filter type, make a bell dynamic or delete it
+ * - Dynamic bells animate between 0 dB and their node as they act
+ * - High-pass/low-pass cut filter handles at the graph edges
+ *   (drag to set the cutoff, right-click to pick the slope or turn off)
+ * - Multiband compressor crossover handles (drag to move) with the gain
+ *   reduction of each band, while the multiband compressor is on
+ * - Real-time spectrum visualizer (canvas layer under the SVG)
  * - Frequency range: 1-21500 Hz
  * - Gain range: -30 to +30 dB
  * - Master volume control on left sidebar
@@ -26,36 +58,110 @@ const DEFAULT_SHELF_Q = 0.75; // Default Q for shelf filters
  * Props:
  * - volume: master volume gain (0-1+)
  * - onVolumeStart: handler for volume slider mousedown
- * - nodePositions: { [index]: { x, y } } - draggable node positions
- * - nodeGainValues: { [index]: dB } - gain values from Web Audio API
- * - nodeFrequencyValues: { [index]: Hz } - frequency values from Web Audio API
- * - nodeQValues: { [index]: Q } - Q values from Web Audio API
- * - nodeBaseQValues: { [index]: baseQ } - base Q values for shift-drag
- * - onEqNodesChange: callback(positions, gainValues, freqValues, qValues, baseQValues)
- * - spectrumData: array of frequency bin values (0-255) for real-time spectrum
+ * - eqBands: [{ id, type, frequency, gain, baseQ }] - EQ bands of the edited curve
+ *   (see createDefaultBands)
+ * - onEqBandsChange: callback(bands)
+ * - eqChannelMode: "stereo" | "lr" | "ms" (see EQ_CHANNEL_MODES)
+ * - editedCurve: 0 (left/mid) | 1 (right/side) while the channels are split
+ * - onEditedCurveChange: callback(curve)
+ * - cutSettings: { highpass, lowpass } each { enabled, frequency (Hz), slope (dB/oct) }
+ * - onCutChange: callback({ highpass?, lowpass? }) - partial settings per filter
+ * - frequencyResponse: { sampleRate, frequencies, magnitudeDb, phaseDeg } from
+ *   GET_FREQUENCY_RESPONSE (null while unavailable)
+ * - otherFrequencyResponse: same for the curve not being edited (split channels only)
+ * - sampleRate: the tab's AudioContext sample rate; per-band and cut filter
+ *   curves are only drawn once it is known (null)
+ * - tabId: current tab (its analyser feeds the spectrum visualizer)
+ * - analyserSettings: { minDb, maxDb, axis ("log" | "linear"), style,
+ *   peakDecay, averageSeconds, ... } spectrum analyser settings (dB range,
+ *   frequency axis, rendering style, peak-hold decay and averaging)
+ * - limiterEnabled: whether the brickwall limiter is active
+ * - limiterGainReduction: current limiter gain reduction in dB (<= 0)
+ * - getMeterFrame: () => latest meter stream frame or null, read by the
+ *   level meters' and dynamic gain markers' own draw loops:
+ *   levels: { peakDb: [L, R], rmsDb: [L, R], clipped } after the EQ and
+ *   volume (before the limiter), dynamicEqGains: { [bandId]: dB } gain each
+ *   dynamic band currently applies
+ * - clipped: whether the latched clip indicator is lit
+ * - onResetClip: callback() clearing the latched clip indicator
+ * - loudness: { momentary, shortTerm, integrated (LUFS), truePeak (dBTP) }
+ *   BS.1770 readout, values null until measured (null while unavailable)
+ * - onResetLoudness: callback() restarting the loudness measurement
+ * - preampDb: current preamp gain applied before the EQ filters (dB)
+ * - nightModeActive: whether the night mode compressor preset is running
+ * - onNightModeToggle: callback() switching night mode on or off
+ * - multibandSettings: { enabled, crossovers (Hz), bands } multiband compressor
+ * - onMultibandChange: callback({ crossovers }) - full crossover list
+ * - multibandGainReduction: gain reduction of each band in dB (<= 0)
  */
 const Controls = forwardRef(function Controls(
   {
     volume,
     onVolumeStart,
-    nodePositions,
-    nodeGainValues,
-    nodeFrequencyValues,
-    nodeQValues,
-    nodeBaseQValues,
-    onEqNodesChange,
-    spectrumData = [],
+    eqBands,
+    onEqBandsChange,
+    cutSettings,
+    onCutChange,
+    eqChannelMode = "stereo",
+    editedCurve = 0,
+    onEditedCurveChange,
+    frequencyResponse = null,
+    otherFrequencyResponse = null,
+    sampleRate = null,
+    tabId = null,
+    analyserSettings = {
+      minDb: -100,
+      maxDb: -30,
+      axis: "log",
+      style: "line",
+      peakDecay: 20,
+      averageSeconds: 0,
+    },
+    limiterEnabled = true,
+    limiterGainReduction = 0,
+    getMeterFrame = () => null,
+    clipped = false,
+    onResetClip,
+    loudness = null,
+    onResetLoudness,
+    preampDb = 0,
+    nightModeActive = false,
+    onNightModeToggle,
+    multibandSettings = { enabled: false, crossovers: [], bands: [] },
+    onMultibandChange,
+    multibandGainReduction = [],
     eqActive = true,
     themes = [],
     themeIndex = 0,
   },
   ref,
 ) {
-  const [draggingNode, setDraggingNode] = useState(null);
+  const [draggingNode, setDraggingNode] = useState(null); // id of the dragged band
+  const [selectedBandId, setSelectedBandId] = useState(null);
+  const [draggingCut, setDraggingCut] = useState(null); // "highpass" | "lowpass" while dragging a cut handle
+  const [draggingCrossover, setDraggingCrossover] = useState(null); // index of the dragged multiband crossover
   const [isShiftDrag, setIsShiftDrag] = useState(false);
   const [spectrumEnabled, setSpectrumEnabledState] = useState(false);
   const [hoveredSpectrumBtn, setHoveredSpectrumBtn] = useState(false);
+  const [phaseEnabled, setPhaseEnabled] = useState(() => {
+    // Load phase overlay state from localStorage (off by default)
+    const stored = localStorage.getItem("phaseResponseEnabled");
+    return stored !== null ? JSON.parse(stored) : false;
+  });
+  const [spectrumView, setSpectrumView] = useState(() => {
+    // Load spectrum view from localStorage ("output", "compare" or "difference")
+    const stored = localStorage.getItem("spectrumView");
+    return stored !== null ? JSON.parse(stored) : "output";
+  });
+  const [loudnessEnabled, setLoudnessEnabled] = useState(() => {
+    // Load loudness readout state from localStorage (off by default)
+    const stored = localStorage.getItem("loudnessReadoutEnabled");
+    return stored !== null ? JSON.parse(stored) : false;
+  });
+  const [spectrumSnapshots, setSpectrumSnapshots] = useState([]); // [{ id, db, sampleRate }], newest first
+  const [typeMenu, setTypeMenu] = useState(null); // { bandId or cut, left, top } of open filter type menu
   const svgRef = useRef(null);
+  const spectrumRef = useRef(null);
   const shiftDragStartYRef = useRef(null); // Track initial Y position for shift drag
 
   // Get current theme colors
@@ -80,6 +186,24 @@ const Controls = forwardRef(function Controls(
     );
   }, [spectrumEnabled]);
 
+  // Save spectrum view to localStorage whenever it changes
+  useEffect(() => {
+    localStorage.setItem("spectrumView", JSON.stringify(spectrumView));
+  }, [spectrumView]);
+
+  // Save loudness readout state to localStorage whenever it changes
+  useEffect(() => {
+    localStorage.setItem(
+      "loudnessReadoutEnabled",
+      JSON.stringify(loudnessEnabled),
+    );
+  }, [loudnessEnabled]);
+
+  // Save phase overlay state to localStorage whenever it changes
+  useEffect(() => {
+    localStorage.setItem("phaseResponseEnabled", JSON.stringify(phaseEnabled));
+  }, [phaseEnabled]);
+
   // Wrapper to update state and trigger localStorage save
   function setSpectrumEnabled(value) {
     setSpectrumEnabledState(value);
@@ -88,7 +212,7 @@ const Controls = forwardRef(function Controls(
   // Expose resetFilters method via ref
   useImperativeHandle(ref, () => ({
     resetFilters() {
-      onEqNodesChange({}, {}, {}, {}, {});
+      onEqBandsChange(createDefaultBands());
       console.log("[Controls] All EQ nodes reset to defaults");
     },
   }));
@@ -118,31 +242,25 @@ const Controls = forwardRef(function Controls(
       });
 
       // Rehydrate Web Audio API with current UI state
-      if (Object.keys(nodeGainValues).length > 0) {
-        await new Promise((resolve) => {
-          chrome.runtime.sendMessage(
-            {
-              type: "UPDATE_EQ_NODES",
-              nodeGainValues,
-              nodeFrequencyValues,
-              nodeQValues,
-            },
-            (res) => {
-              const err = chrome.runtime.lastError;
-              resolve(err ? { ok: false } : (res ?? { ok: true }));
-            },
-          );
-        });
-      }
+      await new Promise((resolve) => {
+        chrome.runtime.sendMessage(
+          {
+            type: "UPDATE_EQ_NODES",
+            bands: getBandFilterParams(eqBands),
+          },
+          (res) => {
+            const err = chrome.runtime.lastError;
+            resolve(err ? { ok: false } : (res ?? { ok: true }));
+          },
+        );
+      });
     } catch (e) {
       console.warn("[Controls] Error ensuring backend:", e);
     }
   }
 
-  // Standard frequency bands used in audio processing
-  const frequencies = [
-    5, 10, 20, 40, 80, 160, 320, 640, 1280, 2560, 5120, 10240, 20480,
-  ];
+  // Frequency axis markings (log scale)
+  const frequencies = AXIS_FREQUENCIES;
 
   // SVG Coordinate System:
   // - Horizontal (X): 0-1000 units, 1Hz-21500Hz on log scale
@@ -152,6 +270,10 @@ const Controls = forwardRef(function Controls(
   const SVG_HEIGHT = 500;
   const CENTER_Y = 250;
   const NODE_RADIUS = 7;
+  const CUT_HANDLE_Y = 440; // Cut filter handles sit above the frequency labels
+  const CUT_HANDLE_SIZE = 14;
+  const CROSSOVER_HANDLE_Y = 50; // Multiband crossover handles hang below the top ticks
+  const CROSSOVER_HANDLE_SIZE = 10;
 
   const X_AXIS_START = 120; // Left padding for Y-axis labels
   const X_AXIS_END = 15; // Right padding
@@ -159,7 +281,7 @@ const Controls = forwardRef(function Controls(
   const GEOMETRIC_RATIO = 1.2; // Each frequency spacing is 1.2x wider
 
   /**
-   * Get the base X position for a node by its index
+   * Get the X position of an axis marking by its index
    * Uses geometric series scaling (1.2x spacing)
    */
   function getBaseXPos(index) {
@@ -172,14 +294,12 @@ const Controls = forwardRef(function Controls(
   }
 
   /**
-   * Get current position of a node including drag offset
+   * Get the position of a band's node from its frequency and gain
    * Constrains node to stay within SVG viewbox (accounting for radius)
    */
-  function getNodePosition(index) {
-    const baseX = getBaseXPos(index);
-    const pos = nodePositions[index] || { x: 0, y: 0 };
-    const nodeX = baseX + pos.x;
-    const nodeY = CENTER_Y + pos.y;
+  function getNodePosition(band) {
+    const nodeX = getXPosFromFrequency(band.frequency);
+    const nodeY = CENTER_Y - (band.gain / 60) * SVG_HEIGHT;
 
     // Keep entire circle inside viewbox
     const constrainedX = Math.max(3, Math.min(SVG_WIDTH - 3, nodeX));
@@ -188,27 +308,130 @@ const Controls = forwardRef(function Controls(
     return { x: constrainedX, y: constrainedY };
   }
 
+  /**
+   * Y position of the gain a dynamic band currently applies (0 dB until its
+   * detector has reported)
+   */
+  function getAppliedGainY(band) {
+    const gain = getMeterFrame()?.dynamicEqGains?.[band.id] ?? 0;
+    return getNodePosition({ ...band, gain }).y;
+  }
+
+  /**
+   * Replace one band (by id) with updated fields
+   */
+  function updateBand(bandId, changes) {
+    onEqBandsChange(
+      eqBands.map((band) =>
+        band.id === bandId ? { ...band, ...changes } : band,
+      ),
+    );
+  }
+
+  /**
+   * Convert a mouse event to SVG viewBox coordinates
+   */
+  function getSvgPoint(e) {
+    const svg = svgRef.current;
+    if (!svg) return null;
+
+    const rect = svg.getBoundingClientRect();
+    const svgRect = svg.viewBox.baseVal;
+    return {
+      x: (e.clientX - rect.left) * (svgRect.width / rect.width),
+      y: (e.clientY - rect.top) * (svgRect.height / rect.height),
+    };
+  }
+
   /**
    * Initiate node drag
    */
-  function handleNodeMouseDown(index, e) {
+  function handleNodeMouseDown(bandId, e) {
+    // Right button opens the filter type menu instead of dragging
+    if (e.button !== 0) return;
     e.preventDefault();
     throttledEnsureBackend();
-    setDraggingNode(index);
+    setDraggingNode(bandId);
+    setSelectedBandId(bandId);
     setIsShiftDrag(e.shiftKey);
     if (e.shiftKey) {
       // For shift drag, capture starting Y position
-      const svg = svgRef.current;
-      if (svg) {
-        const rect = svg.getBoundingClientRect();
-        const svgRect = svg.viewBox.baseVal;
-        const scaleY = svgRect.height / rect.height;
-        const mouseY = (e.clientY - rect.top) * scaleY;
-        shiftDragStartYRef.current = mouseY;
-      }
+      shiftDragStartYRef.current = getSvgPoint(e)?.y ?? null;
     }
   }
 
+  /**
+   * Initiate cut filter handle drag (horizontal only)
+   */
+  function handleCutMouseDown(type, e) {
+    // Right button opens the slope menu instead of dragging
+    if (e.button !== 0) return;
+    e.preventDefault();
+    throttledEnsureBackend();
+    setDraggingCut(type);
+  }
+
+  /**
+   * Initiate multiband crossover drag (horizontal only)
+   */
+  function handleCrossoverMouseDown(index, e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    throttledEnsureBackend();
+    setDraggingCrossover(index);
+  }
+
+  /**
+   * Add a peaking band at the double-clicked spot (frequency/gain)
+   */
+  function handleGraphDoubleClick(e) {
+    if (!eqActive || eqBands.length >= MAX_EQ_BANDS) return;
+    const point = getSvgPoint(e);
+    if (!point) return;
+    throttledEnsureBackend();
+
+    const gain = -((point.y - CENTER_Y) / SVG_HEIGHT) * 60;
+    const band = {
+      id: createBandId(),
+      type: "peaking",
+      frequency: getFrequencyFromXPos(point.x),
+      gain: Math.max(-30, Math.min(30, gain)),
+      baseQ: getDefaultBaseQ("peaking"),
+    };
+
+    onEqBandsChange([...eqBands, band]);
+    setSelectedBandId(band.id);
+  }
+
+  /**
+   * Remove a band from the EQ
+   */
+  function handleDeleteBand(bandId) {
+    setTypeMenu(null);
+    throttledEnsureBackend();
+    onEqBandsChange(eqBands.filter((band) => band.id !== bandId));
+    if (selectedBandId === bandId) setSelectedBandId(null);
+  }
+
+  /**
+   * Delete/Backspace removes the selected band
+   * (ignored while typing, e.g. in the preset name input)
+   */
+  useEffect(() => {
+    if (selectedBandId === null) return;
+
+    function handleKeyDown(e) {
+      if (e.key !== "Delete" && e.key !== "Backspace") return;
+      if (e.target.closest("input, textarea, select")) return;
+      e.preventDefault();
+      onEqBandsChange(eqBands.filter((band) => band.id !== selectedBandId));
+      setSelectedBandId(null);
+    }
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [selectedBandId, eqBands, onEqBandsChange]);
+
   /**
    * Convert X position to frequency using inverse geometric series formula
    * Ensures frequency values align perfectly with X-axis markings
@@ -234,127 +457,210 @@ const Controls = forwardRef(function Controls(
   /**
    * Handle mouse move during drag
    * Normal drag: updates node position (frequency/gain)
-   * Shift+drag (vertical only): adjusts Q value from 0.1 to 2.0
+   * Shift+drag (vertical only): adjusts Q value within the type's range
+   * (0.1 to 2.0 for bell/shelf, 0.1 to 10 for notch/pass filters)
    * Runs at document level to allow dragging outside SVG
    */
   function handleMouseMove(e) {
-    if (draggingNode === null) return;
+    if (
+      draggingNode === null &&
+      draggingCut === null &&
+      draggingCrossover === null
+    ) {
+      return;
+    }
 
-    const svg = svgRef.current;
-    if (!svg) return;
+    // Convert screen coordinates to SVG viewBox coordinates
+    const point = getSvgPoint(e);
+    if (!point) return;
+    const { x: mouseX, y: mouseY } = point;
+
+    // Cut filter handle: set the cutoff (dragging switches the filter on)
+    if (draggingCut !== null) {
+      const frequency = Math.max(10, getFrequencyFromXPos(mouseX));
+      onCutChange({ [draggingCut]: { enabled: true, frequency } });
+      return;
+    }
 
-    const rect = svg.getBoundingClientRect();
-    const svgRect = svg.viewBox.baseVal;
+    // Multiband crossover: stays between its neighbours
+    if (draggingCrossover !== null) {
+      const { crossovers } = multibandSettings;
+      const lower = crossovers[draggingCrossover - 1];
+      const upper = crossovers[draggingCrossover + 1];
+      const minFrequency = lower
+        ? lower * MULTIBAND_CROSSOVER_SPACING
+        : MULTIBAND_CROSSOVER_MIN;
+      const maxFrequency = upper
+        ? upper / MULTIBAND_CROSSOVER_SPACING
+        : MULTIBAND_CROSSOVER_MAX;
+      const frequency = Math.max(
+        minFrequency,
+        Math.min(maxFrequency, getFrequencyFromXPos(mouseX)),
+      );
+      onMultibandChange({
+        crossovers: crossovers.map((f, i) =>
+          i === draggingCrossover ? frequency : f,
+        ),
+      });
+      return;
+    }
 
-    // Convert screen coordinates to SVG viewBox coordinates
-    const scaleX = svgRect.width / rect.width;
-    const scaleY = svgRect.height / rect.height;
-    const mouseX = (e.clientX - rect.left) * scaleX;
-    const mouseY = (e.clientY - rect.top) * scaleY;
+    const band = eqBands.find((b) => b.id === draggingNode);
+    if (!band) return;
+    const { type } = band;
 
     if (isShiftDrag) {
-      // Shift+drag: Adjust base Q value based on vertical movement (0.1 to 2.0)
-      const logMin = Math.log(0.1);
-      const logMax = Math.log(2.0);
-      const logCenter = Math.log(DEFAULT_PEAKING_Q);
+      // Shift+drag: Adjust base Q value based on vertical movement
+      const { min: minQ, max: maxQ } = getBaseQRange(type);
+      const logMin = Math.log(minQ);
+      const logMax = Math.log(maxQ);
+      const logCenter = Math.log(getDefaultBaseQ(type));
 
       const startY = shiftDragStartYRef.current ?? mouseY;
       const qOffsetRatio = (startY - mouseY) / (SVG_HEIGHT / 3);
       let logQ = logCenter + qOffsetRatio * ((logMax - logMin) / 2);
       let baseQ = Math.exp(logQ);
-      baseQ = Math.max(0.1, Math.min(2.0, baseQ));
-
-      // console.log(`[Node ${draggingNode}] Base Q: ${baseQ.toFixed(2)}`);
-
-      // Calculate the new Q value from baseQ and current gain
-      const isShelf = draggingNode === 2 || draggingNode === 12;
-      const gaindB = nodeGainValues[draggingNode] ?? 0;
-      const Q = isShelf
-        ? baseQ
-        : baseQ * Math.pow(Q_MULTIPLIER, 1 - (2 * Math.abs(gaindB)) / 30);
-
-      // Update parent state via callback with both baseQ and new Q value
-      const newBaseQValues = {
-        ...nodeBaseQValues,
-        [draggingNode]: baseQ,
-      };
-      const newQValues = {
-        ...nodeQValues,
-        [draggingNode]: Q,
-      };
-      onEqNodesChange(
-        nodePositions,
-        nodeGainValues,
-        nodeFrequencyValues,
-        newQValues,
-        newBaseQValues,
-      );
+      baseQ = Math.max(minQ, Math.min(maxQ, baseQ));
+
+      // console.log(`[Band ${draggingNode}] Base Q: ${baseQ.toFixed(2)}`);
+
+      // Update parent state via callback (Q is derived from baseQ and gain)
+      updateBand(draggingNode, { baseQ });
       return;
     }
 
     // Normal drag: update node position (frequency/gain)
-    const baseX = getBaseXPos(draggingNode);
-    const offsetX = mouseX - baseX;
-    const offsetY = mouseY - CENTER_Y;
-    const currentX = baseX + offsetX;
+    // Filters without a gain parameter only move horizontally
+    const usesGain = filterUsesGain(type);
+    const offsetY = usesGain ? mouseY - CENTER_Y : 0;
 
     // Calculate frequency and gain
-    let frequency = getFrequencyFromXPos(currentX);
+    let frequency = getFrequencyFromXPos(mouseX);
     frequency = Math.max(1, Math.min(21500, frequency));
 
     let gaindB = -(offsetY / SVG_HEIGHT) * 60;
     gaindB = Math.max(-30, Math.min(30, gaindB));
 
-    const isShelf = draggingNode === 2 || draggingNode === 12;
-    const baseQ =
-      nodeBaseQValues[draggingNode] ??
-      (isShelf ? DEFAULT_SHELF_Q : DEFAULT_PEAKING_Q);
-    const Q = isShelf
-      ? baseQ
-      : baseQ * Math.pow(Q_MULTIPLIER, 1 - (2 * Math.abs(gaindB)) / 30);
-
     // Update parent state via callback
-    const newPositions = {
-      ...nodePositions,
-      [draggingNode]: { x: offsetX, y: offsetY },
-    };
-    const newGainValues = {
-      ...nodeGainValues,
-      [draggingNode]: gaindB,
-    };
-    const newFrequencyValues = {
-      ...nodeFrequencyValues,
-      [draggingNode]: frequency,
-    };
-    const newQValues = {
-      ...nodeQValues,
-      [draggingNode]: Q,
-    };
-
-    onEqNodesChange(
-      newPositions,
-      newGainValues,
-      newFrequencyValues,
-      newQValues,
-      nodeBaseQValues,
-    );
+    updateBand(draggingNode, { frequency, gain: gaindB });
 
     // Debug output with stored state values
-    // const filterType = isShelf ? "Shelf" : "Peaking";
     // console.log(
-    //   `[Node ${draggingNode}] ${filterType} → Freq: ${frequency.toFixed(
+    //   `[Band ${draggingNode}] ${type} → Freq: ${frequency.toFixed(
     //     2
-    //   )} Hz | Gain: ${gaindB.toFixed(2)} dB | Base Q: ${baseQ.toFixed(
+    //   )} Hz | Gain: ${gaindB.toFixed(2)} dB | Base Q: ${band.baseQ.toFixed(
     //     2
-    //   )} | Q: ${Q.toFixed(2)}`
+    //   )}`
     // );
   }
 
+  /**
+   * Open the filter type menu for a node at the cursor position
+   */
+  function handleNodeContextMenu(bandId, e) {
+    e.preventDefault();
+    const main = e.currentTarget.closest("main");
+    if (!main) return;
+    const rect = main.getBoundingClientRect();
+    setSelectedBandId(bandId);
+    setTypeMenu({
+      bandId,
+      left: e.clientX - rect.left,
+      top: e.clientY - rect.top,
+    });
+  }
+
+  /**
+   * Open the slope menu for a cut filter handle at the cursor position
+   */
+  function handleCutContextMenu(type, e) {
+    e.preventDefault();
+    const main = e.currentTarget.closest("main");
+    if (!main) return;
+    const rect = main.getBoundingClientRect();
+    setTypeMenu({
+      cut: type,
+      left: e.clientX - rect.left,
+      top: e.clientY - rect.top,
+    });
+  }
+
+  /**
+   * Pick a cut filter slope (null turns the filter off)
+   */
+  function handleCutSlopeChange(type, slope) {
+    setTypeMenu(null);
+    throttledEnsureBackend();
+    onCutChange({
+      [type]: slope === null ? { enabled: false } : { enabled: true, slope },
+    });
+  }
+
+  /**
+   * Change a node's filter type
+   * Resets base Q to the new type's default; filters without a gain
+   * parameter are moved back to 0 dB since their height has no effect
+   */
+  function handleFilterTypeChange(bandId, type) {
+    setTypeMenu(null);
+    throttledEnsureBackend();
+
+    const band = eqBands.find((b) => b.id === bandId);
+    if (!band) return;
+
+    updateBand(bandId, {
+      type,
+      gain: filterUsesGain(type) ? band.gain : 0,
+      baseQ: getDefaultBaseQ(type),
+      dynamic: type === "peaking" && band.dynamic,
+    });
+  }
+
+  /**
+   * Switch a bell between static and dynamic
+   * (a new dynamic band starts at the default threshold)
+   */
+  function handleDynamicToggle(bandId) {
+    throttledEnsureBackend();
+
+    const band = eqBands.find((b) => b.id === bandId);
+    if (!band) return;
+
+    updateBand(bandId, {
+      dynamic: !band.dynamic,
+      threshold: band.threshold ?? DEFAULT_DYNAMIC_EQ_THRESHOLD,
+    });
+  }
+
+  /**
+   * Close the filter type menu on outside click or Escape
+   */
+  useEffect(() => {
+    if (typeMenu === null) return;
+
+    function handleKeyDown(e) {
+      if (e.key === "Escape") setTypeMenu(null);
+    }
+    function handleMouseDownOutside(e) {
+      if (!e.target.closest("[data-type-menu]")) setTypeMenu(null);
+    }
+
+    document.addEventListener("keydown", handleKeyDown);
+    document.addEventListener("mousedown", handleMouseDownOutside);
+
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+      document.removeEventListener("mousedown", handleMouseDownOutside);
+    };
+  }, [typeMenu]);
+
   /**
    * End drag operation
    */
   function handleMouseUp() {
     setDraggingNode(null);
+    setDraggingCut(null);
+    setDraggingCrossover(null);
     setIsShiftDrag(false);
     shiftDragStartYRef.current = null;
   }
@@ -364,7 +670,13 @@ const Controls = forwardRef(function Controls(
    * Allows dragging to continue outside SVG boundaries
    */
   useEffect(() => {
-    if (draggingNode === null) return;
+    if (
+      draggingNode === null &&
+      draggingCut === null &&
+      draggingCrossover === null
+    ) {
+      return;
+    }
 
     document.addEventListener("mousemove", handleMouseMove);
     document.addEventListener("mouseup", handleMouseUp);
@@ -373,7 +685,7 @@ const Controls = forwardRef(function Controls(
       document.removeEventListener("mousemove", handleMouseMove);
       document.removeEventListener("mouseup", handleMouseUp);
     };
-  }, [draggingNode]);
+  }, [draggingNode, draggingCut, draggingCrossover]);
 
   /**
    * Convert linear gain value to slider position
@@ -412,53 +724,76 @@ const Controls = forwardRef(function Controls(
   }
 
   /**
-   * Render spectrum analyzer as a high-resolution line graph
-   * Uses all frequency bins for maximum accuracy
-   * Maps entire frequency range (5Hz-20480Hz) to full viewbox width and height
-   * Inverted Y-axis: magnitude 255 at top (y=0), magnitude 0 at bottom (y=500)
+   * Format a loudness value for the readout ("–" until measured)
    */
-  function renderSpectrumLine() {
-    if (
-      !eqActive ||
-      !spectrumEnabled ||
-      !spectrumData ||
-      spectrumData.length === 0
-    ) {
-      return null;
-    }
+  function formatLoudness(value) {
+    return typeof value === "number" ? value.toFixed(1) : "–";
+  }
 
-    const binCount = spectrumData.length;
-    const points = [];
-
-    // Estimate sample rate and Nyquist frequency
-    // Standard Web Audio contexts use 48kHz sample rate
-    const sampleRate = 48000;
-    const nyquistFrequency = sampleRate / 2; // 24000Hz
-
-    // Generate points for all spectrum bins, mapping to logarithmic frequency scale
-    for (let binIdx = 0; binIdx < binCount; binIdx++) {
-      // Calculate the actual frequency this bin represents
-      const binFrequency = (binIdx / binCount) * nyquistFrequency;
-
-      // Map this frequency to X position using the same log scale as EQ nodes
-      // Clamp frequencies to the valid range (10Hz - 20480Hz)
-      let clampedFrequency = binFrequency;
-      if (binFrequency < 10) {
-        clampedFrequency = 10; // Clamp to 10Hz
-      } else if (binFrequency > frequencies[frequencies.length - 1]) {
-        clampedFrequency = frequencies[frequencies.length - 1]; // Clamp to 20480Hz
-      }
-      const xPos = getXPosFromFrequency(clampedFrequency);
-
-      const magnitude = spectrumData[binIdx] || 0;
-
-      // Use full viewbox height (0-500)
-      // Inverted Y: magnitude 255 = top (0), magnitude 0 = bottom (500)
-      const y = SVG_HEIGHT - (magnitude / 255) * SVG_HEIGHT;
-
-      // Add all points - clamping ensures they stay within the visible range
-      points.push(`${xPos},${y}`);
-    }
+  /**
+   * Capture the spectrum currently shown as an overlay snapshot
+   * Snapshots stay on the graph while bands are edited
+   */
+  function handleFreezeSpectrum() {
+    const snapshot = spectrumRef.current?.captureSnapshot();
+    if (!snapshot) return;
+
+    setSpectrumSnapshots((prev) =>
+      [{ id: Date.now(), ...snapshot }, ...prev].slice(
+        0,
+        MAX_SPECTRUM_SNAPSHOTS,
+      ),
+    );
+  }
+
+  /**
+   * Convert frequency value to X position on a linear scale (0Hz-20480Hz)
+   * Used by the spectrum visualizer when the linear axis is selected
+   */
+  function getLinearXPosFromFrequency(frequency) {
+    const maxFreq = frequencies[frequencies.length - 1]; // 20480Hz
+    const clamped = Math.max(0, Math.min(maxFreq, frequency));
+    return X_AXIS_START + (clamped / maxFreq) * USABLE_WIDTH;
+  }
+
+  /**
+   * Render the combined EQ response reported by the Web Audio API
+   * (every cut filter and band in series, at the real sample rate)
+   */
+  function renderCombinedResponse() {
+    if (!eqActive || !frequencyResponse) return null;
+
+    const { frequencies: responseFrequencies, magnitudeDb } = frequencyResponse;
+    const points = responseFrequencies.map((freq, i) => {
+      // Same dB scale as the bell curves, clamped to the viewbox
+      const y = CENTER_Y - (magnitudeDb[i] / 30) * (SVG_HEIGHT / 2);
+      return `${getXPosFromFrequency(freq)},${Math.max(0, Math.min(SVG_HEIGHT, y))}`;
+    });
+
+    return (
+      <polyline
+        points={points.join(" ")}
+        stroke={COLORS.TEXT}
+        strokeWidth="4"
+        fill="none"
+        pointerEvents="none"
+      />
+    );
+  }
+
+  /**
+   * Render the combined response of the curve not being edited
+   * (split left/right or mid/side channels) as a thin line
+   */
+  function renderOtherCurveResponse() {
+    if (!eqActive || !otherFrequencyResponse) return null;
+
+    const { frequencies: responseFrequencies, magnitudeDb } =
+      otherFrequencyResponse;
+    const points = responseFrequencies.map((freq, i) => {
+      const y = CENTER_Y - (magnitudeDb[i] / 30) * (SVG_HEIGHT / 2);
+      return `${getXPosFromFrequency(freq)},${Math.max(0, Math.min(SVG_HEIGHT, y))}`;
+    });
 
     return (
       <polyline
@@ -466,12 +801,47 @@ const Controls = forwardRef(function Controls(
         stroke={COLORS.TEXT}
         strokeWidth="2"
         fill="none"
-        opacity="0.6"
+        opacity="0.5"
         pointerEvents="none"
       />
     );
   }
 
+  /**
+   * Render the combined phase response as a dashed overlay
+   * ±180° maps to the ±25 dB grid lines; the path is broken where the
+   * wrapped phase jumps between -180° and +180°
+   */
+  function renderPhaseResponse() {
+    if (!eqActive || !phaseEnabled || !frequencyResponse) return null;
+
+    const { frequencies: responseFrequencies, phaseDeg } = frequencyResponse;
+    const phaseScale = ((SVG_HEIGHT / 2) * (25 / 30)) / 180;
+    const segments = responseFrequencies.map((freq, i) => {
+      const x = getXPosFromFrequency(freq);
+      const y = CENTER_Y - phaseDeg[i] * phaseScale;
+      const jump = i > 0 && Math.abs(phaseDeg[i] - phaseDeg[i - 1]) > 180;
+      return `${i === 0 || jump ? "M" : "L"} ${x} ${y}`;
+    });
+
+    return (
+      <path
+        d={segments.join(" ")}
+        stroke={COLORS.POINT}
+        strokeWidth="1.5"
+        strokeDasharray="6 4"
+        fill="none"
+        opacity="0.8"
+        pointerEvents="none"
+      />
+    );
+  }
+
+  // Band whose filter type menu is open (null for cut handles)
+  const menuBand = typeMenu?.bandId
+    ? eqBands.find((band) => band.id === typeMenu.bandId)
+    : null;
+
   return (
     <div className="flex overflow-hidden">
       {/* ===== LEFT SIDEBAR: VOLUME CONTROL ===== */}
@@ -510,6 +880,20 @@ const Controls = forwardRef(function Controls(
             }}
             onMouseDown={onVolumeStart}
           >
+            {/* Output level meters (L/R, -60 to 0 dBFS) left of the track */}
+            <div className="absolute inset-y-0 -left-3 flex gap-px">
+              {[0, 1].map((ch) => (
+                <LevelMeter
+                  key={ch}
+                  getLevels={() => getMeterFrame()?.levels}
+                  channel={ch}
+                  colors={COLORS}
+                  vertical
+                  className="w-0.5 h-full"
+                />
+              ))}
+            </div>
+
             <div
               className="absolute w-9 h-1.5 -left-4.25 cursor-pointer"
               style={{
@@ -517,12 +901,80 @@ const Controls = forwardRef(function Controls(
                 bottom: `${getSliderPosition(volume)}%`,
               }}
             />
+
+            {/* Limiter gain reduction meter (hangs from the top, 0 to -24 dB) */}
+            {limiterEnabled && (
+              <div
+                className="absolute top-0 left-2 w-0.5 pointer-events-none"
+                style={{
+                  backgroundColor: COLORS.TEXT,
+                  height: `${Math.min(1, -limiterGainReduction / 24) * 100}%`,
+                }}
+              />
+            )}
           </div>
+
+          {/* Limiter gain reduction readout */}
+          <div
+            className="text-[10px] mt-1 select-none whitespace-nowrap"
+            title="Safety limiter gain reduction"
+          >
+            {limiterEnabled
+              ? `GR ${limiterGainReduction.toFixed(1)}`
+              : "limit off"}
+          </div>
+
+          {/* Latching clip light (click to reset) */}
+          <button
+            onClick={onResetClip}
+            disabled={!clipped}
+            style={{
+              borderColor: COLORS.TEXT,
+              backgroundColor: clipped ? COLORS.TEXT : "transparent",
+              color: clipped ? COLORS.BACKGROUND : `${COLORS.TEXT}80`,
+              cursor: clipped ? "pointer" : "default",
+            }}
+            className="text-[10px] mt-1 px-1 border rounded-xs select-none"
+            title={
+              clipped
+                ? "Output reached 0 dBFS - click to reset"
+                : "Lights up when the output reaches 0 dBFS"
+            }
+          >
+            clip
+          </button>
         </div>
       </aside>
 
       {/* ===== MAIN: EQ VISUALIZATION ===== */}
       <main className="w-[730px] h-[365px] relative">
+        {/* SPECTRUM VISUALIZER (canvas below the SVG, own render loop) */}
+        <SpectrumCanvas
+          ref={spectrumRef}
+          tabId={tabId}
+          enabled={eqActive && spectrumEnabled}
+          view={spectrumView}
+          renderStyle={analyserSettings.style}
+          peakDecay={analyserSettings.peakDecay}
+          averageSeconds={analyserSettings.averageSeconds}
+          snapshots={spectrumSnapshots}
+          colors={{
+            output: COLORS.TEXT,
+            input: COLORS.SHELF,
+            difference: COLORS.POINT,
+            peak: COLORS.POINT,
+            snapshot: COLORS.POINT,
+            waterfall: [COLORS.SHELF, COLORS.TEXT, COLORS.POINT],
+          }}
+          dbRange={analyserSettings}
+          axis={analyserSettings.axis}
+          getXPosFromFrequency={
+            analyserSettings.axis === "linear"
+              ? getLinearXPosFromFrequency
+              : getXPosFromFrequency
+          }
+        />
+
         <svg
           ref={svgRef}
           className="absolute inset-0 w-full h-full border"
@@ -531,14 +983,18 @@ const Controls = forwardRef(function Controls(
           }}
           viewBox="0 0 1000 500"
           preserveAspectRatio="none"
+          onDoubleClick={handleGraphDoubleClick}
+          onMouseDown={(e) => {
+            // Clicking the empty graph clears the band selection
+            if (e.target === e.currentTarget) setSelectedBandId(null);
+          }}
         >
           {/* SVG Defs for Gradients */}
           <defs>
-            {frequencies.map((freq, index) => {
-              const isShelf = index === 2 || index === 12;
-              const nodeColor = isShelf ? COLORS.SHELF : COLORS.POINT;
-              const nodePos = getNodePosition(index);
-              const cy = nodePos.y;
+            {eqBands.map((band) => {
+              const isBell = band.type === "peaking";
+              const nodeColor = isBell ? COLORS.POINT : COLORS.SHELF;
+              const cy = getNodePosition(band).y;
 
               // Gradient transitions from node color at peak (cy) to dark at center (250)
               const y1 = Math.min(cy, CENTER_Y);
@@ -546,8 +1002,8 @@ const Controls = forwardRef(function Controls(
 
               return (
                 <linearGradient
-                  key={`grad-${freq}`}
-                  id={`gradient-${index}`}
+                  key={`grad-${band.id}`}
+                  id={`gradient-${band.id}`}
                   x1="0%"
                   y1={`${y1}`}
                   x2="0%"
@@ -571,8 +1027,21 @@ const Controls = forwardRef(function Controls(
             })}
           </defs>
 
-          {/* SPECTRUM VISUALIZER LINE */}
-          {renderSpectrumLine()}
+          {/* PREAMP READOUT (top right, only when non-zero) */}
+          {Math.abs(preampDb) >= 0.05 && (
+            <text
+              x={SVG_WIDTH - X_AXIS_END - 5}
+              y="50"
+              fontSize="18"
+              fill={COLORS.TEXT}
+              textAnchor="end"
+              className="select-none"
+              pointerEvents="none"
+            >
+              preamp {preampDb > 0 ? "+" : ""}
+              {preampDb.toFixed(1)} dB
+            </text>
+          )}
 
           {/* Y-AXIS: Gain Labels (-25 to +25 dB) */}
           {[25, 20, 15, 10, 5, 0, -5, -10, -15, -20, -25].map((label) => {
@@ -602,33 +1071,12 @@ const Controls = forwardRef(function Controls(
             );
           })}
 
-          {/* X-AXIS: Frequency Bands with EQ Nodes */}
+          {/* X-AXIS: Frequency markings */}
           {frequencies.map((freq, index) => {
             const xPos = getBaseXPos(index);
-            const nodePos = getNodePosition(index);
-            const bellCurvePath = generateBellCurve(
-              index,
-              nodePositions,
-              nodeBaseQValues,
-              frequencies,
-              SVG_WIDTH,
-              SVG_HEIGHT,
-              CENTER_Y,
-              X_AXIS_START,
-              X_AXIS_END,
-              USABLE_WIDTH,
-              GEOMETRIC_RATIO,
-              getBaseXPos,
-              getNodePosition,
-              getFrequencyFromXPos,
-            );
-
-            // Determine node type: shelf (index 2, 12) or mid-range EQ (index 3-11)
-            const isShelf = index === 2 || index === 12;
-            const isNode = index >= 2 && index <= 12;
 
             return (
-              <g key={`band-${freq}`}>
+              <g key={`axis-${freq}`}>
                 {/* Frequency band tick marks */}
                 <line
                   x1={xPos}
@@ -671,12 +1119,233 @@ const Controls = forwardRef(function Controls(
                 >
                   {freq}
                 </text>
+              </g>
+            );
+          })}
+
+          {/* MULTIBAND COMPRESSOR: crossover handles and per-band gain reduction */}
+          {eqActive && multibandSettings.enabled && (
+            <g>
+              {multibandSettings.crossovers.map((frequency, i) => {
+                const x = getXPosFromFrequency(frequency);
+                const isActive = draggingCrossover === i;
+
+                return (
+                  <g key={`crossover-${i}`}>
+                    <line
+                      x1={x}
+                      y1={CROSSOVER_HANDLE_Y}
+                      x2={x}
+                      y2={CUT_HANDLE_Y}
+                      stroke={COLORS.TEXT}
+                      strokeWidth="1"
+                      strokeDasharray="4 6"
+                      opacity="0.6"
+                      pointerEvents="none"
+                    />
+                    <rect
+                      x={x - CROSSOVER_HANDLE_SIZE / 2}
+                      y={CROSSOVER_HANDLE_Y - CROSSOVER_HANDLE_SIZE / 2}
+                      width={CROSSOVER_HANDLE_SIZE}
+                      height={CROSSOVER_HANDLE_SIZE}
+                      transform={`rotate(45 ${x} ${CROSSOVER_HANDLE_Y})`}
+                      fill={COLORS.TEXT}
+                      stroke={isActive ? "rgb(255 195 0)" : COLORS.TEXT}
+                      strokeWidth={isActive ? "2" : "1"}
+                      className="cursor-ew-resize"
+                      onMouseDown={(e) => handleCrossoverMouseDown(i, e)}
+                      onDoubleClick={(e) => e.stopPropagation()}
+                    />
+                    <text
+                      x={x + CROSSOVER_HANDLE_SIZE}
+                      y={CROSSOVER_HANDLE_Y + 5}
+                      fontSize="14"
+                      fill={COLORS.TEXT}
+                      className="select-none"
+                      pointerEvents="none"
+                    >
+                      {formatFrequency(frequency)}
+                    </text>
+                  </g>
+                );
+              })}
+
+              {/* Gain reduction centered in each band */}
+              {multibandSettings.bands.map((_, i) => {
+                const { crossovers } = multibandSettings;
+                const left =
+                  i === 0
+                    ? X_AXIS_START
+                    : getXPosFromFrequency(crossovers[i - 1]);
+                const right =
+                  i === crossovers.length
+                    ? SVG_WIDTH - X_AXIS_END
+                    : getXPosFromFrequency(crossovers[i]);
+
+                return (
+                  <text
+                    key={`band-gr-${i}`}
+                    x={(left + right) / 2}
+                    y={CROSSOVER_HANDLE_Y + 30}
+                    fontSize="14"
+                    fill={COLORS.TEXT}
+                    textAnchor="middle"
+                    className="select-none"
+                    pointerEvents="none"
+                  >
+                    GR {(multibandGainReduction[i] ?? 0).toFixed(1)}
+                  </text>
+                );
+              })}
+            </g>
+          )}
+
+          {/* EQ BANDS: individual response curves (dynamic bells at their maximum gain) */}
+          {sampleRate &&
+            eqBands.map((band) => {
+              const bellCurvePath = generateBellCurve(
+                band,
+                frequencies,
+                SVG_HEIGHT,
+                CENTER_Y,
+                X_AXIS_START,
+                USABLE_WIDTH,
+                GEOMETRIC_RATIO,
+                sampleRate,
+              );
+              if (!bellCurvePath) return null;
+
+              return (
+                <path
+                  key={`curve-${band.id}`}
+                  d={bellCurvePath.path}
+                  stroke={
+                    bellCurvePath.usesGain
+                      ? `url(#gradient-${band.id})`
+                      : COLORS.SHELF
+                  }
+                  strokeWidth="2"
+                  fill="none"
+                  opacity="0.6"
+                  pointerEvents="none"
+                />
+              );
+            })}
+
+          {/* COMBINED RESPONSE (thick line over the individual curves) */}
+          {renderPhaseResponse()}
+          {renderOtherCurveResponse()}
+          {renderCombinedResponse()}
+
+          {/* EQ BANDS: draggable nodes */}
+          {eqBands.map((band) => {
+            const nodePos = getNodePosition(band);
+
+            // Determine node type: bell (peaking) nodes use the point color,
+            // all other filter types use the shelf color
+            const isBell = band.type === "peaking";
+            const isActive =
+              draggingNode === band.id ||
+              typeMenu?.bandId === band.id ||
+              selectedBandId === band.id;
+            const typeLabel = isBell
+              ? band.dynamic
+                ? "D"
+                : null
+              : FILTER_TYPES.find((t) => t.type === band.type)?.short;
 
-                {/* Bell curve visualization */}
-                {bellCurvePath && (
+            return (
+              <g key={`band-${band.id}`}>
+                {/* Dynamic bell: range from 0 dB to the node, and the live gain */}
+                {band.dynamic && (
+                  <>
+                    <line
+                      x1={nodePos.x}
+                      y1={CENTER_Y}
+                      x2={nodePos.x}
+                      y2={nodePos.y}
+                      stroke={COLORS.POINT}
+                      strokeWidth="1"
+                      strokeDasharray="3 3"
+                      opacity="0.8"
+                      pointerEvents="none"
+                    />
+                    <DynamicGainMarker
+                      cx={nodePos.x}
+                      getCy={() => getAppliedGainY(band)}
+                      r={NODE_RADIUS / 2}
+                      fill={COLORS.POINT}
+                    />
+                  </>
+                )}
+
+                {/* Draggable EQ Node Circle */}
+                <circle
+                  cx={nodePos.x}
+                  cy={nodePos.y}
+                  r={NODE_RADIUS}
+                  fill={
+                    draggingNode === band.id || band.dynamic
+                      ? COLORS.BACKGROUND
+                      : isBell
+                        ? COLORS.POINT
+                        : COLORS.SHELF
+                  }
+                  stroke={
+                    isActive
+                      ? "rgb(255 195 0)"
+                      : isBell
+                        ? COLORS.POINT
+                        : COLORS.SHELF
+                  }
+                  strokeWidth={isActive ? "2" : "1"}
+                  className="cursor-pointer"
+                  onMouseDown={(e) => handleNodeMouseDown(band.id, e)}
+                  onDoubleClick={(e) => e.stopPropagation()}
+                  onContextMenu={(e) => handleNodeContextMenu(band.id, e)}
+                />
+
+                {/* Filter type label (all types except bell) */}
+                {typeLabel && (
+                  <text
+                    x={nodePos.x}
+                    y={nodePos.y - NODE_RADIUS - 6}
+                    fontSize="16"
+                    fill={COLORS.TEXT}
+                    textAnchor="middle"
+                    className="select-none"
+                    pointerEvents="none"
+                  >
+                    {typeLabel}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+
+          {/* CUT FILTERS: high-pass/low-pass curves and edge handles */}
+          {["highpass", "lowpass"].map((type) => {
+            const settings = cutSettings[type];
+            const handleX = getXPosFromFrequency(settings.frequency);
+            const isActive = draggingCut === type || typeMenu?.cut === type;
+
+            return (
+              <g key={`cut-${type}`}>
+                {/* Cascaded cut filter response */}
+                {settings.enabled && sampleRate && (
                   <path
-                    d={bellCurvePath.path}
-                    stroke={`url(#gradient-${index})`}
+                    d={generateCutCurve(
+                      type,
+                      settings,
+                      frequencies,
+                      SVG_HEIGHT,
+                      CENTER_Y,
+                      X_AXIS_START,
+                      USABLE_WIDTH,
+                      GEOMETRIC_RATIO,
+                      sampleRate,
+                    )}
+                    stroke={COLORS.TEXT}
                     strokeWidth="2"
                     fill="none"
                     opacity="0.6"
@@ -684,35 +1353,275 @@ const Controls = forwardRef(function Controls(
                   />
                 )}
 
-                {/* Draggable EQ Node Circle */}
-                {isNode && (
-                  <circle
-                    cx={nodePos.x}
-                    cy={nodePos.y}
-                    r={NODE_RADIUS}
-                    fill={
-                      draggingNode === index
-                        ? COLORS.BACKGROUND
-                        : isShelf
-                          ? COLORS.SHELF
-                          : COLORS.POINT
-                    }
-                    stroke={
-                      draggingNode === index
-                        ? "rgb(255 195 0)"
-                        : isShelf
-                          ? COLORS.SHELF
-                          : COLORS.POINT
-                    }
-                    strokeWidth={draggingNode === index ? "2" : "1"}
-                    className="cursor-pointer"
-                    onMouseDown={(e) => handleNodeMouseDown(index, e)}
-                  />
-                )}
+                {/* Draggable cutoff handle (hollow while the filter is off) */}
+                <rect
+                  x={handleX - CUT_HANDLE_SIZE / 2}
+                  y={CUT_HANDLE_Y - CUT_HANDLE_SIZE / 2}
+                  width={CUT_HANDLE_SIZE}
+                  height={CUT_HANDLE_SIZE}
+                  rx="2"
+                  fill={settings.enabled ? COLORS.TEXT : COLORS.BACKGROUND}
+                  stroke={isActive ? "rgb(255 195 0)" : COLORS.TEXT}
+                  strokeWidth={isActive ? "2" : "1"}
+                  className="cursor-ew-resize"
+                  onMouseDown={(e) => handleCutMouseDown(type, e)}
+                  onDoubleClick={(e) => e.stopPropagation()}
+                  onContextMenu={(e) => handleCutContextMenu(type, e)}
+                />
+
+                {/* Handle label with slope while enabled */}
+                <text
+                  x={handleX}
+                  y={CUT_HANDLE_Y - CUT_HANDLE_SIZE / 2 - 6}
+                  fontSize="16"
+                  fill={COLORS.TEXT}
+                  textAnchor="middle"
+                  className="select-none"
+                  pointerEvents="none"
+                >
+                  {type === "highpass" ? "HP" : "LP"}
+                  {settings.enabled && ` ${settings.slope}`}
+                </text>
               </g>
             );
           })}
         </svg>
+
+        {/* BS.1770 loudness readout (top left, right of the dB labels) */}
+        {loudnessEnabled && eqActive && (
+          <div
+            className="absolute top-1 left-24 flex items-center gap-2 text-xs select-none"
+            style={{ color: COLORS.TEXT }}
+          >
+            <span title="Momentary loudness (400 ms)">
+              M {formatLoudness(loudness?.momentary)}
+            </span>
+            <span title="Short-term loudness (3 s)">
+              S {formatLoudness(loudness?.shortTerm)}
+            </span>
+            <span title="Integrated loudness since the last reset">
+              I {formatLoudness(loudness?.integrated)} LUFS
+            </span>
+            <span title="Highest true peak since the last reset">
+              TP {formatLoudness(loudness?.truePeak)} dBTP
+            </span>
+            <ToggleButton
+              active={false}
+              colors={COLORS}
+              onClick={onResetLoudness}
+            >
+              Reset
+            </ToggleButton>
+          </div>
+        )}
+
+        {/* Graph overlay toggles (top right corner) */}
+        <div className="absolute top-1 right-1 flex gap-1">
+          {/* Spectrum views: pre-EQ vs post-EQ traces, or their difference */}
+          {spectrumEnabled && (
+            <>
+              <ToggleButton
+                active={spectrumView === "compare"}
+                disabled={!eqActive}
+                colors={COLORS}
+                onClick={() =>
+                  setSpectrumView(
+                    spectrumView === "compare" ? "output" : "compare",
+                  )
+                }
+              >
+                In/Out
+              </ToggleButton>
+              <ToggleButton
+                active={spectrumView === "difference"}
+                disabled={!eqActive}
+                colors={COLORS}
+                onClick={() =>
+                  setSpectrumView(
+                    spectrumView === "difference" ? "output" : "difference",
+                  )
+                }
+              >
+                Diff
+              </ToggleButton>
+              <ToggleButton
+                active={false}
+                disabled={!eqActive}
+                colors={COLORS}
+                onClick={handleFreezeSpectrum}
+              >
+                Freeze
+              </ToggleButton>
+              {spectrumSnapshots.length > 0 && (
+                <ToggleButton
+                  active={false}
+                  colors={COLORS}
+                  onClick={() => setSpectrumSnapshots([])}
+                >
+                  Clear ({spectrumSnapshots.length})
+                </ToggleButton>
+              )}
+            </>
+          )}
+          {/* Edited curve while left/right or mid/side are split */}
+          {EQ_CHANNEL_MODES.find(
+            ({ mode }) => mode === eqChannelMode,
+          )?.curves.map((label, curve) => (
+            <ToggleButton
+              key={label}
+              active={editedCurve === curve}
+              disabled={!eqActive}
+              colors={COLORS}
+              onClick={() => onEditedCurveChange(curve)}
+            >
+              {label}
+            </ToggleButton>
+          ))}
+          <ToggleButton
+            active={loudnessEnabled}
+            disabled={!eqActive}
+            colors={COLORS}
+            onClick={() => setLoudnessEnabled(!loudnessEnabled)}
+          >
+            LUFS
+          </ToggleButton>
+          <ToggleButton
+            active={phaseEnabled}
+            disabled={!eqActive}
+            colors={COLORS}
+            onClick={() => setPhaseEnabled(!phaseEnabled)}
+          >
+            Phase
+          </ToggleButton>
+          <ToggleButton
+            active={nightModeActive}
+            disabled={!eqActive}
+            colors={COLORS}
+            onClick={onNightModeToggle}
+          >
+            Night
+          </ToggleButton>
+        </div>
+
+        {/* Filter type / slope menu (opened by right-clicking a node or cut handle) */}
+        {typeMenu && (
+          <div
+            data-type-menu
+            className="absolute z-10 flex flex-col border rounded-xs text-xs py-0.5"
+            style={{
+              left: Math.min(typeMenu.left, 730 - 130),
+              top: Math.min(typeMenu.top, 365 - 200),
+              borderColor: COLORS.TEXT,
+              backgroundColor: COLORS.BACKGROUND,
+              color: COLORS.TEXT,
+            }}
+            onContextMenu={(e) => e.preventDefault()}
+          >
+            {typeMenu.cut ? (
+              // Cut filter handle: slope choices
+              [null, ...CUT_SLOPES].map((slope) => {
+                const settings = cutSettings[typeMenu.cut];
+                const isCurrent =
+                  slope === null
+                    ? !settings.enabled
+                    : settings.enabled && settings.slope === slope;
+                return (
+                  <button
+                    key={slope ?? "off"}
+                    onClick={() => handleCutSlopeChange(typeMenu.cut, slope)}
+                    style={
+                      isCurrent
+                        ? {
+                            backgroundColor: COLORS.TEXT,
+                            color: COLORS.BACKGROUND,
+                          }
+                        : {}
+                    }
+                    className="px-2 text-left cursor-pointer whitespace-nowrap hover:underline"
+                  >
+                    {slope === null ? "Off" : `${slope} dB/oct`}
+                  </button>
+                );
+              })
+            ) : (
+              // EQ node: filter types and delete
+              <>
+                {FILTER_TYPES.map(({ type, label }) => {
+                  const isCurrent =
+                    eqBands.find((b) => b.id === typeMenu.bandId)?.type ===
+                    type;
+                  return (
+                    <button
+                      key={type}
+                      onClick={() =>
+                        handleFilterTypeChange(typeMenu.bandId, type)
+                      }
+                      style={
+                        isCurrent
+                          ? {
+                              backgroundColor: COLORS.TEXT,
+                              color: COLORS.BACKGROUND,
+                            }
+                          : {}
+                      }
+                      className="px-2 text-left cursor-pointer whitespace-nowrap hover:underline"
+                    >
+                      {label}
+                    </button>
+                  );
+                })}
+                {menuBand?.type === "peaking" && (
+                  <>
+                    <button
+                      onClick={() => handleDynamicToggle(typeMenu.bandId)}
+                      style={{
+                        borderColor: `${COLORS.TEXT}80`,
+                        ...(menuBand.dynamic
+                          ? {
+                              backgroundColor: COLORS.TEXT,
+                              color: COLORS.BACKGROUND,
+                            }
+                          : {}),
+                      }}
+                      className="px-2 mt-0.5 pt-0.5 border-t text-left cursor-pointer whitespace-nowrap hover:underline"
+                    >
+                      Dynamic
+                    </button>
+                    {menuBand.dynamic && (
+                      <label
+                        className="px-2 flex items-center gap-1 whitespace-nowrap select-none"
+                        title="Level at which the band starts to act; the node sets the maximum cut or boost"
+                      >
+                        <input
+                          type="range"
+                          min={DYNAMIC_EQ_MIN_THRESHOLD}
+                          max={0}
+                          step={1}
+                          value={menuBand.threshold}
+                          onChange={(e) =>
+                            updateBand(typeMenu.bandId, {
+                              threshold: parseFloat(e.target.value),
+                            })
+                          }
+                          className="w-16 cursor-pointer"
+                          style={{ accentColor: COLORS.TEXT }}
+                        />
+                        {menuBand.threshold} dB
+                      </label>
+                    )}
+                  </>
+                )}
+                <button
+                  onClick={() => handleDeleteBand(typeMenu.bandId)}
+                  className="px-2 mt-0.5 pt-0.5 border-t text-left cursor-pointer whitespace-nowrap hover:underline"
+                  style={{ borderColor: `${COLORS.TEXT}80` }}
+                >
+                  Delete band
+                </button>
+              </>
+            )}
+          </div>
+        )}
       </main>
     </div>
   );
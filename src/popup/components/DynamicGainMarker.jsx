@@ -0,0 +1,41 @@
+import { useEffect, useRef } from "react";
+
+/**
+ * DynamicGainMarker Component - live gain dot of a dynamic EQ band
+ *
+ * Its vertical position is read by a requestAnimationFrame loop and set
+ * straight on the circle, so the streamed gain never re-renders Controls.
+ *
+ * Props:
+ * - cx: node X position in the EQ graph viewbox
+ * - getCy: () => Y position of the gain the band currently applies
+ * - r: dot radius
+ * - fill: dot color
+ */
+export default function DynamicGainMarker({ cx, getCy, r, fill }) {
+  const circleRef = useRef(null);
+
+  // Latest position source for the draw loop (updated after every render)
+  const getCyRef = useRef(getCy);
+  useEffect(() => {
+    getCyRef.current = getCy;
+  });
+
+  // Move the dot to the newest gain on each animation frame
+  useEffect(() => {
+    const circle = circleRef.current;
+    let animationFrameId;
+
+    function draw() {
+      animationFrameId = requestAnimationFrame(draw);
+      circle.setAttribute("cy", getCyRef.current());
+    }
+    draw();
+
+    return () => cancelAnimationFrame(animationFrameId);
+  }, []);
+
+  return (
+    <circle ref={circleRef} cx={cx} r={r} fill={fill} pointerEvents="none" />
+  );
+}
@@ -0,0 +1,145 @@
+import { useState } from "react";
+
+/**
+ * Shared building blocks for the Effects tab panels.
+ * All controls are themed through the COLORS object of the active theme.
+ */
+
+/**
+ * Titled group of controls for a single processing stage
+ *
+ * Props:
+ * - title: section heading
+ * - colors: active theme colors
+ * - actions: optional elements rendered right of the title (toggles, buttons)
+ */
+export function EffectSection({ title, colors, actions = null, children }) {
+  return (
+    <section
+      className="border rounded-xs px-2 py-1 mb-2"
+      style={{ borderColor: `${colors.TEXT}80` }}
+    >
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="font-bold select-none">{title}</h3>
+        <div className="flex gap-1">{actions}</div>
+      </div>
+      {children}
+    </section>
+  );
+}
+
+/**
+ * Labelled range slider with formatted value readout
+ *
+ * Props:
+ * - label: parameter name
+ * - value, min, max, step: slider range
+ * - unit: appended to the readout (e.g. "dB", "ms")
+ * - format: optional value formatter (defaults to fixed decimals from step)
+ * - onChange: callback(number)
+ */
+export function ParamSlider({
+  label,
+  value,
+  min,
+  max,
+  step = 1,
+  unit = "",
+  format,
+  disabled = false,
+  colors,
+  onChange,
+}) {
+  const decimals =
+    step < 1 ? Math.min(2, String(step).split(".")[1].length) : 0;
+  const readout = format ? format(value) : Number(value).toFixed(decimals);
+
+  return (
+    <label
+      className="flex items-center gap-2 text-xs select-none"
+      style={{ opacity: disabled ? 0.5 : 1 }}
+    >
+      <span className="w-24 shrink-0">{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        disabled={disabled}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        className="flex-1 cursor-pointer"
+        style={{ accentColor: colors.TEXT }}
+      />
+      <span className="w-16 shrink-0 text-right">
+        {readout}
+        {unit && ` ${unit}`}
+      </span>
+    </label>
+  );
+}
+
+/**
+ * Gain reduction bar with dB readout (0 to -24 dB fills the bar)
+ *
+ * Props:
+ * - label: row label
+ * - db: current gain reduction in dB (<= 0)
+ */
+export function ReductionMeter({ label = "Reduction", db, colors }) {
+  return (
+    <div className="flex items-center gap-2 text-xs select-none">
+      <span className="w-24 shrink-0">{label}</span>
+      <div
+        className="flex-1 h-1.5 relative"
+        style={{ backgroundColor: `${colors.TEXT}30` }}
+      >
+        <div
+          className="absolute inset-y-0 left-0"
+          style={{
+            backgroundColor: colors.TEXT,
+            width: `${Math.min(1, -db / 24) * 100}%`,
+          }}
+        />
+      </div>
+      <span className="w-16 shrink-0 text-right">{db.toFixed(1)} dB</span>
+    </div>
+  );
+}
+
+/**
+ * Small bordered toggle button (filled while active or hovered)
+ *
+ * Props:
+ * - active: current on/off state
+ * - onClick: click handler
+ */
+export function ToggleButton({
+  active,
+  disabled = false,
+  colors,
+  onClick,
+  children,
+}) {
+  const [hovered, setHovered] = useState(false);
+  const filled = active || (hovered && !disabled);
+
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      style={{
+        borderColor: colors.TEXT,
+        backgroundColor: filled ? colors.TEXT : "transparent",
+        color: filled ? colors.BACKGROUND : colors.TEXT,
+        opacity: disabled ? 0.5 : 1,
+        cursor: disabled ? "not-allowed" : "pointer",
+      }}
+      className="px-1.5 text-xs border rounded-xs whitespace-nowrap"
+      onMouseEnter={() => setHovered(true)}
+      onMouseLeave={() => setHovered(false)}
+    >
+      {children}
+    </button>
+  );
+}
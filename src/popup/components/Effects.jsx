@@ -0,0 +1,902 @@
+import {
+  EffectSection,
+  ParamSlider,
+  ReductionMeter,
+  ToggleButton,
+} from "./EffectControls";
+import { formatFrequency, EQ_CHANNEL_MODES } from "./graphs";
+
+// FFT sizes offered for the spectrum analyser (must match offscreen/analyser.js)
+const ANALYSER_FFT_SIZES = [512, 1024, 2048, 4096, 8192, 16384, 32768];
+
+// Spectrum visualizer rendering styles
+const SPECTRUM_STYLES = [
+  { value: "line", label: "Line" },
+  { value: "filled", label: "Filled" },
+  { value: "peak", label: "Peak hold" },
+  { value: "waterfall", label: "Waterfall" },
+];
+
+// Crossfeed strength presets (cutoff Hz, feed dB), the three classic BS2B
+// levels (Jan Meier, Chu Moy, BS2B default); a lower feed is stronger
+const CROSSFEED_PRESETS = [
+  { label: "Light", cutoff: 650, feed: 9.5 },
+  { label: "Medium", cutoff: 700, feed: 6 },
+  { label: "Strong", cutoff: 700, feed: 4.5 },
+];
+
+// Multiband compressor band names by band count (low to high)
+const MULTIBAND_BAND_NAMES = {
+  3: ["Low", "Mid", "High"],
+  4: ["Low", "Low mid", "High mid", "High"],
+};
+
+// Long-term averaging options (seconds, 0 = live trace)
+const AVERAGE_OPTIONS = [
+  { value: 0, label: "Off" },
+  { value: 10, label: "10 s" },
+  { value: 30, label: "30 s" },
+];
+
+/**
+ * Effects Component - processing stages around the EQ
+ *
+ * Props:
+ * - limiterSettings: { enabled, ceiling (dBFS), release (ms) }
+ * - onLimiterChange: callback(partialSettings)
+ * - limiterGainReduction: latest gain reduction in dB (<= 0)
+ * - preampSettings: { auto, manual (dB) }
+ * - onPreampChange: callback(partialSettings)
+ * - preampDb: preamp gain currently applied before the EQ (dB)
+ * - compressorSettings: { enabled, threshold (dBFS), ratio, knee (dB),
+ *   attack, release (ms), makeup (dB) }
+ * - onCompressorChange: callback(partialSettings)
+ * - compressorGainReduction: latest compressor gain reduction in dB (<= 0)
+ * - nightModeActive: whether the night mode compressor preset is running
+ * - onNightModeToggle: callback() switching night mode on or off
+ * - multibandSettings: { enabled, crossovers (Hz), bands: [{ threshold (dBFS), ratio }] }
+ * - onMultibandChange: callback(partialSettings) - crossovers/bands as full lists
+ * - onMultibandBandCountChange: callback(3 | 4)
+ * - multibandGainReduction: latest gain reduction of each band in dB (<= 0)
+ * - agcSettings: { enabled, target (LUFS), attack, release (dB/s), maxBoost (dB) }
+ * - onAgcChange: callback(partialSettings)
+ * - stereoSettings: { balance (-1..1), width (0..2), mono, swap }
+ * - onStereoChange: callback(partialSettings)
+ * - eqChannelMode: "stereo" | "lr" | "ms" - one EQ curve or separate curves
+ * - onEqChannelModeChange: callback(mode)
+ * - karaokeSettings: { enabled, mode ("remove" | "isolate"), mix (0..1) }
+ * - onKaraokeChange: callback(partialSettings)
+ * - crossfeedSettings: { enabled, cutoff (Hz), feed (dB) }
+ * - onCrossfeedChange: callback(partialSettings)
+ * - virtualizerSettings: { enabled, angle (degrees), distance (m) }
+ * - onVirtualizerChange: callback(partialSettings)
+ * - dialogueSettings: { enabled, intensity (0..1), centerFocus }
+ * - onDialogueChange: callback(partialSettings)
+ * - virtualBassSettings: { enabled, frequency (Hz), harmonics (0..1), cut (dB) }
+ * - onVirtualBassChange: callback(partialSettings)
+ * - analyserSettings: { fftSize, smoothing, minDb, maxDb, axis ("log" | "linear"),
+ *   style ("line" | "filled" | "peak" | "waterfall"), peakDecay (dB/s),
+ *   averageSeconds (0, 10 or 30) }
+ * - onAnalyserChange: callback(partialSettings)
+ * - eqActive: disables controls when EQ is not running for this tab
+ */
+export default function Effects({
+  themes = [],
+  themeIndex = 0,
+  eqActive = true,
+  limiterSettings,
+  onLimiterChange,
+  limiterGainReduction = 0,
+  preampSettings,
+  onPreampChange,
+  preampDb = 0,
+  compressorSettings,
+  onCompressorChange,
+  compressorGainReduction = 0,
+  nightModeActive = false,
+  onNightModeToggle,
+  multibandSettings,
+  onMultibandChange,
+  onMultibandBandCountChange,
+  multibandGainReduction = [],
+  agcSettings,
+  onAgcChange,
+  stereoSettings,
+  onStereoChange,
+  eqChannelMode = "stereo",
+  onEqChannelModeChange,
+  karaokeSettings,
+  onKaraokeChange,
+  crossfeedSettings,
+  onCrossfeedChange,
+  virtualizerSettings,
+  onVirtualizerChange,
+  dialogueSettings,
+  onDialogueChange,
+  virtualBassSettings,
+  onVirtualBassChange,
+  analyserSettings,
+  onAnalyserChange,
+}) {
+  const COLORS = themes[themeIndex] || {};
+
+  // Update one multiband band's threshold or ratio
+  function handleMultibandBandChange(index, changes) {
+    onMultibandChange({
+      bands: multibandSettings.bands.map((band, i) =>
+        i === index ? { ...band, ...changes } : band,
+      ),
+    });
+  }
+
+  return (
+    <div className="w-[730px] h-[365px] ml-13 flex">
+      <div
+        className="w-full pt-0.5 text-sm overflow-y-auto h-full scrollbar-none"
+        style={{ color: COLORS.TEXT }}
+      >
+        {/* ===== STEREO TOOLS ===== */}
+        <EffectSection
+          title="Stereo"
+          colors={COLORS}
+          actions={
+            <>
+              <ToggleButton
+                active={stereoSettings.mono}
+                disabled={!eqActive}
+                colors={COLORS}
+                onClick={() => onStereoChange({ mono: !stereoSettings.mono })}
+              >
+                Mono
+              </ToggleButton>
+              <ToggleButton
+                active={stereoSettings.swap}
+                disabled={!eqActive}
+                colors={COLORS}
+                onClick={() => onStereoChange({ swap: !stereoSettings.swap })}
+              >
+                Swap L/R
+              </ToggleButton>
+            </>
+          }
+        >
+          <ParamSlider
+            label="Balance"
+            value={stereoSettings.balance}
+            min={-1}
+            max={1}
+            step={0.01}
+            format={(v) =>
+              Math.abs(v) < 0.005
+                ? "C"
+                : `${Math.round(Math.abs(v) * 100)}${v < 0 ? "L" : "R"}`
+            }
+            disabled={!eqActive}
+            colors={COLORS}
+            onChange={(balance) => onStereoChange({ balance })}
+          />
+          <ParamSlider
+            label="Width"
+            value={stereoSettings.width}
+            min={0}
+            max={2}
+            step={0.01}
+            format={(v) => `${Math.round(v * 100)}%`}
+            disabled={!eqActive || stereoSettings.mono}
+            colors={COLORS}
+            onChange={(width) => onStereoChange({ width })}
+          />
+        </EffectSection>
+
+        {/* ===== EQ CHANNELS ===== */}
+        <EffectSection
+          title="EQ Channels"
+          colors={COLORS}
+          actions={EQ_CHANNEL_MODES.map(({ mode, label }) => (
+            <ToggleButton
+              key={mode}
+              active={eqChannelMode === mode}
+              disabled={!eqActive}
+              colors={COLORS}
+              onClick={() => onEqChannelModeChange(mode)}
+            >
+              {label}
+            </ToggleButton>
+          ))}
+        >
+          <div className="text-xs select-none">
+            {eqChannelMode === "stereo"
+              ? "One EQ curve for both channels"
+              : `Separate ${eqChannelMode === "lr" ? "left/right" : "mid/side"} curves, picked with ${EQ_CHANNEL_MODES.find(
+                  ({ mode }) => mode === eqChannelMode,
+                ).curves.join("/")} on the graph`}
+          </div>
+        </EffectSection>
+
+        {/* ===== KARAOKE ===== */}
+        <EffectSection
+          title="Karaoke"
+          colors={COLORS}
+          actions={
+            <>
+              <ToggleButton
+                active={karaokeSettings.mode === "remove"}
+                disabled={!eqActive || !karaokeSettings.enabled}
+                colors={COLORS}
+                onClick={() => onKaraokeChange({ mode: "remove" })}
+              >
+                Remove vocals
+              </ToggleButton>
+              <ToggleButton
+                active={karaokeSettings.mode === "isolate"}
+                disabled={!eqActive || !karaokeSettings.enabled}
+                colors={COLORS}
+                onClick={() => onKaraokeChange({ mode: "isolate" })}
+              >
+                Isolate center
+              </ToggleButton>
+              <ToggleButton
+                active={karaokeSettings.enabled}
+                disabled={!eqActive}
+                colors={COLORS}
+                onClick={() =>
+                  onKaraokeChange({ enabled: !karaokeSettings.enabled })
+                }
+              >
+                {karaokeSettings.enabled ? "On" : "Off"}
+              </ToggleButton>
+            </>
+          }
+        >
+          <ParamSlider
+            label="Mix"
+            value={karaokeSettings.mix}
+            min={0}
+            max={1}
+            step={0.01}
+            format={(v) => `${Math.round(v * 100)}%`}
+            disabled={!eqActive || !karaokeSettings.enabled}
+            colors={COLORS}
+            onChange={(mix) => onKaraokeChange({ mix })}
+          />
+        </EffectSection>
+
+        {/* ===== HEADPHONE CROSSFEED ===== */}
+        <EffectSection
+          title="Crossfeed"
+          colors={COLORS}
+          actions={
+            <>
+              {CROSSFEED_PRESETS.map(({ label, cutoff, feed }) => (
+                <ToggleButton
+                  key={label}
+                  active={
+                    crossfeedSettings.cutoff === cutoff &&
+                    crossfeedSettings.feed === feed
+                  }
+                  disabled={!eqActive || !crossfeedSettings.enabled}
+                  colors={COLORS}
+                  onClick={() => onCrossfeedChange({ cutoff, feed })}
+                >
+                  {label}
+                </ToggleButton>
+              ))}
+              <ToggleButton
+                active={crossfeedSettings.enabled}
+                disabled={!eqActive}
+                colors={COLORS}
+                onClick={() =>
+                  onCrossfeedChange({ enabled: !crossfeedSettings.enabled })
+                }
+              >
+                {crossfeedSettings.enabled ? "On" : "Off"}
+              </ToggleButton>
+            </>
+          }
+        >
+          <ParamSlider
+            label="Cutoff"
+            value={crossfeedSettings.cutoff}
+            min={300}
+            max={2000}
+            step={10}
+            format={formatFrequency}
+            disabled={!eqActive || !crossfeedSettings.enabled}
+            colors={COLORS}
+            onChange={(cutoff) => onCrossfeedChange({ cutoff })}
+          />
+          <ParamSlider
+            label="Feed"
+            value={crossfeedSettings.feed}
+            min={1}
+            max={15}
+            step={0.5}
+            unit="dB"
+            disabled={!eqActive || !crossfeedSettings.enabled}
+            colors={COLORS}
+            onChange={(feed) => onCrossfeedChange({ feed })}
+          />
+        </EffectSection>
+
+        {/* ===== VIRTUAL SPEAKERS ===== */}
+        <EffectSection
+          title="Virtual Speakers"
+          colors={COLORS}
+          actions={
+            <ToggleButton
+              active={virtualizerSettings.enabled}
+              disabled={!eqActive}
+              colors={COLORS}
+              onClick={() =>
+                onVirtualizerChange({ enabled: !virtualizerSettings.enabled })
+              }
+            >
+              {virtualizerSettings.enabled ? "On" : "Off"}
+            </ToggleButton>
+          }
+        >
+          <ParamSlider
+            label="Angle"
+            value={virtualizerSettings.angle}
+            min={0}
+            max={90}
+            step={1}
+            format={(v) => `±${v}°`}
+            disabled={!eqActive || !virtualizerSettings.enabled}
+            colors={COLORS}
+            onChange={(angle) => onVirtualizerChange({ angle })}
+          />
+          <ParamSlider
+            label="Distance"
+            value={virtualizerSettings.distance}
+            min={1}
+            max={10}
+            step={0.1}
+            format={(v) => `${v.toFixed(1)} m`}
+            disabled={!eqActive || !virtualizerSettings.enabled}
+            colors={COLORS}
+            onChange={(distance) => onVirtualizerChange({ distance })}
+          />
+        </EffectSection>
+
+        {/* ===== PREAMP / HEADROOM ===== */}
+        <EffectSection
+          title="Preamp"
+          colors={COLORS}
+          actions={
+            <ToggleButton
+              active={preampSettings.auto}
+              disabled={!eqActive}
+              colors={COLORS}
+              onClick={() => onPreampChange({ auto: !preampSettings.auto })}
+            >
+              Auto
+            </ToggleButton>
+          }
+        >
+          <ParamSlider
+            label="Manual"
+            value={preampSettings.manual}
+            min={-30}
+            max={10}
+            step={0.5}
+            unit="dB"
+            disabled={!eqActive || preampSettings.auto}
+            colors={COLORS}
+            onChange={(manual) => onPreampChange({ manual })}
+          />
+          <div className="flex items-center gap-2 text-xs select-none">
+            <span className="w-24 shrink-0">Applied</span>
+            <span className="flex-1">
+              {preampSettings.auto
+                ? "Follows the peak boost of the EQ, dialogue and virtual bass"
+                : "Manual value"}
+            </span>
+            <span className="w-16 shrink-0 text-right">
+              {preampDb > 0 ? "+" : ""}
+              {preampDb.toFixed(1)} dB
+            </span>
+          </div>
+        </EffectSection>
+
+        {/* ===== DIALOGUE MODE ===== */}
+        <EffectSection
+          title="Dialogue"
+          colors={COLORS}
+          actions={
+            <>
+              <ToggleButton
+                active={dialogueSettings.centerFocus}
+                disabled={!eqActive || !dialogueSettings.enabled}
+                colors={COLORS}
+                onClick={() =>
+                  onDialogueChange({
+                    centerFocus: !dialogueSettings.centerFocus,
+                  })
+                }
+              >
+                Center
+              </ToggleButton>
+              <ToggleButton
+                active={dialogueSettings.enabled}
+                disabled={!eqActive}
+                colors={COLORS}
+                onClick={() =>
+                  onDialogueChange({ enabled: !dialogueSettings.enabled })
+                }
+              >
+                {dialogueSettings.enabled ? "On" : "Off"}
+              </ToggleButton>
+            </>
+          }
+        >
+          <ParamSlider
+            label="Intensity"
+            value={dialogueSettings.intensity}
+            min={0}
+            max={1}
+            step={0.01}
+            format={(v) => `${Math.round(v * 100)}%`}
+            disabled={!eqActive || !dialogueSettings.enabled}
+            colors={COLORS}
+            onChange={(intensity) => onDialogueChange({ intensity })}
+          />
+        </EffectSection>
+
+        {/* ===== VIRTUAL BASS ===== */}
+        <EffectSection
+          title="Virtual Bass"
+          colors={COLORS}
+          actions={
+            <ToggleButton
+              active={virtualBassSettings.enabled}
+              disabled={!eqActive}
+              colors={COLORS}
+              onClick={() =>
+                onVirtualBassChange({ enabled: !virtualBassSettings.enabled })
+              }
+            >
+              {virtualBassSettings.enabled ? "On" : "Off"}
+            </ToggleButton>
+          }
+        >
+          <ParamSlider
+            label="Frequency"
+            value={virtualBassSettings.frequency}
+            min={40}
+            max={250}
+            step={5}
+            format={formatFrequency}
+            disabled={!eqActive || !virtualBassSettings.enabled}
+            colors={COLORS}
+            onChange={(frequency) => onVirtualBassChange({ frequency })}
+          />
+          <ParamSlider
+            label="Harmonics"
+            value={virtualBassSettings.harmonics}
+            min={0}
+            max={1}
+            step={0.01}
+            format={(v) => `${Math.round(v * 100)}%`}
+            disabled={!eqActive || !virtualBassSettings.enabled}
+            colors={COLORS}
+            onChange={(harmonics) => onVirtualBassChange({ harmonics })}
+          />
+          <ParamSlider
+            label="Bass Cut"
+            value={virtualBassSettings.cut}
+            min={0}
+            max={24}
+            step={0.5}
+            unit="dB"
+            disabled={!eqActive || !virtualBassSettings.enabled}
+            colors={COLORS}
+            onChange={(cut) => onVirtualBassChange({ cut })}
+          />
+        </EffectSection>
+
+        {/* ===== MULTIBAND COMPRESSOR ===== */}
+        <EffectSection
+          title="Multiband Compressor"
+          colors={COLORS}
+          actions={
+            <>
+              {[3, 4].map((bandCount) => (
+                <ToggleButton
+                  key={bandCount}
+                  active={multibandSettings.bands.length === bandCount}
+                  disabled={!eqActive}
+                  colors={COLORS}
+                  onClick={() => onMultibandBandCountChange(bandCount)}
+                >
+                  {bandCount} bands
+                </ToggleButton>
+              ))}
+              <ToggleButton
+                active={multibandSettings.enabled}
+                disabled={!eqActive}
+                colors={COLORS}
+                onClick={() =>
+                  onMultibandChange({ enabled: !multibandSettings.enabled })
+                }
+              >
+                {multibandSettings.enabled ? "On" : "Off"}
+              </ToggleButton>
+            </>
+          }
+        >
+          <div className="text-xs mb-1 select-none opacity-75">
+            Drag the crossover handles on the Controls graph to move the band
+            edges.
+          </div>
+          {multibandSettings.bands.map((band, i) => {
+            const { crossovers } = multibandSettings;
+            const names = MULTIBAND_BAND_NAMES[multibandSettings.bands.length];
+            const range =
+              i === 0
+                ? `below ${formatFrequency(crossovers[0])}`
+                : i === crossovers.length
+                  ? `above ${formatFrequency(crossovers[i - 1])}`
+                  : `${formatFrequency(crossovers[i - 1])} – ${formatFrequency(crossovers[i])}`;
+
+            return (
+              <div key={i} className="mb-1">
+                <div className="text-xs font-bold select-none">
+                  {names?.[i] ?? `Band ${i + 1}`}{" "}
+                  <span className="font-normal">({range})</span>
+                </div>
+                <ParamSlider
+                  label="Threshold"
+                  value={band.threshold}
+                  min={-60}
+                  max={0}
+                  step={1}
+                  unit="dB"
+                  disabled={!eqActive || !multibandSettings.enabled}
+                  colors={COLORS}
+                  onChange={(threshold) =>
+                    handleMultibandBandChange(i, { threshold })
+                  }
+                />
+                <ParamSlider
+                  label="Ratio"
+                  value={band.ratio}
+                  min={1}
+                  max={20}
+                  step={0.5}
+                  format={(v) => `${v}:1`}
+                  disabled={!eqActive || !multibandSettings.enabled}
+                  colors={COLORS}
+                  onChange={(ratio) => handleMultibandBandChange(i, { ratio })}
+                />
+                <ReductionMeter
+                  db={
+                    multibandSettings.enabled
+                      ? (multibandGainReduction[i] ?? 0)
+                      : 0
+                  }
+                  colors={COLORS}
+                />
+              </div>
+            );
+          })}
+        </EffectSection>
+
+        {/* ===== DYNAMIC RANGE COMPRESSOR ===== */}
+        <EffectSection
+          title="Compressor"
+          colors={COLORS}
+          actions={
+            <>
+              <ToggleButton
+                active={nightModeActive}
+                disabled={!eqActive}
+                colors={COLORS}
+                onClick={onNightModeToggle}
+              >
+                Night
+              </ToggleButton>
+              <ToggleButton
+                active={compressorSettings.enabled}
+                disabled={!eqActive}
+                colors={COLORS}
+                onClick={() =>
+                  onCompressorChange({ enabled: !compressorSettings.enabled })
+                }
+              >
+                {compressorSettings.enabled ? "On" : "Off"}
+              </ToggleButton>
+            </>
+          }
+        >
+          <ParamSlider
+            label="Threshold"
+            value={compressorSettings.threshold}
+            min={-60}
+            max={0}
+            step={1}
+            unit="dB"
+            disabled={!eqActive || !compressorSettings.enabled}
+            colors={COLORS}
+            onChange={(threshold) => onCompressorChange({ threshold })}
+          />
+          <ParamSlider
+            label="Ratio"
+            value={compressorSettings.ratio}
+            min={1}
+            max={20}
+            step={0.5}
+            format={(v) => `${v}:1`}
+            disabled={!eqActive || !compressorSettings.enabled}
+            colors={COLORS}
+            onChange={(ratio) => onCompressorChange({ ratio })}
+          />
+          <ParamSlider
+            label="Knee"
+            value={compressorSettings.knee}
+            min={0}
+            max={40}
+            step={1}
+            unit="dB"
+            disabled={!eqActive || !compressorSettings.enabled}
+            colors={COLORS}
+            onChange={(knee) => onCompressorChange({ knee })}
+          />
+          <ParamSlider
+            label="Attack"
+            value={compressorSettings.attack}
+            min={0}
+            max={200}
+            step={1}
+            unit="ms"
+            disabled={!eqActive || !compressorSettings.enabled}
+            colors={COLORS}
+            onChange={(attack) => onCompressorChange({ attack })}
+          />
+          <ParamSlider
+            label="Release"
+            value={compressorSettings.release}
+            min={10}
+            max={1000}
+            step={10}
+            unit="ms"
+            disabled={!eqActive || !compressorSettings.enabled}
+            colors={COLORS}
+            onChange={(release) => onCompressorChange({ release })}
+          />
+          <ParamSlider
+            label="Makeup"
+            value={compressorSettings.makeup}
+            min={0}
+            max={24}
+            step={0.5}
+            unit="dB"
+            disabled={!eqActive || !compressorSettings.enabled}
+            colors={COLORS}
+            onChange={(makeup) => onCompressorChange({ makeup })}
+          />
+
+          <ReductionMeter db={compressorGainReduction} colors={COLORS} />
+        </EffectSection>
+
+        {/* ===== AUTOMATIC GAIN CONTROL ===== */}
+        <EffectSection
+          title="Auto Level (all tabs)"
+          colors={COLORS}
+          actions={
+            <ToggleButton
+              active={agcSettings.enabled}
+              colors={COLORS}
+              onClick={() => onAgcChange({ enabled: !agcSettings.enabled })}
+            >
+              {agcSettings.enabled ? "On" : "Off"}
+            </ToggleButton>
+          }
+        >
+          <ParamSlider
+            label="Target"
+            value={agcSettings.target}
+            min={-30}
+            max={-8}
+            step={1}
+            unit="LUFS"
+            disabled={!agcSettings.enabled}
+            colors={COLORS}
+            onChange={(target) => onAgcChange({ target })}
+          />
+          <ParamSlider
+            label="Attack"
+            value={agcSettings.attack}
+            min={1}
+            max={30}
+            step={1}
+            unit="dB/s"
+            disabled={!agcSettings.enabled}
+            colors={COLORS}
+            onChange={(attack) => onAgcChange({ attack })}
+          />
+          <ParamSlider
+            label="Release"
+            value={agcSettings.release}
+            min={0.5}
+            max={10}
+            step={0.5}
+            unit="dB/s"
+            disabled={!agcSettings.enabled}
+            colors={COLORS}
+            onChange={(release) => onAgcChange({ release })}
+          />
+          <ParamSlider
+            label="Max boost"
+            value={agcSettings.maxBoost}
+            min={0}
+            max={24}
+            step={1}
+            unit="dB"
+            disabled={!agcSettings.enabled}
+            colors={COLORS}
+            onChange={(maxBoost) => onAgcChange({ maxBoost })}
+          />
+        </EffectSection>
+
+        {/* ===== BRICKWALL LIMITER ===== */}
+        <EffectSection
+          title="Safety Limiter"
+          colors={COLORS}
+          actions={
+            <ToggleButton
+              active={limiterSettings.enabled}
+              disabled={!eqActive}
+              colors={COLORS}
+              onClick={() =>
+                onLimiterChange({ enabled: !limiterSettings.enabled })
+              }
+            >
+              {limiterSettings.enabled ? "On" : "Off"}
+            </ToggleButton>
+          }
+        >
+          <ParamSlider
+            label="Ceiling"
+            value={limiterSettings.ceiling}
+            min={-24}
+            max={0}
+            step={0.5}
+            unit="dB"
+            disabled={!eqActive || !limiterSettings.enabled}
+            colors={COLORS}
+            onChange={(ceiling) => onLimiterChange({ ceiling })}
+          />
+          <ParamSlider
+            label="Release"
+            value={limiterSettings.release}
+            min={10}
+            max={1000}
+            step={10}
+            unit="ms"
+            disabled={!eqActive || !limiterSettings.enabled}
+            colors={COLORS}
+            onChange={(release) => onLimiterChange({ release })}
+          />
+
+          <ReductionMeter db={limiterGainReduction} colors={COLORS} />
+        </EffectSection>
+
+        {/* ===== SPECTRUM ANALYZER ===== */}
+        <EffectSection
+          title="Spectrum Analyzer"
+          colors={COLORS}
+          actions={
+            <>
+              <ToggleButton
+                active={analyserSettings.axis === "log"}
+                colors={COLORS}
+                onClick={() => onAnalyserChange({ axis: "log" })}
+              >
+                Log
+              </ToggleButton>
+              <ToggleButton
+                active={analyserSettings.axis === "linear"}
+                colors={COLORS}
+                onClick={() => onAnalyserChange({ axis: "linear" })}
+              >
+                Linear
+              </ToggleButton>
+            </>
+          }
+        >
+          <div className="flex items-center gap-2 text-xs select-none mb-0.5">
+            <span className="w-24 shrink-0">Style</span>
+            <div className="flex-1 flex gap-1">
+              {SPECTRUM_STYLES.map(({ value, label }) => (
+                <ToggleButton
+                  key={value}
+                  active={analyserSettings.style === value}
+                  colors={COLORS}
+                  onClick={() => onAnalyserChange({ style: value })}
+                >
+                  {label}
+                </ToggleButton>
+              ))}
+            </div>
+          </div>
+          <ParamSlider
+            label="Peak decay"
+            value={analyserSettings.peakDecay}
+            min={1}
+            max={60}
+            step={1}
+            unit="dB/s"
+            disabled={analyserSettings.style !== "peak"}
+            colors={COLORS}
+            onChange={(peakDecay) => onAnalyserChange({ peakDecay })}
+          />
+          <div className="flex items-center gap-2 text-xs select-none mb-0.5">
+            <span className="w-24 shrink-0">Averaging</span>
+            <div className="flex-1 flex gap-1">
+              {AVERAGE_OPTIONS.map(({ value, label }) => (
+                <ToggleButton
+                  key={value}
+                  active={analyserSettings.averageSeconds === value}
+                  disabled={analyserSettings.style === "waterfall"}
+                  colors={COLORS}
+                  onClick={() => onAnalyserChange({ averageSeconds: value })}
+                >
+                  {label}
+                </ToggleButton>
+              ))}
+            </div>
+          </div>
+          <div className="flex items-center gap-2 text-xs select-none mb-0.5">
+            <span className="w-24 shrink-0">FFT size</span>
+            <div className="flex-1 flex gap-1">
+              {ANALYSER_FFT_SIZES.map((size) => (
+                <ToggleButton
+                  key={size}
+                  active={analyserSettings.fftSize === size}
+                  disabled={!eqActive}
+                  colors={COLORS}
+                  onClick={() => onAnalyserChange({ fftSize: size })}
+                >
+                  {size}
+                </ToggleButton>
+              ))}
+            </div>
+          </div>
+          <ParamSlider
+            label="Smoothing"
+            value={analyserSettings.smoothing}
+            min={0}
+            max={0.99}
+            step={0.01}
+            disabled={!eqActive}
+            colors={COLORS}
+            onChange={(smoothing) => onAnalyserChange({ smoothing })}
+          />
+          <ParamSlider
+            label="Floor"
+            value={analyserSettings.minDb}
+            min={-140}
+            max={-40}
+            step={1}
+            unit="dB"
+            disabled={!eqActive}
+            colors={COLORS}
+            onChange={(minDb) => onAnalyserChange({ minDb })}
+          />
+          <ParamSlider
+            label="Ceiling"
+            value={analyserSettings.maxDb}
+            min={-80}
+            max={0}
+            step={1}
+            unit="dB"
+            disabled={!eqActive}
+            colors={COLORS}
+            onChange={(maxDb) => onAnalyserChange({ maxDb })}
+          />
+        </EffectSection>
+      </div>
+    </div>
+  );
+}
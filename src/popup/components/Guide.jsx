@@ -24,13 +24,50 @@ export default function Guide({ themes = [], themeIndex = 0 }) {
           Moving a dot left or right selects lower or higher frequencies, while
           moving a dot up or down increases or decreases the volume of those
           frequencies. Shift-dragging a filter up and down will widen or narrow
-          the filter, also called changing its Q value.
+          the filter, also called changing its Q value. Right-clicking a dot
+          lets you change its filter type (bell, shelf, notch, band-pass,
+          high/low-pass or all-pass) or delete it.
+        </p>
+        <p className="mb-3">
+          A bell can also be made Dynamic from the same menu. A dynamic bell
+          only acts when that part of the sound gets louder than its threshold
+          (the slider in the menu): its dot then sets the most it may cut or
+          boost, and a small dot slides between 0 dB and it to show how much it
+          is doing right now. Use it to tame a harsh range only when it gets
+          loud.
+        </p>
+        <p className="mb-3">
+          Double-click an empty part of the graph to add a new dot there. Click
+          a dot and press Delete to remove it.
+        </p>
+        <p className="mb-3">
+          The HP and LP squares near the bottom edges are high-pass and low-pass
+          cut filters for removing rumble or harsh treble. Drag one sideways to
+          switch it on and set where the cut starts, and right-click it to
+          choose how steep the cut is (12 to 48 dB per octave) or to turn it
+          off.
+        </p>
+        <p className="mb-3">
+          The thick line is the combined effect of every filter, measured from
+          the filters themselves. The Phase button in the top right corner adds
+          a dashed line showing how the filters shift the timing (phase) of each
+          frequency. LUFS shows broadcast-style loudness of what you hear:
+          momentary (M), short-term (S) and integrated (I) loudness since the
+          last Reset, plus the highest true peak (TP).
         </p>
 
         <p className="mb-3">
           The frequency spectrum visualizer shows you what you are listening to
           and how your EQ has changed it. Lower sounds appear to the left and
-          higher to the right (with volume indicated by the height of a peak).{" "}
+          higher to the right (with volume indicated by the height of a peak).
+          Click In/Out to add a dashed trace of the original tab audio under the
+          processed one, or Diff to see how many dB the processing adds or
+          removes at each frequency. The Effects tab switches the visualizer
+          between a line, a filled area, a line with slowly falling peaks, and a
+          scrolling waterfall where brighter colors mean louder frequencies.
+          Averaging (10 or 30 seconds) steadies the line for tuning, and Freeze
+          keeps a copy of the current line on the graph (up to three) while you
+          adjust your bands; Clear removes them.{" "}
           <a
             href="https://www.youtube.com/watch?v=VMnkYTan5pY"
             rel="noreferrer noopener"
@@ -40,6 +77,65 @@ export default function Guide({ themes = [], themeIndex = 0 }) {
           </a>
           .
         </p>
+        <h3 className="text-2xl font-bold">Effects</h3>
+        <p className="mb-3">
+          The Effects tab holds processing that runs around the EQ. EQ Channels
+          gives the left and right channels (L/R), or the center and the sides
+          of the stereo image (M/S), their own EQ curve. The second curve starts
+          as a copy of the first; the L/R or M/S buttons in the top right corner
+          of the graph pick the curve you edit, while the other one is drawn as
+          a thin line. Presets save both curves. The stereo tools fix lopsided
+          audio with balance, fold it to mono for a single earbud, swap left and
+          right, or narrow and widen the stereo image. The preamp lowers the
+          volume before the filters; in Auto mode it follows the loudest point
+          of your EQ curve so boosts have room and don't clip. Karaoke works on
+          what is panned to the middle of the mix, where vocals usually sit:
+          Remove vocals cancels the center but keeps the bass and kick, Isolate
+          center plays only the center. Mix blends the result with the original
+          track. It works best on studio recordings. Crossfeed is for
+          headphones: it leaks a little of each side, softened and slightly
+          delayed, into the other ear the way speakers would, so old recordings
+          with instruments panned hard to one side are less tiring. Light,
+          Medium and Strong pick how much is mixed over, and the crossfeed
+          setting is saved with your presets. Virtual Speakers places the left
+          and right channels as two speakers in front of you; angle sets how far
+          apart they stand and distance how far away they are. It runs before
+          the EQ, so your curve still shapes the result. Dialogue mode lifts
+          voices over music and effects: it turns down bass and mud, brings up
+          the speech range and gently evens out the level, all from one
+          intensity slider and without touching your own EQ bands. Center also
+          narrows the stereo image, since voices are usually mixed in the
+          middle. Virtual Bass helps small speakers that can't play deep bass:
+          it turns the bass below the frequency into harmonics your ear reads as
+          the missing low notes. Harmonics sets how much is added, and bass cut
+          turns down the original bass so it stops wasting headroom. The
+          compressor evens out loud and quiet moments after the EQ: threshold
+          sets where it starts working, ratio how hard, knee how gently, attack
+          and release how fast, and makeup adds volume back. Night mode (also in
+          the top right corner of the graph) switches it to strong settings for
+          late-night movies, so dialogue stays clear without explosions waking
+          anyone up. Compressor settings are saved with your presets. The
+          multiband compressor splits the sound into 3 or 4 frequency bands and
+          compresses each on its own, so a bass hit doesn't turn down the
+          voices; each band has its own threshold and ratio. While it is on,
+          diamond handles at the top of the graph mark the band edges and can be
+          dragged, with each band's gain reduction (GR) shown between them. Auto
+          Level slowly turns every captured tab up or down toward the same
+          target loudness, so switching between a video, a podcast and a call
+          doesn't jump in volume; attack and release set how fast it may turn
+          down and up, and max boost caps how much it may add. The Active Tabs
+          list shows each tab's current correction. The safety limiter sits
+          after the volume slider and keeps peaks below its ceiling so big
+          boosts don't clip. The GR readout under the volume slider shows how
+          many dB it is currently taking off. The two thin bars left of the
+          volume slider show the left and right output level (the filled part is
+          the average, the tick the peak); the clip light under it stays lit
+          once the audio has hit full scale, until you click it. The spectrum
+          analyzer settings trade detail (FFT size) against speed, set how
+          steady the line is (smoothing) and which volume range fills the graph
+          (floor and ceiling), and switch the frequency axis between log and
+          linear.
+        </p>
         <h3 className="text-2xl font-bold">Presets</h3>
         <p className="mb-3">
           To save a configuration of filters for later, type a name in the text
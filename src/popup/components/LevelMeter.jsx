@@ -0,0 +1,85 @@
+import { useEffect, useRef } from "react";
+
+// Lowest level shown by the meters (dBFS); quieter signals read as empty
+const METER_RANGE_DB = 60;
+
+// Fraction of the meter filled for a level in dBFS (0 at -60 dB, 1 at 0 dB)
+function getMeterFraction(db) {
+  return Math.max(0, Math.min(1, 1 + db / METER_RANGE_DB));
+}
+
+/**
+ * LevelMeter Component - single channel peak/RMS bar
+ *
+ * The RMS level fills the bar, the peak level is a thin tick beyond it.
+ * Levels are read by a requestAnimationFrame loop and drawn straight into
+ * the bar's styles, so streaming meters never re-render the popup.
+ *
+ * Props:
+ * - getLevels: () => { peakDb: [L, R], rmsDb: [L, R] } latest levels in
+ *   dBFS, or null while unavailable (the bar is drawn empty)
+ * - channel: index into peakDb/rmsDb
+ * - colors: active theme colors
+ * - vertical: grow upwards (sidebar) instead of left to right (tab list)
+ * - className: size/position classes for the bar
+ */
+export default function LevelMeter({
+  getLevels,
+  channel,
+  colors,
+  vertical = false,
+  className = "",
+}) {
+  const rmsRef = useRef(null);
+  const peakRef = useRef(null);
+
+  // Latest level source for the draw loop (updated after every render)
+  const getLevelsRef = useRef(getLevels);
+  useEffect(() => {
+    getLevelsRef.current = getLevels;
+  });
+
+  // Draw the newest levels on each animation frame
+  useEffect(() => {
+    const rms = rmsRef.current;
+    const peak = peakRef.current;
+    let animationFrameId;
+
+    function draw() {
+      animationFrameId = requestAnimationFrame(draw);
+      const levels = getLevelsRef.current();
+      const rmsDb = levels?.rmsDb[channel] ?? -Infinity;
+      const peakDb = levels?.peakDb[channel] ?? -Infinity;
+      rms.style[vertical ? "height" : "width"] =
+        `${getMeterFraction(rmsDb) * 100}%`;
+      peak.style[vertical ? "bottom" : "left"] =
+        `${getMeterFraction(peakDb) * 100}%`;
+      peak.style.visibility = levels ? "visible" : "hidden";
+    }
+    draw();
+
+    return () => cancelAnimationFrame(animationFrameId);
+  }, [channel, vertical]);
+
+  return (
+    <div
+      className={`relative pointer-events-none ${className}`}
+      style={{ backgroundColor: `${colors.TEXT}30` }}
+    >
+      <div
+        ref={rmsRef}
+        className={
+          vertical ? "absolute inset-x-0 bottom-0" : "absolute inset-y-0 left-0"
+        }
+        style={{ backgroundColor: colors.TEXT, opacity: 0.6 }}
+      />
+      <div
+        ref={peakRef}
+        className={
+          vertical ? "absolute inset-x-0 h-px" : "absolute inset-y-0 w-px"
+        }
+        style={{ backgroundColor: colors.POINT }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,523 @@
+import { forwardRef, useEffect, useImperativeHandle, useRef } from "react";
+import { connectSpectrumStream } from "../../lib/spectrumStream";
+
+// Spectrum frames per second pushed by the offscreen document
+const SPECTRUM_STREAM_FPS = 30;
+
+// SVG coordinate system of the Controls graph (canvas is drawn in the same units)
+const VIEWBOX_WIDTH = 1000;
+const VIEWBOX_HEIGHT = 500;
+
+// Fallback when a frame does not report the AudioContext sample rate
+const DEFAULT_SAMPLE_RATE = 48000;
+
+// Difference view scale: ±30 dB fills the graph (same as the EQ curves)
+const DIFFERENCE_DB_RANGE = 30;
+
+// Snapshot overlays fade with age (newest first)
+const SNAPSHOT_OPACITIES = [0.6, 0.4, 0.25];
+
+// Waterfall rows scroll down by this many CSS pixels per frame
+const WATERFALL_ROW_HEIGHT = 1;
+
+// Bin position tables kept per render loop (live trace plus snapshots)
+const MAX_CACHED_BIN_POSITIONS = 8;
+
+// Parse a "#rrggbb" theme color into [r, g, b]
+function parseHexColor(hex) {
+  const value = parseInt(String(hex).replace("#", ""), 16) || 0;
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Build a 256-entry RGBA lookup table for the waterfall from theme colors
+ * Quiet bins fade in from transparent through the stops (low → high),
+ * so the graph background shows through silence
+ */
+function buildColorMap(stops) {
+  const rgbStops = stops.map(parseHexColor);
+  const colorMap = new Uint8ClampedArray(256 * 4);
+  const segments = rgbStops.length - 1;
+
+  for (let value = 0; value < 256; value++) {
+    const position = (value / 255) * segments;
+    const index = Math.min(segments - 1, Math.floor(position));
+    const t = position - index;
+    const from = rgbStops[index];
+    const to = rgbStops[index + 1];
+
+    for (let c = 0; c < 3; c++) {
+      colorMap[value * 4 + c] = from[c] + (to[c] - from[c]) * t;
+    }
+    // Fade in over the lowest third of the range
+    colorMap[value * 4 + 3] = Math.min(255, value * 3);
+  }
+  return colorMap;
+}
+
+/**
+ * Map every spectrum bin to an X position
+ * Bins are spread linearly from 0Hz to Nyquist of the tab's AudioContext
+ * (clamped to 10Hz here, getXPosFromFrequency clamps to 20480Hz)
+ */
+function getBinXPositions(binCount, sampleRate, getXPosFromFrequency) {
+  const nyquistFrequency = (sampleRate || DEFAULT_SAMPLE_RATE) / 2;
+  const xPositions = new Float32Array(binCount);
+  for (let binIdx = 0; binIdx < binCount; binIdx++) {
+    // Calculate the actual frequency this bin represents
+    const binFrequency = (binIdx / binCount) * nyquistFrequency;
+    xPositions[binIdx] = getXPosFromFrequency(Math.max(10, binFrequency));
+  }
+  return xPositions;
+}
+
+/**
+ * Bin X positions from the render loop cache
+ * Positions only change with the bin count (FFT size), the sample rate and
+ * the frequency axis, so they are computed once per combination instead of
+ * on every frame (state.binPositions: Map of "binCount:sampleRate:axis")
+ */
+function getCachedBinXPositions(
+  state,
+  binCount,
+  sampleRate,
+  axis,
+  getXPosFromFrequency,
+) {
+  state.binPositions ??= new Map();
+  const key = `${binCount}:${sampleRate}:${axis}`;
+  let xPositions = state.binPositions.get(key);
+  if (!xPositions) {
+    if (state.binPositions.size >= MAX_CACHED_BIN_POSITIONS) {
+      state.binPositions.clear();
+    }
+    xPositions = getBinXPositions(binCount, sampleRate, getXPosFromFrequency);
+    state.binPositions.set(key, xPositions);
+  }
+  return xPositions;
+}
+
+/**
+ * Stroke one spectrum as a line graph (optionally filled down to the floor)
+ * Inverted Y-axis: magnitude 255 (analyser dB ceiling) at top (y=0),
+ * magnitude 0 (analyser dB floor) at bottom (y=500)
+ */
+function strokeSpectrum(ctx, bins, xPositions, color, dash = [], fill = false) {
+  ctx.beginPath();
+  for (let binIdx = 0; binIdx < bins.length; binIdx++) {
+    const y = VIEWBOX_HEIGHT - (bins[binIdx] / 255) * VIEWBOX_HEIGHT;
+    if (binIdx === 0) ctx.moveTo(xPositions[binIdx], y);
+    else ctx.lineTo(xPositions[binIdx], y);
+  }
+  ctx.strokeStyle = color;
+  ctx.setLineDash(dash);
+  ctx.stroke();
+
+  if (fill) {
+    ctx.lineTo(xPositions[bins.length - 1], VIEWBOX_HEIGHT);
+    ctx.lineTo(xPositions[0], VIEWBOX_HEIGHT);
+    ctx.closePath();
+    ctx.fillStyle = color;
+    ctx.globalAlpha = 0.25;
+    ctx.fill();
+    ctx.globalAlpha = 0.6;
+  }
+}
+
+// Convert analyser bytes to dB and back (0-255 spans the analyser dB range)
+function bytesToDb(bins, { minDb, maxDb }) {
+  return Float32Array.from(bins, (v) => minDb + (v / 255) * (maxDb - minDb));
+}
+function dbToBytes(dbValues, { minDb, maxDb }) {
+  return Float32Array.from(dbValues, (db) =>
+    Math.max(0, Math.min(255, ((db - minDb) / (maxDb - minDb)) * 255)),
+  );
+}
+
+/**
+ * Let the held peaks fall toward the live spectrum, then raise them to it
+ * decayDbPerSecond is converted to byte units for the current dB range
+ * Peaks restart from the live spectrum when the bin count changes
+ */
+function updatePeaks(state, bins, decayDbPerSecond, dbRange) {
+  const now = performance.now();
+  if (!state.peaks || state.peaks.length !== bins.length) {
+    state.peaks = Float32Array.from(bins);
+    state.peakTime = now;
+    return;
+  }
+
+  const bytesPerDb = 255 / (dbRange.maxDb - dbRange.minDb);
+  const decay = ((now - state.peakTime) / 1000) * decayDbPerSecond * bytesPerDb;
+  state.peakTime = now;
+  for (let binIdx = 0; binIdx < bins.length; binIdx++) {
+    state.peaks[binIdx] = Math.max(bins[binIdx], state.peaks[binIdx] - decay);
+  }
+}
+
+/**
+ * Long-term average: exponential moving average with the given time constant
+ * Restarts when the bin count or the averaging time changes
+ */
+function updateAverage(state, bins, averageSeconds) {
+  const now = performance.now();
+  if (
+    !state.average ||
+    state.average.length !== bins.length ||
+    state.averageSeconds !== averageSeconds
+  ) {
+    state.average = Float32Array.from(bins);
+    state.averageSeconds = averageSeconds;
+    state.averageTime = now;
+    return;
+  }
+
+  const alpha =
+    1 - Math.exp(-(now - state.averageTime) / 1000 / averageSeconds);
+  state.averageTime = now;
+  for (let binIdx = 0; binIdx < bins.length; binIdx++) {
+    state.average[binIdx] += (bins[binIdx] - state.average[binIdx]) * alpha;
+  }
+}
+
+/**
+ * Scroll the waterfall history down one row and paint the new frame on top
+ * Each device pixel column takes the loudest bin that maps onto it, using
+ * the same frequency mapping as the line views
+ */
+function updateWaterfall(state, bins, xPositions, width, height, colorMap) {
+  if (!state.waterfall) state.waterfall = document.createElement("canvas");
+  const history = state.waterfall;
+  const ctx = history.getContext("2d");
+
+  // Canvas resized or axis changed: old rows no longer line up
+  if (
+    history.width !== width ||
+    history.height !== height ||
+    state.waterfallAxis !== state.axis
+  ) {
+    history.width = width;
+    history.height = height;
+    state.waterfallAxis = state.axis;
+  }
+
+  const rowHeight = Math.max(
+    1,
+    Math.round(WATERFALL_ROW_HEIGHT * window.devicePixelRatio),
+  );
+  ctx.globalCompositeOperation = "copy";
+  ctx.drawImage(history, 0, rowHeight);
+  ctx.globalCompositeOperation = "source-over";
+
+  // Loudest bin per pixel column (consecutive bins cover contiguous columns)
+  const scaleX = width / VIEWBOX_WIDTH;
+  const columns = new Uint8Array(width);
+  for (let binIdx = 0; binIdx < bins.length; binIdx++) {
+    const start = Math.floor(xPositions[binIdx] * scaleX);
+    const end =
+      binIdx + 1 < bins.length
+        ? Math.floor(xPositions[binIdx + 1] * scaleX)
+        : start;
+    for (let x = start; x <= end && x < width; x++) {
+      if (bins[binIdx] > columns[x]) columns[x] = bins[binIdx];
+    }
+  }
+
+  const row = ctx.createImageData(width, rowHeight);
+  for (let y = 0; y < rowHeight; y++) {
+    for (let x = 0; x < width; x++) {
+      const pixel = (y * width + x) * 4;
+      const color = columns[x] * 4;
+      row.data[pixel] = colorMap[color];
+      row.data[pixel + 1] = colorMap[color + 1];
+      row.data[pixel + 2] = colorMap[color + 2];
+      row.data[pixel + 3] = colorMap[color + 3];
+    }
+  }
+  ctx.putImageData(row, 0, 0);
+}
+
+/**
+ * Stroke the output minus input spectrum in dB around the 0 dB center line
+ * Bins where both spectra sit at the analyser floor carry no information
+ * and break the line
+ */
+function strokeDifference(ctx, output, input, xPositions, dbRange, color) {
+  const dbPerStep = (dbRange.maxDb - dbRange.minDb) / 255;
+  const centerY = VIEWBOX_HEIGHT / 2;
+
+  ctx.beginPath();
+  let drawing = false;
+  for (let binIdx = 0; binIdx < output.length; binIdx++) {
+    if (output[binIdx] === 0 && input[binIdx] === 0) {
+      drawing = false;
+      continue;
+    }
+
+    const differenceDb = (output[binIdx] - input[binIdx]) * dbPerStep;
+    const y = Math.max(
+      0,
+      Math.min(
+        VIEWBOX_HEIGHT,
+        centerY - (differenceDb / DIFFERENCE_DB_RANGE) * centerY,
+      ),
+    );
+    if (drawing) ctx.lineTo(xPositions[binIdx], y);
+    else ctx.moveTo(xPositions[binIdx], y);
+    drawing = true;
+  }
+  ctx.strokeStyle = color;
+  ctx.setLineDash([]);
+  ctx.stroke();
+}
+
+/**
+ * Draw one spectrum frame
+ * Uses all frequency bins for maximum accuracy
+ * Maps entire frequency range (5Hz-20480Hz) to full viewbox width and height
+ * state: render loop state kept between frames (peaks, average, waterfall,
+ *   bin positions)
+ */
+function drawSpectrum(canvas, frame, options, state) {
+  // Match the backing store to the displayed size (sharp on HiDPI screens)
+  const width = Math.round(canvas.clientWidth * window.devicePixelRatio);
+  const height = Math.round(canvas.clientHeight * window.devicePixelRatio);
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+
+  // Stretch viewbox units like the SVG (preserveAspectRatio="none")
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(width / VIEWBOX_WIDTH, 0, 0, height / VIEWBOX_HEIGHT, 0, 0);
+  ctx.clearRect(0, 0, VIEWBOX_WIDTH, VIEWBOX_HEIGHT);
+  if (!frame?.output || frame.output.length === 0) return;
+
+  const {
+    view,
+    renderStyle,
+    peakDecay,
+    averageSeconds,
+    snapshots,
+    colors,
+    dbRange,
+    axis,
+    getXPosFromFrequency,
+  } = options;
+  const xPositions = getCachedBinXPositions(
+    state,
+    frame.output.length,
+    frame.sampleRate,
+    axis,
+    getXPosFromFrequency,
+  );
+  const hasInput = frame.input?.length === frame.output.length;
+
+  // Waterfall: scrolling history of the output spectrum in device pixels
+  if (renderStyle === "waterfall") {
+    if (state.colorMapKey !== colors.waterfall.join()) {
+      state.colorMap = buildColorMap(colors.waterfall);
+      state.colorMapKey = colors.waterfall.join();
+    }
+    state.axis = axis;
+    updateWaterfall(
+      state,
+      frame.output,
+      xPositions,
+      width,
+      height,
+      state.colorMap,
+    );
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.drawImage(state.waterfall, 0, 0);
+    state.peaks = null;
+    state.average = null;
+    return;
+  }
+  state.waterfall = null;
+
+  ctx.globalAlpha = 0.6;
+  ctx.lineWidth = 2;
+  ctx.lineJoin = "round";
+
+  if (view === "difference" && hasInput) {
+    strokeDifference(
+      ctx,
+      frame.output,
+      frame.input,
+      xPositions,
+      dbRange,
+      colors.difference,
+    );
+    state.peaks = null;
+    state.average = null;
+    return;
+  }
+
+  // Saved snapshots stay underneath the live traces (stored in dB, so they
+  // survive dB range changes)
+  snapshots.forEach((snapshot, index) => {
+    ctx.globalAlpha =
+      SNAPSHOT_OPACITIES[Math.min(index, SNAPSHOT_OPACITIES.length - 1)];
+    strokeSpectrum(
+      ctx,
+      dbToBytes(snapshot.db, dbRange),
+      getCachedBinXPositions(
+        state,
+        snapshot.db.length,
+        snapshot.sampleRate,
+        axis,
+        getXPosFromFrequency,
+      ),
+      colors.snapshot,
+      [2, 3],
+    );
+  });
+  ctx.globalAlpha = 0.6;
+
+  // Long-term average replaces the live output trace while enabled
+  let output = frame.output;
+  if (averageSeconds > 0) {
+    updateAverage(state, frame.output, averageSeconds);
+    output = state.average;
+  } else {
+    state.average = null;
+  }
+
+  // Input (pre-EQ) trace goes underneath the output trace, dashed so the
+  // two stay apart even in themes where the colors are close
+  const fill = renderStyle === "filled";
+  if (view === "compare" && hasInput) {
+    strokeSpectrum(ctx, frame.input, xPositions, colors.input, [6, 4], fill);
+  }
+  strokeSpectrum(ctx, output, xPositions, colors.output, [], fill);
+
+  // Peak-hold: slowly falling maxima of the output spectrum on top
+  if (renderStyle === "peak") {
+    updatePeaks(state, frame.output, peakDecay, dbRange);
+    strokeSpectrum(ctx, state.peaks, xPositions, colors.peak);
+  } else {
+    state.peaks = null;
+  }
+}
+
+/**
+ * SpectrumCanvas Component - real-time spectrum analyzer layer
+ *
+ * Sits underneath the Controls SVG. Frames arrive over the spectrum stream
+ * port and are drawn by a requestAnimationFrame loop; nothing is kept in
+ * React state, so the visualizer never re-renders the popup.
+ *
+ * Props:
+ * - tabId: tab whose analyser is streamed
+ * - enabled: stream and draw only while true (visualizer on, EQ active)
+ * - view: "output" (post-EQ only), "compare" (pre-EQ and post-EQ traces)
+ *   or "difference" (post-EQ minus pre-EQ in dB, on the EQ curve scale)
+ * - renderStyle: "line", "filled", "peak" (line plus decaying peak-hold)
+ *   or "waterfall" (scrolling spectrogram of the output spectrum)
+ * - peakDecay: peak-hold fall rate (dB per second)
+ * - averageSeconds: long-term averaging time constant (0 = live trace)
+ * - snapshots: [{ id, db (Float32Array), sampleRate }] overlays, newest first
+ * - colors: { output, input, difference, peak, snapshot } trace colors and
+ *   waterfall: [low, mid, high] color map stops
+ * - dbRange: { minDb, maxDb } analyser range (converts bytes back to dB)
+ * - axis: "log" or "linear" (waterfall history restarts when it changes)
+ * - getXPosFromFrequency: maps Hz to viewbox X (log or linear frequency axis)
+ *
+ * Ref methods:
+ * - captureSnapshot(): { db, sampleRate } of the trace currently shown
+ *   (the average while averaging), or null before the first frame
+ */
+const SpectrumCanvas = forwardRef(function SpectrumCanvas(
+  {
+    tabId,
+    enabled,
+    view = "output",
+    renderStyle = "line",
+    peakDecay = 20,
+    averageSeconds = 0,
+    snapshots = [],
+    colors,
+    dbRange,
+    axis = "log",
+    getXPosFromFrequency,
+  },
+  ref,
+) {
+  const canvasRef = useRef(null);
+  const liveRef = useRef(null); // { frame, state } of the running render loop
+
+  // Latest drawing inputs for the render loop (updated after every render)
+  const drawOptionsRef = useRef(null);
+  useEffect(() => {
+    drawOptionsRef.current = {
+      view,
+      renderStyle,
+      peakDecay,
+      averageSeconds,
+      snapshots,
+      colors,
+      dbRange,
+      axis,
+      getXPosFromFrequency,
+    };
+  });
+
+  useImperativeHandle(ref, () => ({
+    captureSnapshot() {
+      const live = liveRef.current;
+      if (!live?.frame) return null;
+      const bins = live.state.average || live.frame.output;
+      return {
+        db: bytesToDb(bins, drawOptionsRef.current.dbRange),
+        sampleRate: live.frame.sampleRate,
+      };
+    },
+  }));
+
+  // Stream frames and draw the newest one on each animation frame
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!enabled || !tabId || !canvas) return;
+
+    let latestFrame = null;
+    let dirty = false;
+    const renderState = {};
+    liveRef.current = { frame: null, state: renderState };
+    let animationFrameId;
+
+    const stream = connectSpectrumStream({
+      tabId,
+      fps: SPECTRUM_STREAM_FPS,
+      onFrame: (frame) => {
+        latestFrame = frame;
+        liveRef.current.frame = frame;
+        dirty = true;
+      },
+    });
+
+    function render() {
+      animationFrameId = requestAnimationFrame(render);
+      if (!dirty) return;
+      dirty = false;
+      drawSpectrum(canvas, latestFrame, drawOptionsRef.current, renderState);
+    }
+    render();
+
+    return () => {
+      cancelAnimationFrame(animationFrameId);
+      stream.close();
+      liveRef.current = null;
+      drawSpectrum(canvas, null, drawOptionsRef.current, renderState); // Clear
+    };
+  }, [enabled, tabId]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="absolute inset-0 w-full h-full pointer-events-none"
+    />
+  );
+});
+
+export default SpectrumCanvas;
@@ -1,100 +1,263 @@
-// Q-factor configuration constants (must match Popup.jsx and Controls.jsx)
+// Q-factor configuration constants (used by Popup.jsx and Controls.jsx)
 const Q_MULTIPLIER = 2.0; // Multiplier for gain-dependent Q calculation
 const DEFAULT_PEAKING_Q = 0.3; // Default Q for peaking filters
 const DEFAULT_SHELF_Q = 0.75; // Default Q for shelf filters
+const DEFAULT_FILTER_Q = 0.707; // Default Q for notch/pass filters (Butterworth)
+
+// Frequency axis markings of the EQ graph (log scale, geometric spacing)
+export const AXIS_FREQUENCIES = [
+  5, 10, 20, 40, 80, 160, 320, 640, 1280, 2560, 5120, 10240, 20480,
+];
+
+// Frequencies (Hz) requested with GET_FREQUENCY_RESPONSE:
+// log-spaced across the graph's axis range
+const RESPONSE_POINTS = 256;
+export const RESPONSE_FREQUENCIES = Array.from(
+  { length: RESPONSE_POINTS },
+  (_, i) =>
+    AXIS_FREQUENCIES[0] *
+    Math.pow(
+      AXIS_FREQUENCIES[AXIS_FREQUENCIES.length - 1] / AXIS_FREQUENCIES[0],
+      i / (RESPONSE_POINTS - 1),
+    ),
+);
+
+// Maximum number of EQ bands (also enforced by offscreen/eq-bands.js)
+export const MAX_EQ_BANDS = 32;
+
+// Slopes available for the high-pass/low-pass cut filters (dB/oct, also used
+// by offscreen.js). Each 12 dB/oct is one cascaded biquad section
+export const CUT_SLOPES = [12, 24, 36, 48];
+
+// Dynamic EQ threshold range and the threshold a bell starts with when
+// switched to dynamic (dBFS, the range is also enforced by offscreen/eq-bands.js)
+export const DYNAMIC_EQ_MIN_THRESHOLD = -60;
+export const DEFAULT_DYNAMIC_EQ_THRESHOLD = -30;
+
+// Multiband compressor crossover range (Hz); neighbouring crossovers are
+// kept at least MULTIBAND_CROSSOVER_SPACING apart (frequency ratio)
+export const MULTIBAND_CROSSOVER_MIN = 40;
+export const MULTIBAND_CROSSOVER_MAX = 16000;
+export const MULTIBAND_CROSSOVER_SPACING = 1.6;
+
+// EQ channel modes (must match offscreen.js): one curve for both channels,
+// or separate left/right or mid/side curves
+// curves: labels of the first (left/mid) and second (right/side) curve
+export const EQ_CHANNEL_MODES = [
+  { mode: "stereo", label: "Stereo", curves: [] },
+  { mode: "lr", label: "L/R", curves: ["L", "R"] },
+  { mode: "ms", label: "M/S", curves: ["M", "S"] },
+];
+
+// Filter types selectable per EQ node (BiquadFilterNode.type values)
+// short: label drawn next to nodes whose type differs from the default
+export const FILTER_TYPES = [
+  { type: "peaking", label: "Bell", short: "B" },
+  { type: "lowshelf", label: "Low Shelf", short: "LS" },
+  { type: "highshelf", label: "High Shelf", short: "HS" },
+  { type: "notch", label: "Notch", short: "N" },
+  { type: "bandpass", label: "Band-pass", short: "BP" },
+  { type: "highpass", label: "High-pass", short: "HP" },
+  { type: "lowpass", label: "Low-pass", short: "LP" },
+  { type: "allpass", label: "All-pass", short: "AP" },
+];
 
 /**
- * Generate SVG path for true parametric EQ filter response
- * Uses RBJ Audio EQ Cookbook formulas for both peaking (mid-range) and shelf (low/high) filters
- * Sample rate: 44,100 Hz
- * Frequency range: 1–21500 Hz (log scale)
- * Converts magnitude to dB and maps to SVG Y-axis
+ * Format a frequency for labels ("120 Hz", "2.5 kHz")
+ */
+export function formatFrequency(frequency) {
+  return frequency >= 1000
+    ? `${(frequency / 1000).toFixed(1)} kHz`
+    : `${Math.round(frequency)} Hz`;
+}
+
+/**
+ * Generate a unique id for a new EQ band
+ * Ids keep React keys and offscreen filters stable while bands are added/removed
+ */
+export function createBandId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Default EQ band list
+ * Low shelf at 20 Hz, bells on every axis marking from 40 Hz to 10.24 kHz,
+ * high shelf at 20.48 kHz (all flat)
  *
- * Filter types:
- * - Index 2: Lowshelf (20 Hz)
- * - Index 3-11: Peaking (mid-range EQ)
- * - Index 12: Highshelf (20.48 kHz)
+ * Band shape: { id, type, frequency (Hz), gain (dB), baseQ }
+ * Dynamic bells add { dynamic: true, threshold (dBFS) }; their gain is the
+ * maximum cut/boost applied once the band gets louder than the threshold
  */
-export function generateBellCurve(
-  index,
-  nodePositions,
-  nodeBaseQValues,
-  frequencies,
-  SVG_WIDTH,
-  SVG_HEIGHT,
-  CENTER_Y,
-  X_AXIS_START,
-  X_AXIS_END,
-  USABLE_WIDTH,
-  GEOMETRIC_RATIO,
-  getBaseXPos,
-  getNodePosition,
-  getFrequencyFromXPos,
-) {
-  const pos = getNodePosition(index);
-  const { x: cx, y: cy } = pos;
+export function createDefaultBands() {
+  return AXIS_FREQUENCIES.slice(2).map((frequency, i, list) => {
+    const type =
+      i === 0 ? "lowshelf" : i === list.length - 1 ? "highshelf" : "peaking";
+    return {
+      id: createBandId(),
+      type,
+      frequency,
+      gain: 0,
+      baseQ: getDefaultBaseQ(type),
+    };
+  });
+}
 
-  // No curve when within ±5 pixels of center (250)
-  if (Math.abs(cy - CENTER_Y) <= 5) return null;
+/**
+ * Copy a band list with new ids
+ * Used to start a second EQ curve from the first one
+ */
+export function copyBands(bands) {
+  return bands.map((band) => ({ ...band, id: createBandId() }));
+}
 
-  const sampleRate = 44100;
-  const gainOffset = cy - CENTER_Y;
+/**
+ * Whether a filter type responds to the gain parameter
+ * (only peaking and shelf filters do; the node's height is ignored otherwise)
+ */
+export function filterUsesGain(type) {
+  return type === "peaking" || type === "lowshelf" || type === "highshelf";
+}
 
-  // Derive gain (dB) from Y position
-  // Y range: 0-500, Center: 250 (0dB)
-  // +30 dB at top, -30 dB at bottom
-  const gainDb = -(gainOffset / SVG_HEIGHT) * 60;
+/**
+ * Default base Q for a filter type
+ */
+export function getDefaultBaseQ(type) {
+  if (type === "peaking") return DEFAULT_PEAKING_Q;
+  if (type === "lowshelf" || type === "highshelf") return DEFAULT_SHELF_Q;
+  return DEFAULT_FILTER_Q;
+}
 
-  // Derive center frequency from X position
-  const centerFreq = getFrequencyFromXPos(cx);
+/**
+ * Shift-drag range for a filter type's base Q
+ * Notch and pass filters get a wider range so they can be made narrow
+ */
+export function getBaseQRange(type) {
+  return filterUsesGain(type) ? { min: 0.1, max: 2.0 } : { min: 0.1, max: 10 };
+}
 
-  // Compute amplitude and Q
-  const A = Math.pow(10, gainDb / 40);
-  const isShelf = index === 2 || index === 12;
+/**
+ * Convert base Q to the Q sent to Web Audio
+ * Peaking: As gain deviates from 0 to ±30, Q multiplies/divides by Q_MULTIPLIER
+ *   At 0 dB: Q = Q_MULTIPLIER × baseQ, At ±30 dB: Q = baseQ / Q_MULTIPLIER
+ * All other types: Q = baseQ
+ */
+export function getFilterQ(type, baseQ, gainDb) {
+  if (type !== "peaking") return baseQ;
+  return baseQ * Math.pow(Q_MULTIPLIER, 1 - (2 * Math.abs(gainDb)) / 30);
+}
+
+/**
+ * Convert a Web Audio Q back to base Q (inverse of getFilterQ)
+ */
+export function getBaseQFromQ(type, q, gainDb) {
+  if (type !== "peaking") return q;
+  const divisor = Math.pow(Q_MULTIPLIER, 1 - (2 * Math.abs(gainDb)) / 30);
+  return divisor !== 0 ? q / divisor : DEFAULT_PEAKING_Q; // Fallback to default
+}
 
-  // Peaking filters: baseQ default DEFAULT_PEAKING_Q, standard gain relationship
-  const baseQ =
-    nodeBaseQValues[index] ?? (isShelf ? DEFAULT_SHELF_Q : DEFAULT_PEAKING_Q);
+/**
+ * Convert UI bands to the parameters sent with UPDATE_EQ_NODES
+ * (base Q replaced by the Q applied to the BiquadFilterNode)
+ */
+export function getBandFilterParams(bands) {
+  return bands.map(
+    ({ id, type, frequency, gain, baseQ, dynamic, threshold }) => ({
+      id,
+      type,
+      frequency,
+      gain,
+      Q: getFilterQ(type, baseQ, gain),
+      ...(dynamic && type === "peaking" ? { dynamic, threshold } : {}),
+    }),
+  );
+}
 
-  // Dynamic Q calculation varies by filter type:
-  // Peaking: As gain deviates from 0 to ±30, Q multiplies/divides by Q_MULTIPLIER
-  //   At 0 dB: Q = Q_MULTIPLIER × baseQ, At ±30 dB: Q = baseQ / Q_MULTIPLIER
-  const Q = isShelf
-    ? baseQ
-    : baseQ * Math.pow(Q_MULTIPLIER, 1 - (2 * Math.abs(gainDb)) / 30);
+/**
+ * Butterworth Q of each biquad section for a cut filter slope
+ * Cascading these sections gives a maximally flat passband with the
+ * requested slope (e.g. 24 dB/oct: two sections with Q 0.54 and 1.31).
+ * Also configures the offscreen cut filters, so the drawn curve and the
+ * applied filter always match.
+ */
+export function getButterworthQs(slope) {
+  const order = slope / 6;
+  const qs = [];
+  for (let k = 1; k <= order / 2; k++) {
+    qs.push(1 / (2 * Math.cos(((2 * k - 1) * Math.PI) / (2 * order))));
+  }
+  return qs;
+}
 
-  // RBJ filter coefficients (from Audio EQ Cookbook)
+/**
+ * RBJ Audio EQ Cookbook coefficients for a BiquadFilterNode type
+ */
+export function getBiquadCoefficients(type, centerFreq, Q, gainDb, sampleRate) {
+  const A = Math.pow(10, gainDb / 40);
   const w0 = (2 * Math.PI * centerFreq) / sampleRate;
   const sinW0 = Math.sin(w0);
   const cosW0 = Math.cos(w0);
   const alpha = sinW0 / (2 * Q);
 
-  // Determine filter type and compute coefficients
-  const isLowShelf = index === 2;
-
   let b0, b1, b2, a0, a1, a2;
 
-  if (isShelf) {
-    // RBJ Shelf Filter Coefficients
-    if (isLowShelf) {
-      // Lowshelf filter (boosts or cuts low frequencies)
-      const sqrtA = Math.sqrt(A);
-      b0 = A * (A + 1 - (A - 1) * cosW0 + 2 * sqrtA * alpha);
-      b1 = 2 * A * (A - 1 - (A + 1) * cosW0);
-      b2 = A * (A + 1 - (A - 1) * cosW0 - 2 * sqrtA * alpha);
-      a0 = A + 1 + (A - 1) * cosW0 + 2 * sqrtA * alpha;
-      a1 = -2 * (A - 1 + (A + 1) * cosW0);
-      a2 = A + 1 + (A - 1) * cosW0 - 2 * sqrtA * alpha;
-    } else {
-      // Highshelf filter (boosts or cuts high frequencies)
-      const sqrtA = Math.sqrt(A);
-      b0 = A * (A + 1 + (A - 1) * cosW0 + 2 * sqrtA * alpha);
-      b1 = -2 * A * (A - 1 + (A + 1) * cosW0);
-      b2 = A * (A + 1 + (A - 1) * cosW0 - 2 * sqrtA * alpha);
-      a0 = A + 1 - (A - 1) * cosW0 + 2 * sqrtA * alpha;
-      a1 = 2 * (A - 1 - (A + 1) * cosW0);
-      a2 = A + 1 - (A - 1) * cosW0 - 2 * sqrtA * alpha;
-    }
+  if (type === "lowshelf") {
+    // Lowshelf filter (boosts or cuts low frequencies)
+    const sqrtA = Math.sqrt(A);
+    b0 = A * (A + 1 - (A - 1) * cosW0 + 2 * sqrtA * alpha);
+    b1 = 2 * A * (A - 1 - (A + 1) * cosW0);
+    b2 = A * (A + 1 - (A - 1) * cosW0 - 2 * sqrtA * alpha);
+    a0 = A + 1 + (A - 1) * cosW0 + 2 * sqrtA * alpha;
+    a1 = -2 * (A - 1 + (A + 1) * cosW0);
+    a2 = A + 1 + (A - 1) * cosW0 - 2 * sqrtA * alpha;
+  } else if (type === "highshelf") {
+    // Highshelf filter (boosts or cuts high frequencies)
+    const sqrtA = Math.sqrt(A);
+    b0 = A * (A + 1 + (A - 1) * cosW0 + 2 * sqrtA * alpha);
+    b1 = -2 * A * (A - 1 + (A + 1) * cosW0);
+    b2 = A * (A + 1 + (A - 1) * cosW0 - 2 * sqrtA * alpha);
+    a0 = A + 1 - (A - 1) * cosW0 + 2 * sqrtA * alpha;
+    a1 = 2 * (A - 1 - (A + 1) * cosW0);
+    a2 = A + 1 - (A - 1) * cosW0 - 2 * sqrtA * alpha;
+  } else if (type === "lowpass") {
+    // Lowpass filter (12 dB/oct above cutoff)
+    b0 = (1 - cosW0) / 2;
+    b1 = 1 - cosW0;
+    b2 = (1 - cosW0) / 2;
+    a0 = 1 + alpha;
+    a1 = -2 * cosW0;
+    a2 = 1 - alpha;
+  } else if (type === "highpass") {
+    // Highpass filter (12 dB/oct below cutoff)
+    b0 = (1 + cosW0) / 2;
+    b1 = -(1 + cosW0);
+    b2 = (1 + cosW0) / 2;
+    a0 = 1 + alpha;
+    a1 = -2 * cosW0;
+    a2 = 1 - alpha;
+  } else if (type === "bandpass") {
+    // Bandpass filter (constant 0 dB peak gain)
+    b0 = alpha;
+    b1 = 0;
+    b2 = -alpha;
+    a0 = 1 + alpha;
+    a1 = -2 * cosW0;
+    a2 = 1 - alpha;
+  } else if (type === "notch") {
+    // Notch filter (deep cut at center frequency)
+    b0 = 1;
+    b1 = -2 * cosW0;
+    b2 = 1;
+    a0 = 1 + alpha;
+    a1 = -2 * cosW0;
+    a2 = 1 - alpha;
+  } else if (type === "allpass") {
+    // Allpass filter (flat magnitude, phase shift only)
+    b0 = 1 - alpha;
+    b1 = -2 * cosW0;
+    b2 = 1 + alpha;
+    a0 = 1 + alpha;
+    a1 = -2 * cosW0;
+    a2 = 1 - alpha;
   } else {
     // Peaking EQ filter (mid-range boost/cut)
     b0 = 1 + alpha * A;
@@ -105,43 +268,65 @@ export function generateBellCurve(
     a2 = 1 - alpha / A;
   }
 
-  // Determine node color (matches circle styling)
-  const nodeColor = isShelf ? "rgb(138 104 158)" : "rgb(198 246 221)";
+  return { b0, b1, b2, a0, a1, a2 };
+}
+
+/**
+ * Magnitude response (dB) of biquad coefficients at a frequency
+ */
+export function getBiquadMagnitudeDb(
+  { b0, b1, b2, a0, a1, a2 },
+  freq,
+  sampleRate,
+) {
+  // Compute frequency-domain magnitude response |H(e^(jω))|
+  const w = (2 * Math.PI * freq) / sampleRate;
+  const sinW = Math.sin(w);
+  const cosW = Math.cos(w);
+  const sin2W = Math.sin(2 * w);
+  const cos2W = Math.cos(2 * w);
 
-  // Generate 1000 points across log-frequency range (1–21500 Hz) for high precision
+  // Numerator and denominator of transfer function
+  const numReal = b0 + b1 * cosW + b2 * cos2W;
+  const numImag = b1 * sinW + b2 * sin2W;
+  const denReal = a0 + a1 * cosW + a2 * cos2W;
+  const denImag = a1 * sinW + a2 * sin2W;
+
+  // Magnitude of complex division
+  const numMag = Math.sqrt(numReal * numReal + numImag * numImag);
+  const denMag = Math.sqrt(denReal * denReal + denImag * denImag);
+  const magnitude = numMag / denMag;
+
+  // Convert to dB: 20·log10(magnitude)
+  return 20 * Math.log10(Math.max(magnitude, 1e-10));
+}
+
+/**
+ * Build an SVG path from a magnitude function over 1000 log-spaced points
+ * (0.01–21500 Hz). Allows the graph to extend beyond the usable width
+ * boundaries (follows node position).
+ */
+function generateResponsePath(
+  getMagnitudeDb,
+  frequencies,
+  SVG_HEIGHT,
+  CENTER_Y,
+  X_AXIS_START,
+  USABLE_WIDTH,
+  GEOMETRIC_RATIO,
+) {
   const minFreq = 0.01;
   const maxFreq = 21500;
   const points = [];
   const numPoints = 1000;
+  const maxIndex = frequencies.length - 1;
 
   for (let i = 0; i <= numPoints; i++) {
     // Log-spaced frequency
     const freq = minFreq * Math.pow(maxFreq / minFreq, i / numPoints);
-
-    // Compute frequency-domain magnitude response |H(e^(jω))|
-    const w = (2 * Math.PI * freq) / sampleRate;
-    const sinW = Math.sin(w);
-    const cosW = Math.cos(w);
-    const sin2W = Math.sin(2 * w);
-    const cos2W = Math.cos(2 * w);
-
-    // Numerator and denominator of transfer function
-    const numReal = b0 + b1 * cosW + b2 * cos2W;
-    const numImag = b1 * sinW + b2 * sin2W;
-    const denReal = a0 + a1 * cosW + a2 * cos2W;
-    const denImag = a1 * sinW + a2 * sin2W;
-
-    // Magnitude of complex division
-    const numMag = Math.sqrt(numReal * numReal + numImag * numImag);
-    const denMag = Math.sqrt(denReal * denReal + denImag * denImag);
-    const magnitude = numMag / denMag;
-
-    // Convert to dB: 20·log10(magnitude)
-    const magnitudeDb = 20 * Math.log10(Math.max(magnitude, 1e-10));
+    const magnitudeDb = getMagnitudeDb(freq);
 
     // Map frequency to SVG X coordinate (log scale)
-    // Allows graph to extend beyond usable width boundaries (follows node position)
-    const maxIndex = frequencies.length - 1;
     const logRatio =
       Math.log(freq / frequencies[0]) /
       Math.log(frequencies[maxIndex] / frequencies[0]);
@@ -152,10 +337,116 @@ export function generateBellCurve(
 
     // Map dB to SVG Y coordinate
     // SVG Y: 250 = 0dB, each 30dB = 250px
-    const svgY = CENTER_Y - (magnitudeDb / 30) * (SVG_HEIGHT / 2);
+    // Clamped so deep notches and pass-filter stopbands stay drawable
+    const svgY = Math.min(
+      SVG_HEIGHT * 2,
+      CENTER_Y - (magnitudeDb / 30) * (SVG_HEIGHT / 2),
+    );
 
     points.push(`${i === 0 ? "M" : "L"} ${freqXPos} ${svgY}`);
   }
 
-  return { path: points.join(" "), color: nodeColor };
+  return points.join(" ");
+}
+
+/**
+ * Generate SVG path for true parametric EQ filter response
+ * Uses RBJ Audio EQ Cookbook formulas for every BiquadFilterNode type
+ * Sample rate: the tab's AudioContext rate (required; callers skip drawing
+ * until the offscreen has reported it)
+ * Frequency range: 1–21500 Hz (log scale)
+ * Converts magnitude to dB and maps to SVG Y-axis
+ *
+ * band: { type, frequency, gain, baseQ } (see createDefaultBands)
+ * Types: peaking, lowshelf, highshelf, notch, bandpass, highpass, lowpass, allpass
+ */
+export function generateBellCurve(
+  band,
+  frequencies,
+  SVG_HEIGHT,
+  CENTER_Y,
+  X_AXIS_START,
+  USABLE_WIDTH,
+  GEOMETRIC_RATIO,
+  sampleRate,
+) {
+  const { type } = band;
+  const usesGain = filterUsesGain(type);
+
+  // Gain (dB): +30 dB at top, -30 dB at bottom (ignored by notch/pass types)
+  const gainDb = usesGain ? band.gain : 0;
+
+  // No curve for gain-based filters within ±0.6 dB (±5 pixels) of 0 dB
+  if (usesGain && Math.abs(gainDb) <= 0.6) return null;
+
+  const centerFreq = band.frequency;
+
+  // Base Q defaults per filter type; dynamic Q only applies to peaking
+  const baseQ = band.baseQ ?? getDefaultBaseQ(type);
+  const Q = getFilterQ(type, baseQ, gainDb);
+
+  // RBJ filter coefficients (from Audio EQ Cookbook)
+  const coefficients = getBiquadCoefficients(
+    type,
+    centerFreq,
+    Q,
+    gainDb,
+    sampleRate,
+  );
+
+  // Determine node color (matches circle styling)
+  const nodeColor =
+    type === "peaking" ? "rgb(198 246 221)" : "rgb(138 104 158)";
+
+  const path = generateResponsePath(
+    (freq) => getBiquadMagnitudeDb(coefficients, freq, sampleRate),
+    frequencies,
+    SVG_HEIGHT,
+    CENTER_Y,
+    X_AXIS_START,
+    USABLE_WIDTH,
+    GEOMETRIC_RATIO,
+  );
+
+  return { path, color: nodeColor, usesGain };
+}
+
+/**
+ * Generate SVG path for a high-pass or low-pass cut filter
+ * Sums the response of the cascaded Butterworth biquad sections
+ * (one section per 12 dB/oct of slope)
+ *
+ * type: "highpass" | "lowpass"
+ * settings: { frequency (Hz), slope (dB/oct) }
+ * sampleRate: the tab's AudioContext rate (required)
+ */
+export function generateCutCurve(
+  type,
+  settings,
+  frequencies,
+  SVG_HEIGHT,
+  CENTER_Y,
+  X_AXIS_START,
+  USABLE_WIDTH,
+  GEOMETRIC_RATIO,
+  sampleRate,
+) {
+  const sections = getButterworthQs(settings.slope).map((Q) =>
+    getBiquadCoefficients(type, settings.frequency, Q, 0, sampleRate),
+  );
+
+  return generateResponsePath(
+    (freq) =>
+      sections.reduce(
+        (totalDb, coefficients) =>
+          totalDb + getBiquadMagnitudeDb(coefficients, freq, sampleRate),
+        0,
+      ),
+    frequencies,
+    SVG_HEIGHT,
+    CENTER_Y,
+    X_AXIS_START,
+    USABLE_WIDTH,
+    GEOMETRIC_RATIO,
+  );
 }
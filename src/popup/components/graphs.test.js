@@ -0,0 +1,90 @@
+import { describe, expect, it } from "vitest";
+import {
+  CUT_SLOPES,
+  getBiquadCoefficients,
+  getBiquadMagnitudeDb,
+  getButterworthQs,
+} from "./graphs";
+
+describe("getButterworthQs", () => {
+  it("returns one section per 12 dB/oct", () => {
+    for (const slope of CUT_SLOPES) {
+      expect(getButterworthQs(slope)).toHaveLength(slope / 12);
+    }
+  });
+
+  it("matches the Butterworth pole Qs", () => {
+    const expected = {
+      12: [0.7071],
+      24: [0.5412, 1.3066],
+      36: [0.5176, 0.7071, 1.9319],
+      48: [0.5098, 0.6013, 0.9, 2.5629],
+    };
+    for (const slope of CUT_SLOPES) {
+      getButterworthQs(slope).forEach((q, i) => {
+        expect(q).toBeCloseTo(expected[slope][i], 4);
+      });
+    }
+  });
+});
+
+describe("RBJ biquad coefficients", () => {
+  const SAMPLE_RATE = 48000;
+
+  // Magnitude (dB) of one biquad at a frequency
+  function getMagnitudeDb(type, frequency, q, gainDb, at) {
+    return getBiquadMagnitudeDb(
+      getBiquadCoefficients(type, frequency, q, gainDb, SAMPLE_RATE),
+      at,
+      SAMPLE_RATE,
+    );
+  }
+
+  it("peaking: full gain at the center, flat far away", () => {
+    expect(getMagnitudeDb("peaking", 1000, 1, 6, 1000)).toBeCloseTo(6, 6);
+    expect(getMagnitudeDb("peaking", 1000, 1, -12, 1000)).toBeCloseTo(-12, 6);
+    expect(getMagnitudeDb("peaking", 1000, 1, 6, 20)).toBeCloseTo(0, 1);
+  });
+
+  it("shelves: full gain on their side, half gain at the corner", () => {
+    expect(getMagnitudeDb("lowshelf", 200, 0.7, 6, 5)).toBeCloseTo(6, 1);
+    expect(getMagnitudeDb("lowshelf", 200, 0.7, 6, 200)).toBeCloseTo(3, 6);
+    expect(getMagnitudeDb("lowshelf", 200, 0.7, 6, 20000)).toBeCloseTo(0, 1);
+    expect(getMagnitudeDb("highshelf", 5000, 0.7, -6, 23000)).toBeCloseTo(
+      -6,
+      1,
+    );
+    expect(getMagnitudeDb("highshelf", 5000, 0.7, -6, 5000)).toBeCloseTo(-3, 6);
+    expect(getMagnitudeDb("highshelf", 5000, 0.7, -6, 20)).toBeCloseTo(0, 1);
+  });
+
+  it("pass filters: -3 dB at the cutoff with Butterworth Q", () => {
+    const q = Math.SQRT1_2;
+    expect(getMagnitudeDb("lowpass", 1000, q, 0, 1000)).toBeCloseTo(-3.01, 2);
+    expect(getMagnitudeDb("lowpass", 1000, q, 0, 20)).toBeCloseTo(0, 3);
+    expect(getMagnitudeDb("highpass", 1000, q, 0, 1000)).toBeCloseTo(-3.01, 2);
+    expect(getMagnitudeDb("highpass", 1000, q, 0, 20000)).toBeCloseTo(0, 1);
+    expect(getMagnitudeDb("bandpass", 1000, 2, 0, 1000)).toBeCloseTo(0, 6);
+  });
+
+  it("notch cuts the center, allpass stays flat", () => {
+    expect(getMagnitudeDb("notch", 1000, 2, 0, 1000)).toBeLessThan(-100);
+    for (const at of [20, 1000, 15000]) {
+      expect(getMagnitudeDb("allpass", 1000, 2, 0, at)).toBeCloseTo(0, 6);
+    }
+  });
+
+  it("Butterworth cascades are flat in the passband and -3 dB at the cutoff", () => {
+    for (const slope of CUT_SLOPES) {
+      const getCascadeDb = (at) =>
+        getButterworthQs(slope).reduce(
+          (totalDb, q) => totalDb + getMagnitudeDb("lowpass", 1000, q, 0, at),
+          0,
+        );
+      expect(getCascadeDb(1000)).toBeCloseTo(-3.01, 2);
+      expect(getCascadeDb(200)).toBeCloseTo(0, 1);
+      // One octave above the cutoff the slope has (nearly) set in
+      expect(getCascadeDb(4000) - getCascadeDb(2000)).toBeCloseTo(-slope, -1);
+    }
+  });
+});
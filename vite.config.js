@@ -34,6 +34,10 @@ export default defineConfig({
   build: {
     outDir: "dist",
     emptyOutDir: true,
+    // AudioWorklet modules must be emitted as files: the extension CSP
+    // blocks addModule() on inlined data: URLs
+    assetsInlineLimit: (filePath) =>
+      filePath.includes("/worklets/") ? false : undefined,
     rollupOptions: {
       input: {
         popup: resolve(__dirname, "popup/index.html"),